@@ -5,26 +5,62 @@
 
 // Simulation state
 let simulationRunning = true;
-let powerHistory = [];
-let sensorIntervals = {};
+let mqttBridge = null;
+const simulation = new Simulation({
+    gateway,
+    devices,
+    sensors,
+    automationEngine,
+    scheduler,
+    timeSeries,
+    energyMeter,
+    roomModel,
+    rooms,
+    deviceTypes
+});
+const persistence = new PersistenceManager(
+    { gateway, devices, sensors, automationEngine, scenes: sceneManager, scheduler, timeSeries, energyMeter, roomModel, simulation },
+    new LocalStorageStore()
+);
 
 // Initialize the application
 function initializeApp() {
     console.log('🏠 Smart Home Simulation Starting...');
 
-    // Register all devices with gateway
-    Object.values(devices).forEach(device => {
-        gateway.registerDevice(device);
-    });
+    // Register all devices and sensors with gateway
+    simulation.registerAll();
 
-    // Register all sensors with gateway
-    Object.values(sensors).forEach(sensor => {
-        gateway.registerSensor(sensor);
-    });
+    // Reproducible runs: index.html?seed=42 starts fresh instead of restoring saved state
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    if (seed !== null) {
+        gateway.random.setSeed(parseInt(seed, 10));
+    } else if (persistence.restore().restored) {
+        console.log('💾 Restored saved home state');
+    }
+
+    // Save periodically and when the page is closed
+    persistence.startAutoSave();
+    window.addEventListener('beforeunload', saveOnUnload);
 
-    // Subscribe to events for logging
+    // Subscribe to events for logging (skipped while fast-forwarding)
     gateway.subscribe('*', (message, topic) => {
-        console.log(`[${topic}]`, message);
+        if (!simulation.fastForwarding) {
+            console.log(`[${topic}]`, message);
+        }
+    });
+
+    // Reflect MQTT bridge state in the sidebar
+    gateway.subscribe('bridge/mqtt/status', updateBridgeStatus);
+
+    // Refresh scene and schedule cards when they run
+    gateway.subscribe('scene/+/activated', renderScenes, { retained: false });
+    gateway.subscribe('schedule/+/triggered', renderSchedules, { retained: false });
+
+    // Regroup cards when rooms or their members change, and add or drop cards
+    // as devices and sensors are registered or removed
+    gateway.subscribe('home/rooms', renderRoomLayout, { retained: false });
+    ['device/registered', 'device/unregistered', 'sensor/registered', 'sensor/unregistered'].forEach(topic => {
+        gateway.subscribe(topic, renderRoomLayout, { retained: false });
     });
 
     // Initialize UI
@@ -44,181 +80,299 @@ function initializeUI() {
     // Render sensor displays
     renderSensorDisplays();
 
-    // Render automation rules
+    // Fill in room headings and floor totals
+    updateRoomSummaries();
+
+    // Grey out overrides of sensors removed in the saved home
+    updateSensorOverrides();
+
+    // Render automation rules and the rule builder
     renderAutomationRules();
+    initializeRuleBuilder();
+
+    // Render scenes and schedules
+    renderScenes();
+    renderSchedules();
+
+    // Render tariff choices for the energy costs
+    renderTariffOptions();
 
     // Initialize charts
     initializeCharts();
+    initializeHistoryExplorer();
 
     // Update UI periodically
     setInterval(updateUI, 1000);
 }
 
-// Render device control panels
+// Render device control panels, grouped by room
 function renderDeviceControls() {
     const container = document.getElementById('devices-container');
     if (!container) return;
 
     container.innerHTML = '';
 
-    gateway.getAllDevices().forEach(device => {
-        const state = device.getState();
-        const card = createDeviceCard(state);
-        container.appendChild(card);
+    groupByRoom(gateway.getAllDevices()).forEach(({ room, members }) => {
+        if (room !== undefined) container.appendChild(createRoomHeading(room));
+        members.forEach(device => {
+            const state = device.getState();
+            const card = createDeviceCard(state);
+            container.appendChild(card);
+        });
+    });
+}
+
+// Devices or sensors under the gateway's rooms in room order, the rest under
+// the whole home. A home without rooms is a single ungrouped list
+function groupByRoom(items) {
+    const rooms = gateway.getAllRooms();
+    if (rooms.length === 0) return [{ room: undefined, members: items }];
+
+    return [...rooms, null]
+        .map(room => ({ room, members: items.filter(item => item.room === (room ? room.id : null)) }))
+        .filter(group => group.members.length > 0);
+}
+
+// Heading above a room's cards; its stats are filled in by updateRoomSummaries
+function createRoomHeading(room) {
+    const heading = document.createElement('div');
+    heading.className = 'room-heading';
+    heading.dataset.room = room ? room.id : '';
+    heading.innerHTML = `
+        <h3>${room ? escapeHtml(room.name) : 'Whole Home'}</h3>
+        <span class="room-stats"></span>
+    `;
+    return heading;
+}
+
+// Re-render everything grouped by room
+function renderRoomLayout() {
+    renderDeviceControls();
+    renderSensorDisplays();
+    updateRoomSummaries();
+    updateBuilderRooms();
+    updateSensorOverrides();
+}
+
+// Temperature, air quality, alarms, occupancy, devices on and power of a room
+function formatRoomStats(summary) {
+    const parts = [];
+    if (summary.temperature !== null) parts.push(`${summary.temperature.toFixed(1)}°C`);
+    if (summary.co2 !== null) parts.push(`🌬️ ${summary.co2.toFixed(0)} ppm`);
+    if (summary.alarms > 0) parts.push(`🚨 ${summary.alarms} alarm${summary.alarms > 1 ? 's' : ''}`);
+    if (summary.occupied) parts.push('🚶 Occupied');
+    if (summary.devices > 0) parts.push(`${summary.devicesOn}/${summary.devices} on`, `${summary.power.toFixed(0)} W`);
+    return parts.join(' · ');
+}
+
+// Refresh the room headings and the per-floor summary
+function updateRoomSummaries() {
+    document.querySelectorAll('.room-heading').forEach(heading => {
+        const summary = heading.dataset.room ? summarizeRoom(gateway, heading.dataset.room) : null;
+        heading.classList.toggle('occupied', Boolean(summary && summary.occupied));
+        heading.querySelector('.room-stats').textContent = summary ? formatRoomStats(summary) : '';
     });
+
+    const floorsEl = document.getElementById('floor-summary');
+    if (!floorsEl) return;
+
+    floorsEl.innerHTML = summarizeFloors(gateway).map(floor => `
+        <div class="floor-card">
+            <h4>${escapeHtml(floor.floor)}</h4>
+            <div class="floor-stats">
+                ${floor.rooms.length} room${floor.rooms.length === 1 ? '' : 's'}${floor.temperature !== null ? ` · ${floor.temperature.toFixed(1)}°C` : ''}<br>
+                ${floor.occupied} occupied · ${floor.devicesOn} on · ${floor.power.toFixed(0)} W
+            </div>
+        </div>
+    `).join('');
+}
+
+// Devices and sensors registered without a type plugin get a plain card
+const DEFAULT_DEVICE_PLUGIN = { icon: '📱', schema: {}, capabilities: [{ type: 'onOff' }] };
+const DEFAULT_SENSOR_PLUGIN = { icon: '📊', schema: {} };
+
+function getDevicePlugin(type) {
+    return deviceTypes.get('device', type) || DEFAULT_DEVICE_PLUGIN;
 }
 
-// Create device card element
+function getSensorPlugin(type) {
+    return deviceTypes.get('sensor', type) || DEFAULT_SENSOR_PLUGIN;
+}
+
+// Create device card element from its type plugin: a control for each declared
+// capability, then whatever the plugin renders itself
 function createDeviceCard(state) {
+    const plugin = getDevicePlugin(state.type);
     const card = document.createElement('div');
     card.className = `device-card ${state.isOn ? 'active' : ''}`;
     card.id = `device-${state.id}`;
 
-    let controlsHTML = '';
-
-    if (state.type === 'ac') {
-        controlsHTML = `
-            <div class="device-controls">
-                <div class="mode-selector">
-                    <button class="mode-btn ${state.mode === 'cool' ? 'active' : ''}" onclick="setACMode('cool')">❄️ Cool</button>
-                    <button class="mode-btn ${state.mode === 'heat' ? 'active' : ''}" onclick="setACMode('heat')">🔥 Heat</button>
-                    <button class="mode-btn ${state.mode === 'auto' ? 'active' : ''}" onclick="setACMode('auto')">🔄 Auto</button>
-                </div>
-                <div class="temp-control">
-                    <button onclick="adjustACTemp(-1)">−</button>
-                    <span class="target-temp">${state.targetTemperature}°C</span>
-                    <button onclick="adjustACTemp(1)">+</button>
-                </div>
-            </div>
-        `;
-    } else if (state.type === 'waterHeater') {
-        controlsHTML = `
-            <div class="device-controls">
-                <div class="water-temp">
-                    <span class="label">Water Temp:</span>
-                    <span class="value">${state.currentWaterTemp}°C</span>
-                </div>
-                <div class="temp-control">
-                    <button onclick="adjustWaterHeaterTemp(-5)">−</button>
-                    <span class="target-temp">Target: ${state.targetTemperature}°C</span>
-                    <button onclick="adjustWaterHeaterTemp(5)">+</button>
-                </div>
-            </div>
-        `;
-    } else if (state.type === 'light') {
-        controlsHTML = `
-            <div class="device-controls">
-                <div class="brightness-control">
-                    <input type="range" min="0" max="100" value="${state.brightness}" 
-                           onchange="setLightBrightness('${state.id}', this.value)">
-                    <span>${state.brightness}%</span>
-                </div>
-            </div>
-        `;
-    }
-
-    card.innerHTML = `
-        <div class="device-header">
-            <div class="device-icon">${getDeviceIcon(state.type)}</div>
-            <div class="device-info">
-                <h3>${state.name}</h3>
-                <span class="device-status">${state.isOn ? 'ON' : 'OFF'}</span>
-            </div>
+    const controls = plugin.capabilities.map(capability => renderCapabilityControl(state, capability, plugin.schema)).join('');
+    const details = plugin.renderCard ? `<div class="device-details">${plugin.renderCard(state, gateway)}</div>` : '';
+    const toggle = plugin.capabilities.some(capability => capability.type === 'onOff') ? `
             <label class="toggle-switch">
                 <input type="checkbox" ${state.isOn ? 'checked' : ''} 
                        onchange="toggleDevice('${state.id}')">
                 <span class="slider"></span>
-            </label>
+            </label>` : '';
+
+    card.innerHTML = `
+        <div class="device-header">
+            <div class="device-icon">${escapeHtml(plugin.icon)}</div>
+            <div class="device-info">
+                <h3>${escapeHtml(state.name)}</h3>
+                <span class="device-status">${escapeHtml(formatDeviceStatus(state))}</span>
+            </div>${toggle}
+            <button class="card-remove" onclick="removeClient('device', '${state.id}')" title="Remove device">✕</button>
         </div>
         <div class="device-power">
             <span class="power-icon">⚡</span>
-            <span class="power-value">${state.power.toFixed(0)} W</span>
+            <span class="power-value">${escapeHtml(formatDevicePower(state))}</span>
         </div>
-        ${controlsHTML}
+        ${controls || details ? `<div class="device-controls">${controls}${details}</div>` : ''}
     `;
 
     return card;
 }
 
-// Get device icon based on type
-function getDeviceIcon(type) {
-    const icons = {
-        'light': '💡',
-        'ac': '❄️',
-        'waterHeater': '🚿'
-    };
-    return icons[type] || '📱';
+// Control for a level, mode or setpoint capability (on/off is the header switch)
+function renderCapabilityControl(state, capability, schema) {
+    const attribute = schema[capability.attribute] || {};
+    const value = state[capability.attribute];
+    const data = `data-capability="${escapeHtml(capability.type)}" data-attribute="${escapeHtml(capability.attribute)}"`;
+
+    if (capability.type === 'level') {
+        return `
+            <div class="level-control" ${data}>
+                <input type="range" min="${attribute.min}" max="${attribute.max}" value="${value}" 
+                       onchange="setDeviceLevel('${state.id}', '${capability.command}', this.value)">
+                <span class="control-value">${escapeHtml(formatCapabilityValue(capability, value, attribute))}</span>
+            </div>
+        `;
+    }
+    if (capability.type === 'mode') {
+        const labels = capability.labels || {};
+        return `
+            <div class="mode-selector" ${data}>
+                ${(capability.values || attribute.values || []).map(option => `
+                    <button class="mode-btn ${value === option ? 'active' : ''}" data-value="${escapeHtml(option)}" 
+                            onclick="sendDeviceCommand('${state.id}', '${capability.command}', this.dataset.value)">${escapeHtml(labels[option] || option)}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+    if (capability.type === 'setpoint') {
+        const step = capability.step || 1;
+        return `
+            <div class="setpoint-control" ${data}>
+                <button onclick="adjustDeviceSetpoint('${state.id}', '${capability.attribute}', '${capability.command}', ${-step})">−</button>
+                <span class="control-value">${escapeHtml(formatCapabilityValue(capability, value, attribute))}</span>
+                <button onclick="adjustDeviceSetpoint('${state.id}', '${capability.attribute}', '${capability.command}', ${step})">+</button>
+            </div>
+        `;
+    }
+    return '';
+}
+
+// A level or setpoint with its unit, e.g. "80%" or "Target: 50°C"
+function formatCapabilityValue(capability, value, attribute) {
+    return `${capability.label ? `${capability.label}: ` : ''}${value}${attribute.unit || ''}`;
 }
 
-// Render sensor displays
+// Bring a card's controls and plugin details up to date without rebuilding
+// it, so a slider being dragged is left alone
+function updateDeviceControls(card, state) {
+    const plugin = getDevicePlugin(state.type);
+
+    plugin.capabilities.forEach(capability => {
+        const control = card.querySelector(`[data-capability="${capability.type}"][data-attribute="${capability.attribute}"]`);
+        if (!control) return;
+
+        const value = state[capability.attribute];
+        if (capability.type === 'mode') {
+            control.querySelectorAll('.mode-btn').forEach(button => {
+                button.classList.toggle('active', button.dataset.value === String(value));
+            });
+            return;
+        }
+
+        const input = control.querySelector('input');
+        if (input && document.activeElement !== input) input.value = value;
+        control.querySelector('.control-value').textContent =
+            formatCapabilityValue(capability, value, plugin.schema[capability.attribute] || {});
+    });
+
+    const details = card.querySelector('.device-details');
+    if (details && plugin.renderCard) details.innerHTML = plugin.renderCard(state, gateway);
+}
+
+// ON/OFF (or what the plugin reports, e.g. Locked), flagged while load
+// shedding pauses the device or a manual override keeps automation away
+function formatDeviceStatus(state) {
+    const plugin = getDevicePlugin(state.type);
+    let status = plugin.formatStatus ? plugin.formatStatus(state) : (state.isOn ? 'ON' : 'OFF');
+    if (state.shed) status += ' · ⏸ Shed';
+    if (automationEngine.getOverride(state.id) !== null) status += ' · 🔒 Manual';
+    return status;
+}
+
+// Power drawn, unless the plugin reports it differently (e.g. generation)
+function formatDevicePower(state) {
+    const plugin = getDevicePlugin(state.type);
+    return plugin.formatPower ? plugin.formatPower(state) : `${state.power.toFixed(0)} W`;
+}
+
+// Render sensor displays, grouped by room
 function renderSensorDisplays() {
     const container = document.getElementById('sensors-container');
     if (!container) return;
 
     container.innerHTML = '';
 
-    gateway.getAllSensors().forEach(sensor => {
-        const state = sensor.getState();
-        const card = createSensorCard(state);
-        container.appendChild(card);
+    groupByRoom(gateway.getAllSensors()).forEach(({ room, members }) => {
+        if (room !== undefined) container.appendChild(createRoomHeading(room));
+        members.forEach(sensor => {
+            const state = sensor.getState();
+            const card = createSensorCard(state);
+            container.appendChild(card);
+        });
     });
 }
 
-// Create sensor card element
+// Create sensor card element; the type plugin supplies the icon, value and indicator
 function createSensorCard(state) {
+    const plugin = getSensorPlugin(state.type);
     const card = document.createElement('div');
     card.className = 'sensor-card';
     card.id = `sensor-${state.id}`;
 
-    let displayValue = state.value;
-    if (typeof displayValue === 'number') {
-        displayValue = displayValue.toFixed(1);
-    } else if (typeof displayValue === 'boolean') {
-        displayValue = displayValue ? 'Detected' : 'No Motion';
-    }
-
     card.innerHTML = `
-        <div class="sensor-icon">${getSensorIcon(state.id)}</div>
+        <div class="sensor-icon">${escapeHtml(plugin.icon)}</div>
         <div class="sensor-info">
-            <h4>${state.name}</h4>
+            <h4>${escapeHtml(state.name)}</h4>
             <div class="sensor-value">
-                <span class="value">${displayValue}</span>
-                <span class="unit">${state.unit}</span>
+                <span class="value">${escapeHtml(formatSensorValue(state))}</span>
+                <span class="unit">${escapeHtml(state.unit)}</span>
             </div>
         </div>
-        <div class="sensor-indicator ${getSensorIndicatorClass(state)}"></div>
+        <div class="sensor-indicator ${escapeHtml(getSensorIndicatorClass(state))}"></div>
+        <button class="card-remove" onclick="removeClient('sensor', '${state.id}')" title="Remove sensor">✕</button>
     `;
 
     return card;
 }
 
-// Get sensor icon
-function getSensorIcon(id) {
-    const icons = {
-        'temperature': '🌡️',
-        'motion': '🚶',
-        'humidity': '💧',
-        'power': '⚡',
-        'distance': '📏',
-        'light': '☀️'
-    };
-    return icons[id] || '📊';
+function formatSensorValue(state) {
+    const plugin = getSensorPlugin(state.type);
+    if (plugin.formatValue) return plugin.formatValue(state);
+    if (typeof state.value === 'number') return state.value.toFixed(1);
+    if (typeof state.value === 'boolean') return state.value ? 'Yes' : 'No';
+    return state.value;
 }
 
-// Get sensor indicator class
 function getSensorIndicatorClass(state) {
-    switch (state.id) {
-        case 'temperature':
-            return state.value > 26 ? 'hot' : state.value < 20 ? 'cold' : 'normal';
-        case 'motion':
-            return state.value ? 'active' : 'inactive';
-        case 'humidity':
-            return state.value > 70 ? 'high' : state.value < 30 ? 'low' : 'normal';
-        case 'light':
-            return state.value < 300 ? 'low' : 'normal';
-        default:
-            return 'normal';
-    }
+    const plugin = getSensorPlugin(state.type);
+    return plugin.indicator ? plugin.indicator(state) : 'normal';
 }
 
 // Render automation rules
@@ -234,17 +388,76 @@ function renderAutomationRules() {
     });
 }
 
+// Render scene buttons
+function renderScenes() {
+    const container = document.getElementById('scenes-container');
+    if (!container) return;
+
+    const active = gateway.getRetained('scene/active');
+    container.innerHTML = sceneManager.getAllScenes().map(scene => `
+        <button class="scene-btn ${active && active.scene === scene.id ? 'active' : ''}"
+                onclick="activateScene('${scene.id}')">
+            <span class="scene-icon">${escapeHtml(scene.icon)}</span>
+            <span>${escapeHtml(scene.name)}</span>
+        </button>
+    `).join('');
+}
+
+// Render schedules with their next run
+function renderSchedules() {
+    const container = document.getElementById('schedules-container');
+    if (!container) return;
+
+    container.innerHTML = scheduler.getAllSchedules().map(schedule => {
+        const next = schedule.nextRun !== null
+            ? new Date(schedule.nextRun).toLocaleString([], { timeZone: SIMULATION_TIME_ZONE, weekday: 'short', hour: '2-digit', minute: '2-digit' })
+            : '—';
+        return `
+            <div class="automation-card ${schedule.enabled ? 'enabled' : 'disabled'}">
+                <div class="rule-info">
+                    <h4>${escapeHtml(schedule.name)}</h4>
+                    <p>${escapeHtml(schedule.description)}</p>
+                    <span class="trigger-count">Next: ${next} · Ran ${schedule.runCount} times</span>
+                </div>
+                <label class="toggle-switch">
+                    <input type="checkbox" ${schedule.enabled ? 'checked' : ''}
+                           onchange="toggleSchedule('${schedule.id}')">
+                    <span class="slider"></span>
+                </label>
+            </div>
+        `;
+    }).join('');
+}
+
 // Create automation card
 function createAutomationCard(rule) {
     const card = document.createElement('div');
     card.className = `automation-card ${rule.enabled ? 'enabled' : 'disabled'}`;
     card.id = `rule-${rule.id}`;
 
+    // Declarative rules can be edited, duplicated and deleted from the card
+    let actionsHTML = '';
+    if (rule.type === 'declarative') {
+        actionsHTML = `
+            <div class="rule-actions">
+                ${isBuilderRule(rule.definition) ? `<button class="rule-action-btn" onclick="editRule('${rule.id}')">Edit</button>` : ''}
+                <button class="rule-action-btn" onclick="duplicateRule('${rule.id}')">Duplicate</button>
+                <button class="rule-action-btn" onclick="deleteRule('${rule.id}')">Delete</button>
+            </div>
+        `;
+    }
+
+    // Room-scoped rules name their room
+    const room = rule.room ? gateway.getRoom(rule.room) : null;
+
     card.innerHTML = `
         <div class="rule-info">
-            <h4>${rule.name}</h4>
-            <p>${rule.description}</p>
+            <h4>${escapeHtml(rule.name)}</h4>
+            <p>${room ? `${escapeHtml(room.name)}: ` : ''}${escapeHtml(rule.description)}</p>
             <span class="trigger-count">Triggered: ${rule.triggerCount} times</span>
+            ${rule.parameters.map(parameter => createParameterControl(rule.id, parameter)).join('')}
+            <div class="rule-parameter-error" id="rule-error-${rule.id}"></div>
+            ${actionsHTML}
         </div>
         <label class="toggle-switch">
             <input type="checkbox" ${rule.enabled ? 'checked' : ''} 
@@ -256,9 +469,45 @@ function createAutomationCard(rule) {
     return card;
 }
 
+// Input for one rule parameter, chosen by its type
+function createParameterControl(ruleId, parameter) {
+    const onchange = `onchange="setRuleParameter('${ruleId}', '${parameter.name}', this)"`;
+    let input;
+
+    if (parameter.type === 'boolean') {
+        input = `<input type="checkbox" ${parameter.value ? 'checked' : ''} ${onchange}>`;
+    } else if (parameter.type === 'enum') {
+        input = `
+            <select class="param-input" ${onchange}>
+                ${parameter.options.map(option => `
+                    <option value="${escapeHtml(option)}" ${option === parameter.value ? 'selected' : ''}>${escapeHtml(option)}</option>
+                `).join('')}
+            </select>
+        `;
+    } else {
+        const step = parameter.step !== undefined ? parameter.step : (parameter.type === 'integer' ? 1 : 'any');
+        input = `
+            <input type="number" class="param-input" value="${parameter.value}" step="${step}"
+                   ${parameter.min !== undefined ? `min="${parameter.min}"` : ''}
+                   ${parameter.max !== undefined ? `max="${parameter.max}"` : ''} ${onchange}>
+        `;
+    }
+
+    return `
+        <label class="rule-parameter">
+            <span>${escapeHtml(parameter.label)}</span>
+            ${input}
+            ${parameter.unit ? `<span class="param-unit">${escapeHtml(parameter.unit)}</span>` : ''}
+        </label>
+    `;
+}
+
 // Initialize charts
 let powerChart, sensorChart;
 
+// Simulated time shown by the live power chart
+const POWER_CHART_WINDOW = 5 * 60 * 1000;
+
 function initializeCharts() {
     // Power consumption chart
     const powerCtx = document.getElementById('power-chart');
@@ -344,20 +593,15 @@ function updateUI() {
         const state = sensor.getState();
         const card = document.getElementById(`sensor-${state.id}`);
         if (card) {
-            let displayValue = state.value;
-            if (typeof displayValue === 'number') {
-                displayValue = displayValue.toFixed(1);
-            } else if (typeof displayValue === 'boolean') {
-                displayValue = displayValue ? 'Detected' : 'No Motion';
-            }
-
             const valueEl = card.querySelector('.value');
-            if (valueEl) valueEl.textContent = displayValue;
+            if (valueEl) valueEl.textContent = formatSensorValue(state);
 
             const indicator = card.querySelector('.sensor-indicator');
             if (indicator) {
                 indicator.className = `sensor-indicator ${getSensorIndicatorClass(state)}`;
             }
+
+            card.classList.toggle('offline', !gateway.isOnline('sensor', state.id));
         }
     });
 
@@ -369,16 +613,13 @@ function updateUI() {
             card.className = `device-card ${state.isOn ? 'active' : ''}`;
 
             const statusEl = card.querySelector('.device-status');
-            if (statusEl) statusEl.textContent = state.isOn ? 'ON' : 'OFF';
+            if (statusEl) statusEl.textContent = formatDeviceStatus(state);
 
             const powerEl = card.querySelector('.power-value');
-            if (powerEl) powerEl.textContent = `${state.power.toFixed(0)} W`;
+            if (powerEl) powerEl.textContent = formatDevicePower(state);
 
-            // Update water heater temperature
-            if (state.type === 'waterHeater') {
-                const waterTempEl = card.querySelector('.water-temp .value');
-                if (waterTempEl) waterTempEl.textContent = `${state.currentWaterTemp}°C`;
-            }
+            // Controls and plugin readouts (e.g. a boost ending by itself)
+            updateDeviceControls(card, state);
         }
     });
 
@@ -391,26 +632,39 @@ function updateUI() {
     const totalLargeEl = document.getElementById('total-power-large');
     if (totalLargeEl) totalLargeEl.textContent = `${totalPower.toFixed(0)} W`;
 
+    // Update where that power comes from
+    updatePowerFlow();
+
+    // Update room headings and floor totals
+    updateRoomSummaries();
+
+    // Update simulated clock
+    const simTimeEl = document.getElementById('sim-time');
+    if (simTimeEl) {
+        simTimeEl.textContent = new Date(gateway.clock.now()).toLocaleTimeString([], { timeZone: SIMULATION_TIME_ZONE, hour: '2-digit', minute: '2-digit' });
+    }
+
     // Update active devices count
     const activeDevices = gateway.getAllDevices().filter(d => d.isOn).length;
     const activeDevicesEl = document.getElementById('active-devices');
     if (activeDevicesEl) activeDevicesEl.textContent = activeDevices;
 
-    // Update power chart
-    if (powerChart) {
-        const now = new Date().toLocaleTimeString();
-        powerChart.data.labels.push(now);
-        powerChart.data.datasets[0].data.push(totalPower);
-
-        // Keep last 30 data points
-        if (powerChart.data.labels.length > 30) {
-            powerChart.data.labels.shift();
-            powerChart.data.datasets[0].data.shift();
-        }
+    // Update the alarm count, coloured by the most severe alarm
+    updateAlarmStatus();
 
+    // Update power chart from the time-series store
+    if (powerChart && timeSeries.hasSeries('power/total')) {
+        const to = gateway.clock.now();
+        const { points } = timeSeries.query('power/total', { from: to - POWER_CHART_WINDOW, to });
+        powerChart.data.labels = points.map(point => new Date(point.timestamp).toLocaleTimeString([], { timeZone: SIMULATION_TIME_ZONE }));
+        powerChart.data.datasets[0].data = points.map(point => point.value);
         powerChart.update('none');
     }
 
+    // Update energy costs and the power budget
+    updateEnergyCosts();
+    updatePowerBudget();
+
     // Update power breakdown chart
     if (powerBreakdownChart) {
         const breakdown = gateway.getPowerBreakdown();
@@ -433,6 +687,12 @@ function updateUI() {
 
     // Update activity log
     updateActivityLog();
+
+    // Follow new samples in the history chart
+    refreshHistory();
+
+    // Re-check the rule builder preview against new sensor values
+    updateRulePreview();
 }
 
 // Update activity log
@@ -443,44 +703,158 @@ function updateActivityLog() {
     const logs = automationEngine.getActivityLog();
 
     logContainer.innerHTML = logs.slice(-10).reverse().map(log => {
-        const time = new Date(log.timestamp).toLocaleTimeString();
-        return `<div class="log-entry">
+        const time = new Date(log.timestamp).toLocaleTimeString([], { timeZone: SIMULATION_TIME_ZONE });
+        // Conflicts and overridden actions carry their own message
+        return `<div class="log-entry ${log.type !== 'triggered' ? log.type : ''}">
             <span class="log-time">${time}</span>
-            <span class="log-rule">${log.ruleName}</span>
+            <span class="log-rule">${escapeHtml(log.message || log.ruleName)}</span>
         </div>`;
     }).join('');
 }
 
-// Start simulation
-function startSimulation() {
-    // Sensor update loop
-    setInterval(() => {
-        if (!simulationRunning) return;
+// Active sensor alarms in the header; hovering lists them
+function updateAlarmStatus() {
+    const stat = document.getElementById('alarm-stat');
+    if (!stat) return;
 
-        Object.values(sensors).forEach(sensor => {
-            sensor.simulate();
-        });
+    const alarms = gateway.getActiveAlarms();
+    stat.className = `stat-item ${alarms.length > 0 ? alarms[0].level : ''}`;
+    stat.title = alarms.map(alarm => `${alarm.name}: ${alarm.message}`).join('\n');
+    document.getElementById('active-alarms').textContent = alarms.length;
+}
 
-        // Update water heater simulation
-        devices.waterHeater.update();
+// Solar generation, battery and grid power from the last tick. The grid
+// reading is flagged while the home exports
+function updatePowerFlow() {
+    const flow = gateway.getPowerFlow();
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    setText('power-flow-solar', `${flow.generation.toFixed(0)} W`);
+    setText('power-flow-battery', flow.battery < 0
+        ? `${(-flow.battery).toFixed(0)} W in`
+        : `${flow.battery.toFixed(0)} W out`);
+    setText('power-flow-grid', flow.grid < 0
+        ? `${(-flow.grid).toFixed(0)} W export`
+        : `${flow.grid.toFixed(0)} W import`);
+
+    const gridEl = document.getElementById('power-flow-grid');
+    if (gridEl) gridEl.classList.toggle('exporting', flow.grid < 0);
+}
+
+// Tariff presets, plus the current tariff when it was set in code
+function renderTariffOptions() {
+    const select = document.getElementById('tariff-select');
+    if (!select) return;
 
-    }, 2000);
+    const tariffs = createDefaultTariffs();
+    const current = energyMeter.tariff;
+    const known = tariffs.some(tariff => tariff.id === current.id);
 
-    // Automation evaluation loop
-    setInterval(() => {
-        if (!simulationRunning) return;
+    select.innerHTML = tariffs
+        .map(tariff => `<option value="${tariff.id}" ${tariff.id === current.id ? 'selected' : ''}>${escapeHtml(tariff.name)}</option>`)
+        .join('') + (known ? '' : `<option value="" selected>${escapeHtml(current.name || 'Custom')}</option>`);
+}
+
+// Main breaker budget and the load it currently allows
+function updatePowerBudget() {
+    const input = document.getElementById('power-budget');
+    if (input && document.activeElement !== input) {
+        input.value = gateway.powerBudget === null ? '' : gateway.powerBudget;
+    }
 
-        automationEngine.evaluate();
+    const statusEl = document.getElementById('power-budget-status');
+    if (!statusEl) return;
+    const shed = gateway.getAllDevices().filter(device => device.shed).map(device => device.name);
+    statusEl.textContent = shed.length > 0 ? `⏸ Paused: ${shed.join(', ')}` : '';
+}
+
+// Empty input removes the budget
+function setPowerBudget(input) {
+    const errorEl = document.getElementById('power-budget-error');
+    try {
+        gateway.setPowerBudget(input.value.trim() === '' ? null : Number(input.value));
+        if (errorEl) errorEl.textContent = '';
+    } catch (error) {
+        if (errorEl) errorEl.textContent = error.message;
+    }
+    updatePowerBudget();
+}
+
+function changeTariff(id) {
+    const tariff = createDefaultTariffs().find(preset => preset.id === id);
+    if (tariff) energyMeter.setTariff(tariff);
+    updateEnergyCosts();
+}
+
+// Credits (solar exports exceeding the bill) show as −£1.20
+function formatCost(value) {
+    const sign = Math.round(value * 100) < 0 ? '−' : '';
+    return `${sign}${energyMeter.currency}${Math.abs(value).toFixed(2)}`;
+}
+
+// Daily and monthly kWh and cost, solar and grid energy, the projected bill and
+// the per-device table
+function updateEnergyCosts() {
+    const today = energyMeter.getDay();
+    const month = energyMeter.getMonth();
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    setText('energy-today', `${today.kWh.toFixed(2)} kWh · ${formatCost(today.total)}`);
+    setText('energy-month', `${month.kWh.toFixed(1)} kWh · ${formatCost(month.total)}`);
+    setText('energy-solar', `${today.solar.toFixed(2)} kWh`);
+    setText('energy-grid', `${today.imported.toFixed(2)} kWh in · ${today.exported.toFixed(2)} kWh out` +
+        (Math.round(today.exportCredit * 100) > 0 ? ` (${formatCost(-today.exportCredit)})` : ''));
+    setText('energy-projected', formatCost(energyMeter.getProjectedBill()));
+    setText('energy-rate', `${formatCost(energyMeter.getRate())}/kWh`);
+
+    const tbody = document.getElementById('energy-device-costs');
+    if (!tbody) return;
+
+    const todayById = {};
+    today.devices.forEach(row => {
+        todayById[row.id] = row;
+    });
+    const rows = month.devices.map(row => {
+        const day = todayById[row.id] || { kWh: 0, cost: 0 };
+        return `<tr>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${day.kWh.toFixed(2)} kWh</td>
+            <td>${escapeHtml(formatCost(day.cost))}</td>
+            <td>${row.kWh.toFixed(1)} kWh</td>
+            <td>${escapeHtml(formatCost(row.cost))}</td>
+        </tr>`;
+    });
+    rows.push(`<tr class="energy-standing">
+        <td>Standing charge</td>
+        <td></td>
+        <td>${escapeHtml(formatCost(today.standing))}</td>
+        <td></td>
+        <td>${escapeHtml(formatCost(month.standing))}</td>
+    </tr>`);
+    tbody.innerHTML = rows.join('');
+}
 
-    }, 2000);
+// Start simulation
+function startSimulation() {
+    simulation.start();
 }
 
 // Device control functions
+// Controls go through the gateway command channel so invalid values are rejected
+function sendDeviceCommand(id, command, value) {
+    gateway.sendCommand(id, command, value, { source: 'manual' })
+        .catch(error => console.warn(`⚠️ ${error.message}`));
+    updateDeviceCard(id);
+}
+
 function toggleDevice(id) {
-    const device = gateway.getDevice(id);
-    if (device) {
-        device.toggle();
-        updateDeviceCard(id);
+    if (gateway.getDevice(id)) {
+        sendDeviceCommand(id, 'toggle');
     }
 }
 
@@ -498,38 +872,109 @@ function updateDeviceCard(id) {
     }
 }
 
-function setACMode(mode) {
-    devices.ac.setMode(mode);
-    updateDeviceCard('ac');
-}
-
-function adjustACTemp(delta) {
-    const newTemp = devices.ac.targetTemperature + delta;
-    devices.ac.setTargetTemperature(newTemp);
-    updateDeviceCard('ac');
+// Level capabilities (e.g. brightness) from a card's slider
+function setDeviceLevel(id, command, value) {
+    sendDeviceCommand(id, command, Number(value));
 }
 
-function adjustWaterHeaterTemp(delta) {
-    const newTemp = devices.waterHeater.targetTemperature + delta;
-    devices.waterHeater.setTargetTemperature(newTemp);
-    updateDeviceCard('waterHeater');
-}
-
-function setLightBrightness(id, brightness) {
+// Step a setpoint capability (e.g. a target temperature) up or down
+function adjustDeviceSetpoint(id, attribute, command, delta) {
     const device = gateway.getDevice(id);
-    if (device && device.setBrightness) {
-        device.setBrightness(parseInt(brightness));
+    if (device) {
+        sendDeviceCommand(id, command, device.getState()[attribute] + delta);
     }
 }
 
+// Remove a device or sensor; its card goes when the gateway announces it
+function removeClient(clientType, id) {
+    simulation.removeClient(clientType, id);
+}
+
 function toggleRule(id) {
     automationEngine.toggleRule(id);
     renderAutomationRules();
 }
 
+// Apply a parameter edited on an automation card; rejected values stay in
+// the input with the error shown below it
+function setRuleParameter(ruleId, name, input) {
+    const parameter = automationEngine.rules.get(ruleId).getState().parameters.find(p => p.name === name);
+    let value;
+    if (parameter.type === 'boolean') {
+        value = input.checked;
+    } else if (parameter.type === 'enum') {
+        value = parameter.options.find(option => String(option) === input.value);
+    } else {
+        value = input.value === '' ? NaN : Number(input.value);
+    }
+
+    try {
+        automationEngine.setParameter(ruleId, name, value);
+    } catch (error) {
+        const errorElement = document.getElementById(`rule-error-${ruleId}`);
+        if (errorElement) errorElement.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    renderAutomationRules();
+}
+
+function saveOnUnload() {
+    persistence.save();
+}
+
+// Forget the saved state and start over
+function resetSavedState() {
+    window.removeEventListener('beforeunload', saveOnUnload);
+    persistence.clear();
+    window.location.reload();
+}
+
+// Scene and schedule controls
+function activateScene(id) {
+    sceneManager.activate(id, { source: 'manual' })
+        .catch(error => console.warn(`⚠️ ${error.message}`));
+    gateway.getAllDevices().forEach(device => updateDeviceCard(device.id));
+}
+
+function toggleSchedule(id) {
+    scheduler.toggleSchedule(id);
+    renderSchedules();
+}
+
+// MQTT bridge controls
+function toggleMqttBridge() {
+    if (mqttBridge && mqttBridge.isRunning()) {
+        mqttBridge.stop();
+        return;
+    }
+
+    mqttBridge = new MqttBridge(gateway, {
+        url: document.getElementById('mqtt-url').value.trim(),
+        topicPrefix: document.getElementById('mqtt-prefix').value.trim()
+    });
+    mqttBridge.start();
+}
+
+function updateBridgeStatus(status) {
+    const statusEl = document.getElementById('mqtt-status');
+    const btn = document.getElementById('mqtt-toggle');
+    if (!statusEl || !btn) return;
+
+    const labels = {
+        stopped: 'Disabled',
+        connecting: 'Connecting…',
+        connected: 'Connected',
+        disconnected: `Retrying in ${Math.round((status.retryIn || 0) / 1000)}s`
+    };
+    statusEl.textContent = labels[status.state];
+    statusEl.className = `bridge-status ${status.state}`;
+    btn.textContent = status.state === 'stopped' ? 'Connect' : 'Disconnect';
+}
+
 // Simulation controls
 function toggleSimulation() {
     simulationRunning = !simulationRunning;
+    simulationRunning ? simulation.start() : simulation.stop();
     const btn = document.getElementById('sim-toggle');
     if (btn) {
         btn.textContent = simulationRunning ? '⏸️ Pause' : '▶️ Resume';
@@ -537,17 +982,47 @@ function toggleSimulation() {
     }
 }
 
-// Manual sensor override
+function setSimulationSpeed(speed) {
+    simulation.setSpeed(parseFloat(speed));
+}
+
+function fastForwardSimulation(duration) {
+    simulation.fastForward(duration);
+    updateUI();
+}
+
+// Manual sensor override, on the sensors the buttons name while they are registered
+function overrideSensor(id, apply) {
+    const sensor = gateway.getSensor(id);
+    if (sensor) apply(sensor);
+}
+
+// Grey out the override buttons of sensors that have been removed
+function updateSensorOverrides() {
+    document.querySelectorAll('.manual-controls [data-sensor]').forEach(button => {
+        button.disabled = !gateway.getSensor(button.dataset.sensor);
+    });
+}
+
 function setMotionDetected(detected) {
-    sensors.motion.setValue(detected);
+    overrideSensor('motion', sensor => sensor.setValue(detected));
 }
 
 function setTemperature(temp) {
-    sensors.temperature.setValue(temp);
+    overrideSensor('temperature', sensor => sensor.setValue(temp));
 }
 
 function setAmbientLight(lux) {
-    sensors.light.setValue(lux);
+    overrideSensor('light', sensor => sensor.setValue(lux));
+}
+
+// Ten minutes of smoke, enough to set off the kitchen's smoke alarm
+function burnToast() {
+    overrideSensor('kitchenSmoke', sensor => sensor.startSmoke(150, 10 * 60000));
+}
+
+function startLeak() {
+    overrideSensor('utilityLeak', sensor => sensor.startLeak(30 * 60000));
 }
 
 // Initialize when DOM is ready
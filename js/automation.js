@@ -3,14 +3,147 @@
  * Handles HVAC and Lighting automation based on sensor readings
  */
 
+// Check a value against a parameter schema, returning an error message or null.
+// Schemas: { type: 'number' | 'integer' | 'boolean' | 'enum', min, max, options }
+function validateParameterValue(schema, value) {
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            if (!Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                return `expected ${schema.type === 'integer' ? 'an integer' : 'a number'}, got '${value}'`;
+            }
+            if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                return `${value} is outside the range ${schema.min}–${schema.max}`;
+            }
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `expected true or false, got '${value}'`;
+        case 'enum':
+            return schema.options.includes(value) ? null : `expected one of ${schema.options.join(', ')}, got '${value}'`;
+        default:
+            return `unknown parameter type '${schema.type}'`;
+    }
+}
+
+// Power commands compete for the same state; other commands only clash with themselves
+const POWER_COMMANDS = ['turnOn', 'turnOff', 'toggle'];
+
+function actionAspect(command) {
+    return POWER_COMMANDS.includes(command) ? 'power' : command;
+}
+
+// Two actions on one device conflict when they set the same aspect differently,
+// or when one turns the device off while the other adjusts it
+function actionsConflict(a, b) {
+    if (a.command === b.command && a.value === b.value) return false;
+    return a.command === 'turnOff' || b.command === 'turnOff' ||
+        actionAspect(a.command) === actionAspect(b.command);
+}
+
+// A cluster action (e.g. levelControl.moveToLevel) as the device command it is
+// bound to on that device (setBrightness on a light). Other actions, and
+// cluster actions the device cannot run, are returned unchanged
+function resolveClusterAction(action, device) {
+    if (action.cluster === undefined || !device || device.validateClusterCommand(action.cluster, action.command, action.value)) {
+        return action;
+    }
+    const { cluster, ...resolved } = action;
+    return { ...resolved, command: device.getClusterCommand(cluster, action.command) };
+}
+
 class AutomationRule {
-    constructor(id, name, description) {
+    constructor(id, name, description, priority = 0) {
         this.id = id;
         this.name = name;
         this.description = description;
         this.enabled = true;
         this.lastTriggered = null;
         this.triggerCount = 0;
+        this.priority = priority; // higher wins when rules act on the same device
+        this.parameterSchema = {};
+        this.pendingActions = [];
+        this.pendingReport = null;
+        this.gateway = null; // set by AutomationEngine.addRule
+        this.room = null; // room whose sensors the rule reads, null for the whole home
+        this.overridesManual = false; // safety rules act on devices a user has overridden
+
+        this.defineParameter('priority', {
+            label: 'Priority', type: 'integer', min: 0, max: 100, step: 1
+        });
+    }
+
+    // Declare a runtime-adjustable parameter (stored as a property of the same name)
+    defineParameter(name, schema) {
+        this.parameterSchema[name] = { label: name, ...schema };
+    }
+
+    getParameter(name) {
+        return this[name];
+    }
+
+    // Validate and apply a parameter value, throwing when it is rejected
+    setParameter(name, value) {
+        const schema = this.parameterSchema[name];
+        if (!schema) {
+            throw new Error(`Rule '${this.id}' has no parameter '${name}'`);
+        }
+
+        const error = validateParameterValue(schema, value);
+        if (error) {
+            throw new Error(`${schema.label}: ${error}`);
+        }
+
+        this.storeParameter(name, value);
+    }
+
+    storeParameter(name, value) {
+        this[name] = value;
+    }
+
+    // Current description (override when it depends on parameters)
+    describe() {
+        return this.description;
+    }
+
+    // Called when the rule is added to an engine
+    attach(gateway) {
+        this.gateway = gateway;
+    }
+
+    // Called when the rule is removed from its engine
+    detach() {
+        this.gateway = null;
+    }
+
+    // Look up a sensor through the gateway by id or type, within the rule's room
+    getSensor(id) {
+        return this.gateway ? this.gateway.findSensor(id, this.room) : undefined;
+    }
+
+    // Devices of a type in the rule's room (or the whole home)
+    findDevices(type) {
+        return this.gateway ? this.gateway.findDevices(type, this.room) : [];
+    }
+
+    // Devices implementing a cluster in the rule's room (or the whole home)
+    findDevicesWithCluster(cluster) {
+        return this.gateway ? this.gateway.findDevicesWithCluster(cluster, this.room) : [];
+    }
+
+    // Look up a device through the gateway
+    getDevice(id) {
+        return this.gateway ? this.gateway.getDevice(id) : undefined;
+    }
+
+    // Simulation time from the gateway clock
+    now() {
+        return this.gateway ? this.gateway.clock.now() : Date.now();
+    }
+
+    publish(topic, message) {
+        if (this.gateway) {
+            this.gateway.publish(topic, message);
+        }
     }
 
     evaluate() {
@@ -22,26 +155,99 @@ class AutomationRule {
         // Override in subclasses
     }
 
+    // Queue a device command; the engine arbitrates between rules before sending it
+    command(device, command, value) {
+        this.pendingActions.push({ device, command, value });
+    }
+
+    // Claim a device for a command without sending it, so lower-priority rules
+    // cannot act against a state the rule wants kept
+    hold(device, command, value) {
+        this.pendingActions.push({ device, command, value, hold: true });
+    }
+
+    // Queue a scene activation; the scene is arbitrated as a whole
+    activateScene(scene) {
+        this.pendingActions.push({ scene });
+    }
+
+    // Describe the firing for automation/triggered (published only if an action is applied)
+    report(action, reason) {
+        this.pendingReport = { action, reason };
+    }
+
+    // Evaluate and, when the rule fires, return its queued actions and report
     run() {
-        if (!this.enabled) return false;
+        if (!this.enabled) return null;
 
-        if (this.evaluate()) {
-            this.execute();
-            this.lastTriggered = Date.now();
-            this.triggerCount++;
-            return true;
-        }
-        return false;
+        this.pendingActions = [];
+        this.pendingReport = null;
+        if (!this.evaluate()) return null;
+
+        this.execute();
+        return { actions: this.pendingActions, report: this.pendingReport };
+    }
+
+    recordTrigger() {
+        this.lastTriggered = this.now();
+        this.triggerCount++;
+    }
+
+    // Called after arbitration with the queued actions that were sent (override
+    // when the rule must know whether it got its way)
+    actionsApplied(applied) {
+        // Override in subclasses
+    }
+
+    // State saved by the persistence layer (extend in subclasses)
+    saveState() {
+        const parameters = {};
+        Object.keys(this.parameterSchema).forEach(name => {
+            parameters[name] = this.getParameter(name);
+        });
+        return {
+            enabled: this.enabled,
+            triggerCount: this.triggerCount,
+            lastTriggered: this.lastTriggered,
+            parameters
+        };
+    }
+
+    // Restore saved state, returning messages for parameter values that were rejected
+    restoreState(state) {
+        ['enabled', 'triggerCount', 'lastTriggered'].forEach(key => {
+            if (state[key] !== undefined) this[key] = state[key];
+        });
+
+        const warnings = [];
+        Object.entries(state.parameters || {}).forEach(([name, value]) => {
+            try {
+                this.setParameter(name, value);
+            } catch (error) {
+                warnings.push(`Rule '${this.id}': ${error.message}`);
+            }
+        });
+        return warnings;
     }
 
     getState() {
         return {
             id: this.id,
             name: this.name,
-            description: this.description,
+            description: this.describe(),
+            room: this.room,
             enabled: this.enabled,
+            priority: this.priority,
             lastTriggered: this.lastTriggered,
-            triggerCount: this.triggerCount
+            triggerCount: this.triggerCount,
+            // The shared priority parameter is listed after the rule's own parameters
+            parameters: Object.entries(this.parameterSchema)
+                .sort(([a], [b]) => (a === 'priority') - (b === 'priority'))
+                .map(([name, schema]) => ({
+                    name,
+                    ...schema,
+                    value: this.getParameter(name)
+                }))
         };
     }
 }
@@ -52,30 +258,37 @@ class HVACCoolingRule extends AutomationRule {
         super(
             'hvac-cooling',
             'HVAC Cooling',
-            'Turn on AC when temperature > 26°C and motion is detected'
+            'Turn on AC when temperature > 26°C and motion is detected',
+            10
         );
         this.temperatureThreshold = 26;
+        this.defineParameter('temperatureThreshold', {
+            label: 'Temperature threshold', type: 'number', min: 18, max: 35, step: 0.5, unit: '°C'
+        });
+    }
+
+    describe() {
+        return `Turn on AC when temperature > ${this.temperatureThreshold}°C and motion is detected`;
     }
 
     evaluate() {
-        const temp = sensors.temperature.value;
-        const motion = sensors.motion.value;
-        const acIsOff = !devices.ac.isOn;
+        const temperature = this.getSensor('temperature');
+        const motion = this.getSensor('motion');
+        const ac = this.getDevice('ac');
+        // Idle while a device or sensor the rule needs has been removed
+        if (!temperature || !motion || !ac) return false;
 
-        return temp > this.temperatureThreshold && motion && acIsOff;
+        return temperature.value > this.temperatureThreshold && motion.value && !ac.isOn;
     }
 
     execute() {
-        devices.ac.setMode('cool');
-        devices.ac.turnOn();
+        this.command('ac', 'setMode', 'cool');
+        this.command('ac', 'turnOn');
 
-        if (gateway) {
-            gateway.publish('automation/triggered', {
-                rule: this.id,
-                action: 'AC turned on (cooling mode)',
-                reason: `Temperature: ${sensors.temperature.value.toFixed(1)}°C, Motion: detected`
-            });
-        }
+        this.report(
+            'AC turned on (cooling mode)',
+            `Temperature: ${this.getSensor('temperature').value.toFixed(1)}°C, Motion: detected`
+        );
     }
 }
 
@@ -85,110 +298,174 @@ class HVACOffRule extends AutomationRule {
         super(
             'hvac-off',
             'HVAC Auto-Off',
-            'Turn off AC after 5 minutes of no motion'
+            'Turn off AC after 5 minutes of no motion',
+            20
         );
-        this.noMotionDuration = 0;
+        this.noMotionSince = null;
         this.thresholdMinutes = 5;
+        this.defineParameter('thresholdMinutes', {
+            label: 'No-motion delay', type: 'number', min: 1, max: 60, step: 1, unit: 'min'
+        });
     }
 
-    evaluate() {
-        const motion = sensors.motion.value;
-        const acIsOn = devices.ac.isOn;
+    describe() {
+        return `Turn off AC after ${this.thresholdMinutes} minutes of no motion`;
+    }
+
+    saveState() {
+        return { ...super.saveState(), noMotionSince: this.noMotionSince };
+    }
 
-        if (!motion && acIsOn) {
-            this.noMotionDuration += 2; // Increment by update interval (2 seconds)
-            return this.noMotionDuration >= this.thresholdMinutes * 60;
+    restoreState(state) {
+        if (state.noMotionSince !== undefined) this.noMotionSince = state.noMotionSince;
+        return super.restoreState(state);
+    }
+
+    evaluate() {
+        const motion = this.getSensor('motion');
+        const ac = this.getDevice('ac');
+        if (!motion || !ac) return false;
+
+        if (!motion.value && ac.isOn) {
+            // Elapsed time comes from the clock, so fast-forwarding works
+            if (this.noMotionSince === null) this.noMotionSince = this.now();
+            return this.now() - this.noMotionSince >= this.thresholdMinutes * 60000;
         } else {
-            this.noMotionDuration = 0;
+            this.noMotionSince = null;
             return false;
         }
     }
 
     execute() {
-        devices.ac.turnOff();
-        this.noMotionDuration = 0;
+        this.command('ac', 'turnOff');
+        this.noMotionSince = null;
 
-        if (gateway) {
-            gateway.publish('automation/triggered', {
-                rule: this.id,
-                action: 'AC turned off',
-                reason: `No motion for ${this.thresholdMinutes} minutes`
-            });
-        }
+        this.report('AC turned off', `No motion for ${this.thresholdMinutes} minutes`);
+    }
+}
+
+// Lighting zones: each room with lights and a motion sensor, plus the home's
+// remaining lights under the home's motion sensor. A zone reads its room's
+// ambient light sensor, or the home's when the room has none
+function getLightingZones(gateway) {
+    const zones = [];
+    const zoned = new Set();
+
+    gateway.getAllRooms().forEach(room => {
+        const lights = gateway.findDevices('light', room.id);
+        const motion = gateway.findSensor('motion', room.id);
+        if (lights.length === 0 || !motion) return;
+
+        lights.forEach(light => zoned.add(light.id));
+        zones.push({
+            id: room.id,
+            name: room.name,
+            lights,
+            motion,
+            ambient: gateway.findSensor('light', room.id) || gateway.findSensor('light')
+        });
+    });
+
+    const lights = gateway.findDevices('light').filter(light => !zoned.has(light.id));
+    const motion = gateway.findSensor('motion');
+    if (lights.length > 0 && motion) {
+        zones.push({ id: '', name: 'Home', lights, motion, ambient: gateway.findSensor('light') });
     }
+    return zones;
 }
 
-// Lighting Automation: Turn on lights when dark and motion detected
+// Lighting Automation: Turn on a room's lights when it is dark and motion is detected there
 class LightingOnRule extends AutomationRule {
     constructor() {
         super(
             'lighting-on',
             'Auto Lights On',
-            'Turn on lights when ambient light < 300 lux and motion is detected'
+            'Turn on the lights in a room when ambient light < 300 lux and motion is detected there',
+            10
         );
         this.lightThreshold = 300;
+        this.defineParameter('lightThreshold', {
+            label: 'Ambient light threshold', type: 'number', min: 0, max: 1000, step: 10, unit: 'lux'
+        });
+        this.darkZones = [];
     }
 
-    evaluate() {
-        const ambientLight = sensors.light.value;
-        const motion = sensors.motion.value;
-        const allLightsOff = !devices.light1.isOn && !devices.light2.isOn && !devices.light3.isOn;
+    describe() {
+        return `Turn on the lights in a room when ambient light < ${this.lightThreshold} lux and motion is detected there`;
+    }
 
-        return ambientLight < this.lightThreshold && motion && allLightsOff;
+    evaluate() {
+        this.darkZones = getLightingZones(this.gateway).filter(zone =>
+            zone.ambient && zone.ambient.value < this.lightThreshold &&
+            zone.motion.value && zone.lights.every(light => !light.isOn));
+        return this.darkZones.length > 0;
     }
 
     execute() {
-        devices.light1.turnOn();
-        devices.light2.turnOn();
+        this.darkZones.forEach(zone => {
+            zone.lights.forEach(light => this.command(light.id, 'turnOn'));
+        });
 
-        if (gateway) {
-            gateway.publish('automation/triggered', {
-                rule: this.id,
-                action: 'Lights turned on',
-                reason: `Ambient light: ${sensors.light.value.toFixed(0)} lux, Motion: detected`
-            });
-        }
+        this.report(
+            `Lights turned on in ${this.darkZones.map(zone => zone.name).join(', ')}`,
+            this.darkZones.map(zone => `${zone.name}: ${zone.ambient.value.toFixed(0)} lux, motion detected`).join('; ')
+        );
     }
 }
 
-// Lighting Automation: Turn off lights when no motion
+// Lighting Automation: Turn off a room's lights when there is no motion there
 class LightingOffRule extends AutomationRule {
     constructor() {
         super(
             'lighting-off',
             'Auto Lights Off',
-            'Turn off lights after 2 minutes of no motion'
+            'Turn off the lights in a room after 2 minutes of no motion there',
+            20
         );
-        this.noMotionDuration = 0;
+        this.noMotionSince = {}; // zone id -> time motion stopped with lights on
         this.thresholdMinutes = 2;
+        this.defineParameter('thresholdMinutes', {
+            label: 'No-motion delay', type: 'number', min: 1, max: 60, step: 1, unit: 'min'
+        });
+        this.idleZones = [];
     }
 
-    evaluate() {
-        const motion = sensors.motion.value;
-        const anyLightOn = devices.light1.isOn || devices.light2.isOn || devices.light3.isOn;
+    describe() {
+        return `Turn off the lights in a room after ${this.thresholdMinutes} minutes of no motion there`;
+    }
 
-        if (!motion && anyLightOn) {
-            this.noMotionDuration += 2;
-            return this.noMotionDuration >= this.thresholdMinutes * 60;
-        } else {
-            this.noMotionDuration = 0;
-            return false;
-        }
+    saveState() {
+        return { ...super.saveState(), noMotionSince: this.noMotionSince };
+    }
+
+    restoreState(state) {
+        if (state.noMotionSince !== undefined) this.noMotionSince = { ...state.noMotionSince };
+        return super.restoreState(state);
+    }
+
+    evaluate() {
+        const now = this.now();
+        this.idleZones = getLightingZones(this.gateway).filter(zone => {
+            if (zone.motion.value || !zone.lights.some(light => light.isOn)) {
+                delete this.noMotionSince[zone.id];
+                return false;
+            }
+            if (this.noMotionSince[zone.id] === undefined) this.noMotionSince[zone.id] = now;
+            return now - this.noMotionSince[zone.id] >= this.thresholdMinutes * 60000;
+        });
+        return this.idleZones.length > 0;
     }
 
     execute() {
-        devices.light1.turnOff();
-        devices.light2.turnOff();
-        devices.light3.turnOff();
-        this.noMotionDuration = 0;
+        this.idleZones.forEach(zone => {
+            zone.lights.forEach(light => this.command(light.id, 'turnOff'));
+            delete this.noMotionSince[zone.id];
+        });
 
-        if (gateway) {
-            gateway.publish('automation/triggered', {
-                rule: this.id,
-                action: 'Lights turned off',
-                reason: `No motion for ${this.thresholdMinutes} minutes`
-            });
-        }
+        this.report(
+            `Lights turned off in ${this.idleZones.map(zone => zone.name).join(', ')}`,
+            `No motion for ${this.thresholdMinutes} minutes`
+        );
     }
 }
 
@@ -198,49 +475,209 @@ class HumidityRule extends AutomationRule {
         super(
             'humidity-control',
             'Humidity Control',
-            'Adjust AC mode based on humidity levels'
+            'Adjust AC mode based on humidity levels',
+            5
         );
         this.highHumidityThreshold = 70;
+        this.defineParameter('highHumidityThreshold', {
+            label: 'High humidity threshold', type: 'number', min: 30, max: 80, step: 1, unit: '%'
+        });
+    }
+
+    describe() {
+        return `Set AC to high fan for dehumidification when humidity > ${this.highHumidityThreshold}%`;
     }
 
     evaluate() {
-        const humidity = sensors.humidity.value;
-        const acIsOn = devices.ac.isOn;
+        const humidity = this.getSensor('humidity');
+        const ac = this.getDevice('ac');
+        if (!humidity || !ac) return false;
 
-        return humidity > this.highHumidityThreshold && acIsOn;
+        return humidity.value > this.highHumidityThreshold && ac.isOn;
     }
 
     execute() {
         // Set to cool mode for dehumidification
-        devices.ac.setMode('cool');
-        devices.ac.setFanSpeed('high');
+        this.command('ac', 'setMode', 'cool');
+        this.command('ac', 'setFanSpeed', 'high');
 
-        if (gateway) {
-            gateway.publish('automation/triggered', {
-                rule: this.id,
-                action: 'AC set to high fan for dehumidification',
-                reason: `Humidity: ${sensors.humidity.value.toFixed(1)}%`
-            });
+        this.report(
+            'AC set to high fan for dehumidification',
+            `Humidity: ${this.getSensor('humidity').value.toFixed(1)}%`
+        );
+    }
+}
+
+// Safety: answer a smoke alarm by unlocking the doors for a way out, lighting
+// the home and stopping the AC and fans, which spread smoke. Each alarm is
+// answered once, while it stays critical
+class SmokeAlarmRule extends AutomationRule {
+    constructor() {
+        super(
+            'smoke-alarm',
+            'Smoke Alarm Response',
+            'Unlock the doors, turn on the lights and stop the AC and fans when a smoke alarm goes off',
+            90
+        );
+        this.answered = []; // smoke sensors whose current alarm has been answered
+        this.newAlarms = [];
+        this.overridesManual = true;
+    }
+
+    saveState() {
+        return { ...super.saveState(), answered: this.answered };
+    }
+
+    restoreState(state) {
+        if (Array.isArray(state.answered)) this.answered = [...state.answered];
+        return super.restoreState(state);
+    }
+
+    // Fires for as long as a smoke alarm is active: the response is sent for new
+    // alarms, and held afterwards so other rules cannot start the AC or fans again
+    evaluate() {
+        if (!this.gateway) return false;
+
+        const alarms = this.gateway.getActiveAlarms()
+            .filter(alarm => alarm.type === 'smoke' && alarm.level === 'critical');
+        this.answered = this.answered.filter(id => alarms.some(alarm => alarm.sensor === id));
+        this.newAlarms = alarms.filter(alarm => !this.answered.includes(alarm.sensor));
+        return alarms.length > 0;
+    }
+
+    execute() {
+        const respond = this.newAlarms.length > 0;
+        const act = (device, command, needed) => {
+            if (respond && needed) this.command(device.id, command);
+            else this.hold(device.id, command);
+        };
+
+        this.findDevices('doorLock').forEach(lock => act(lock, 'unlock', true));
+        this.findDevices('light').forEach(light => act(light, 'turnOn', !light.isOn));
+        [...this.findDevices('ac'), ...this.findDevices('ceilingFan')]
+            .forEach(device => act(device, 'turnOff', device.isOn));
+
+        if (respond) {
+            this.report(
+                'Doors unlocked, lights on, AC and fans off',
+                this.newAlarms.map(alarm => `${alarm.name}: ${alarm.message}`).join('; ')
+            );
+        }
+    }
+
+    // An alarm is answered once every response command was sent; otherwise the
+    // rule fires again on the next cycle
+    actionsApplied(applied) {
+        const commands = this.pendingActions.filter(action => !action.hold);
+        if (applied.filter(action => !action.hold).length === commands.length) {
+            this.answered.push(...this.newAlarms.map(alarm => alarm.sensor));
         }
     }
 }
 
 // Automation Engine
 class AutomationEngine {
-    constructor() {
+    constructor(gateway = null) {
+        this.gateway = gateway;
         this.rules = new Map();
         this.activityLog = [];
+        this.activityLogRetention = 7 * 86400000; // a week of history markers
+        this.activityLogLimit = 5000; // bounds the log if rules fire far more often than usual
         this.isRunning = false;
+
+        // Manual override locks: a device changed by a user is left alone by rules
+        this.overrides = new Map(); // deviceId -> { until, source, reported }
+        this.overrideDuration = 15 * 60000;
+        this.overrideSources = new Set(['manual', 'mqtt']);
+        this.reportedConflicts = new Set();
+
+        if (gateway) {
+            gateway.subscribe('device/+/set', (message, topic) => {
+                if (message && this.overrideSources.has(message.source) && !message.dup) {
+                    this.setOverride(topic.split('/')[1], this.overrideDuration, message.source);
+                }
+            }, { retained: false });
+
+            // Load shedding by the gateway shows up alongside rule activity
+            gateway.subscribe('power/shed', ({ device, name, demand, load, budget }) => {
+                this.log({
+                    type: 'shed',
+                    device,
+                    message: `${name} paused: ${Math.round(load + demand)} W would exceed the ${budget} W budget`
+                });
+            }, { retained: false });
+            gateway.subscribe('power/restored', ({ device, name, shedFor }) => {
+                this.log({
+                    type: 'shed',
+                    device,
+                    message: `${name} resumed after ${Math.round(shedFor / 60000)} min`
+                });
+            }, { retained: false });
+        }
+    }
+
+    now() {
+        return this.gateway ? this.gateway.clock.now() : Date.now();
     }
 
     addRule(rule) {
+        if (this.rules.has(rule.id)) {
+            this.removeRule(rule.id);
+        }
+        rule.attach(this.gateway);
         this.rules.set(rule.id, rule);
     }
 
     removeRule(id) {
+        const rule = this.rules.get(id);
+        if (rule) rule.detach();
         this.rules.delete(id);
     }
 
+    // Load declarative rules from definitions (an array, { rules: [...] } or a JSON string).
+    // Valid rules are added or replace rules with the same id; invalid ones are
+    // reported per rule and skipped
+    loadRules(definitions) {
+        const { DeclarativeRule, validateRuleDefinition } = getDeclarativeRuleModule();
+
+        if (typeof definitions === 'string') {
+            try {
+                definitions = JSON.parse(definitions);
+            } catch (error) {
+                return { loaded: [], errors: [{ ruleId: null, index: null, errors: [`Invalid JSON: ${error.message}`] }] };
+            }
+        }
+        if (definitions && !Array.isArray(definitions) && Array.isArray(definitions.rules)) {
+            definitions = definitions.rules;
+        }
+        if (!Array.isArray(definitions)) {
+            return { loaded: [], errors: [{ ruleId: null, index: null, errors: ['Expected an array of rule definitions'] }] };
+        }
+
+        const loaded = [];
+        const errors = [];
+        const seen = new Set();
+
+        definitions.forEach((definition, index) => {
+            const ruleErrors = validateRuleDefinition(definition, this.gateway);
+            const ruleId = definition && typeof definition.id === 'string' ? definition.id : null;
+
+            if (ruleId && seen.has(ruleId)) {
+                ruleErrors.push(`Duplicate rule id '${ruleId}'`);
+            }
+            if (ruleErrors.length > 0) {
+                errors.push({ ruleId, index, errors: ruleErrors });
+                return;
+            }
+
+            seen.add(ruleId);
+            this.addRule(new DeclarativeRule(definition));
+            loaded.push(ruleId);
+        });
+
+        return { loaded, errors };
+    }
+
     enableRule(id) {
         const rule = this.rules.get(id);
         if (rule) rule.enabled = true;
@@ -257,37 +694,306 @@ class AutomationEngine {
         return rule?.enabled;
     }
 
+    // Change a rule parameter at runtime, throwing when the rule, parameter or
+    // value is invalid. Changes are published on automation/<ruleId>/parameter
+    setParameter(ruleId, name, value) {
+        const rule = this.rules.get(ruleId);
+        if (!rule) {
+            throw new Error(`Unknown rule '${ruleId}'`);
+        }
+
+        const previous = rule.getParameter(name);
+        rule.setParameter(name, value);
+
+        if (this.gateway) {
+            this.gateway.publish(`automation/${ruleId}/parameter`, {
+                rule: ruleId,
+                parameter: name,
+                value,
+                previous
+            }, { retain: true });
+        }
+    }
+
+    // Lock a device against rule actions for a duration (ms)
+    setOverride(deviceId, duration = this.overrideDuration, source = 'manual') {
+        const until = this.now() + duration;
+        this.overrides.set(deviceId, { until, source, reported: new Set() });
+        this.publish('automation/override', { device: deviceId, active: true, until, source });
+    }
+
+    clearOverride(deviceId) {
+        if (this.overrides.delete(deviceId)) {
+            this.publish('automation/override', { device: deviceId, active: false });
+        }
+    }
+
+    // End time of the device's override lock, or null when rules may control it
+    getOverride(deviceId) {
+        const override = this.overrides.get(deviceId);
+        return override ? override.until : null;
+    }
+
+    // Rules in evaluation order: highest priority first, then insertion order
+    getRulesByPriority() {
+        return Array.from(this.rules.values()).sort((a, b) => b.priority - a.priority);
+    }
+
+    // Run every rule, then arbitrate their actions per device: overridden devices are
+    // skipped (safety rules clear the override instead), and an action that conflicts
+    // with one from a higher-priority rule is dropped. Held actions claim a device
+    // like commands do but are never sent
     evaluate() {
-        this.rules.forEach((rule, id) => {
-            const triggered = rule.run();
-            if (triggered) {
-                this.activityLog.push({
-                    ruleId: id,
-                    ruleName: rule.name,
-                    timestamp: Date.now()
+        this.overrides.forEach((override, deviceId) => {
+            if (this.now() >= override.until) this.clearOverride(deviceId);
+        });
+
+        const fired = [];
+        this.getRulesByPriority().forEach(rule => {
+            const result = rule.run();
+            if (result) fired.push({ rule, ...result });
+        });
+
+        const claims = new Map(); // deviceId -> [{ rule, action }] already sent this cycle
+        const conflicts = new Set();
+
+        fired.forEach(({ rule, actions, report }) => {
+            const sent = [];
+
+            actions.forEach(action => {
+                // A scene is held back or overruled as a whole if any of its commands is
+                const commands = action.scene !== undefined ? this.getSceneActions(action.scene) : [action];
+
+                const locked = commands.filter(command => this.overrides.has(command.device));
+                if (locked.length > 0 && action.hold) return;
+                if (locked.length > 0 && !rule.overridesManual) {
+                    this.reportOverride(rule, action, this.overrides.get(locked[0].device));
+                    return;
+                }
+
+                for (const command of commands) {
+                    const winner = (claims.get(command.device) || []).find(claim => actionsConflict(claim.action, command));
+                    if (winner) {
+                        this.reportConflict(winner, { rule, action: command }, conflicts);
+                        return;
+                    }
+                }
+
+                locked.forEach(command => this.releaseOverride(rule, command));
+                sent.push(action);
+                // Commands already sent by a higher-priority rule are not repeated
+                const fresh = commands.filter(command => !(claims.get(command.device) || []).some(claim =>
+                    !claim.action.hold && claim.action.command === command.command && claim.action.value === command.value));
+                fresh.forEach(command => {
+                    claims.set(command.device, (claims.get(command.device) || []).concat({ rule, action: command }));
                 });
 
-                // Keep only last 50 entries
-                if (this.activityLog.length > 50) {
-                    this.activityLog.shift();
+                if (action.scene !== undefined) {
+                    this.publish(`scene/${action.scene}/activate`, { source: 'automation', rule: rule.id });
+                } else if (fresh.length > 0 && !action.hold) {
+                    this.dispatch(rule, action);
+                }
+            });
+
+            rule.actionsApplied(sent);
+            if (actions.length === 0 || sent.some(action => !action.hold)) {
+                rule.recordTrigger();
+                if (report) {
+                    rule.publish('automation/triggered', { rule: rule.id, ...report });
                 }
+                this.log({ type: 'triggered', ruleId: rule.id, ruleName: rule.name });
             }
         });
+
+        this.reportedConflicts = conflicts;
+    }
+
+    // Commands of a scene, read from its retained scene/<id>/config. Cluster
+    // commands are arbitrated as the device commands they are bound to
+    getSceneActions(sceneId) {
+        const config = this.gateway && this.gateway.getRetained(`scene/${sceneId}/config`);
+        return config ? config.actions.map(action => resolveClusterAction(action, this.gateway.getDevice(action.device))) : [];
+    }
+
+    dispatch(rule, action) {
+        if (!this.gateway) return;
+
+        this.gateway.sendCommand(action.device, action.command, action.value, { source: 'automation' })
+            .catch(error => {
+                this.publish('automation/error', {
+                    rule: rule.id,
+                    action,
+                    error: error.message
+                });
+            });
+    }
+
+    // Conflicts are reported when they first occur, not on every cycle they persist
+    reportConflict(winner, loser, conflicts) {
+        const key = `${winner.rule.id}>${loser.rule.id}:${loser.action.device}.${loser.action.command}`;
+        conflicts.add(key);
+        if (this.reportedConflicts.has(key)) return;
+
+        const conflict = {
+            device: loser.action.device,
+            winner: { rule: winner.rule.id, priority: winner.rule.priority, command: winner.action.command, value: winner.action.value },
+            loser: { rule: loser.rule.id, priority: loser.rule.priority, command: loser.action.command, value: loser.action.value }
+        };
+        this.publish('automation/conflict', conflict);
+        this.log({
+            type: 'conflict',
+            ruleId: loser.rule.id,
+            ruleName: loser.rule.name,
+            device: conflict.device,
+            message: `${loser.rule.name} → ${describeRuleAction(loser.action)} overruled by ${winner.rule.name} → ${describeRuleAction(winner.action)}`
+        });
+    }
+
+    // Suppressed actions are reported once per rule and override lock
+    reportOverride(rule, action, override) {
+        if (override.reported.has(rule.id)) return;
+        override.reported.add(rule.id);
+
+        this.log({
+            type: 'override',
+            ruleId: rule.id,
+            ruleName: rule.name,
+            device: action.device,
+            message: `${rule.name} → ${describeRuleAction(action)} held back by manual override`
+        });
+    }
+
+    // A safety rule clears the manual override on a device it acts on
+    releaseOverride(rule, action) {
+        if (!this.overrides.has(action.device)) return;
+        this.clearOverride(action.device);
+        this.log({
+            type: 'override',
+            ruleId: rule.id,
+            ruleName: rule.name,
+            device: action.device,
+            message: `${rule.name} → ${describeRuleAction(action)} cleared the manual override`
+        });
+    }
+
+    log(entry) {
+        this.activityLog.push({ ...entry, timestamp: this.now() });
+        this.pruneActivityLog();
+    }
+
+    // Drop entries older than the retention period, then the oldest beyond the limit
+    pruneActivityLog() {
+        const cutoff = this.now() - this.activityLogRetention;
+        let expired = 0;
+        while (expired < this.activityLog.length && this.activityLog[expired].timestamp < cutoff) expired++;
+        expired = Math.max(expired, this.activityLog.length - this.activityLogLimit);
+        if (expired > 0) this.activityLog.splice(0, expired);
+    }
+
+    publish(topic, message) {
+        if (this.gateway) this.gateway.publish(topic, message);
     }
 
     getAllRules() {
         return Array.from(this.rules.values()).map(r => r.getState());
     }
 
+    // Snapshot for the persistence layer: declarative definitions, per-rule state,
+    // the activity log and active override locks
+    saveState() {
+        const rules = {};
+        this.rules.forEach((rule, id) => {
+            rules[id] = rule.saveState();
+        });
+        return {
+            definitions: Array.from(this.rules.values())
+                .filter(rule => rule.definition)
+                .map(rule => rule.definition),
+            rules,
+            activityLog: this.activityLog,
+            overrides: Array.from(this.overrides.entries()).map(([device, { until, source }]) => ({ device, until, source }))
+        };
+    }
+
+    // Restore a snapshot, returning warnings for anything that could not be restored
+    restoreState(state) {
+        const warnings = [];
+
+        const result = this.loadRules(state.definitions || []);
+        result.errors.forEach(({ ruleId, errors }) => {
+            warnings.push(`Rule '${ruleId}' not restored: ${errors.join('; ')}`);
+        });
+
+        Object.entries(state.rules || {}).forEach(([id, ruleState]) => {
+            const rule = this.rules.get(id);
+            if (rule) warnings.push(...rule.restoreState(ruleState));
+        });
+
+        if (Array.isArray(state.activityLog)) {
+            this.activityLog = state.activityLog.slice();
+            this.pruneActivityLog();
+        }
+        (state.overrides || []).forEach(({ device, until, source }) => {
+            if (until > this.now()) this.setOverride(device, until - this.now(), source);
+        });
+
+        return warnings;
+    }
+
     getActivityLog() {
         return this.activityLog.slice(-20);
     }
 }
 
-// Create automation engine instance and add rules
-const automationEngine = new AutomationEngine();
-automationEngine.addRule(new HVACCoolingRule());
-automationEngine.addRule(new HVACOffRule());
-automationEngine.addRule(new LightingOnRule());
-automationEngine.addRule(new LightingOffRule());
-automationEngine.addRule(new HumidityRule());
+function describeRuleAction(action) {
+    if (action.scene !== undefined) return `scene ${action.scene}`;
+    return `${action.device}.${action.command}${action.value !== undefined ? ` ${action.value}` : ''}`;
+}
+
+// Declarative rules live in declarative-rules.js, which depends on this file
+function getDeclarativeRuleModule() {
+    return typeof module !== 'undefined' && module.exports
+        ? require('./declarative-rules')
+        : { DeclarativeRule, validateRuleDefinition };
+}
+
+// Build the built-in rule set
+function createDefaultRules() {
+    return [
+        new HVACCoolingRule(),
+        new HVACOffRule(),
+        new LightingOnRule(),
+        new LightingOffRule(),
+        new HumidityRule(),
+        new SmokeAlarmRule()
+    ];
+}
+
+// Create an automation engine wired to a gateway with the built-in rules
+function createAutomationEngine(gateway) {
+    const engine = new AutomationEngine(gateway);
+    createDefaultRules().forEach(rule => engine.addRule(rule));
+    return engine;
+}
+
+// Browser instance (the headless runtime builds its own through createSmartHome)
+const automationEngine = typeof gateway !== 'undefined' ? createAutomationEngine(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AutomationRule,
+        HVACCoolingRule,
+        HVACOffRule,
+        LightingOnRule,
+        LightingOffRule,
+        HumidityRule,
+        SmokeAlarmRule,
+        getLightingZones,
+        AutomationEngine,
+        validateParameterValue,
+        actionsConflict,
+        resolveClusterAction,
+        createDefaultRules,
+        createAutomationEngine
+    };
+}
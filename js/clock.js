@@ -0,0 +1,88 @@
+/**
+ * Simulation Clock and Seeded Random
+ * Shared time source and PRNG so simulation runs are reproducible and can be fast-forwarded
+ */
+
+// Simulation time of day and calendar dates are UTC, whatever the host's
+// timezone, so seeded runs match everywhere. Dashboards display times in it
+const SIMULATION_TIME_ZONE = 'UTC';
+
+// Simulated wall clock, advanced explicitly by the simulation loop
+class SimulationClock {
+    constructor(startTime = Date.now()) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+
+    setTime(time) {
+        this.time = time;
+    }
+
+    // Hour of day (0-23)
+    getHours() {
+        return new Date(this.time).getUTCHours();
+    }
+
+    // Time of day in fractional hours (e.g. 18.5 for 18:30)
+    getHourOfDay() {
+        const date = new Date(this.time);
+        return date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+    }
+
+    // Sun strength from 0 (night) to 1 (midday): a sine arc over the same
+    // 06:00-18:00 daytime the light sensor uses
+    getSunStrength() {
+        const { start, end } = SimulationClock.DAYLIGHT;
+        const hour = this.getHourOfDay();
+        if (hour < start || hour >= end) return 0;
+        return Math.sin(Math.PI * (hour - start) / (end - start));
+    }
+}
+
+SimulationClock.DAYLIGHT = { start: 6, end: 18 };
+
+// Mulberry32 PRNG: small, fast and good enough for simulation noise
+class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next value in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Parse durations such as '90s', '5m', '24h' or '2d' into milliseconds
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid duration '${value}'`);
+    }
+
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return parseFloat(match[1]) * units[match[2] || 'ms'];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SIMULATION_TIME_ZONE, SimulationClock, SeededRandom, parseDuration };
+}
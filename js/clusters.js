@@ -0,0 +1,128 @@
+/**
+ * Device Clusters
+ * Standard capabilities devices are composed of, after Matter's clusters:
+ * typed attributes and the commands that change them. A device declares the
+ * clusters it implements and binds them to its own state and commands, so
+ * rules, scenes and bridges can "move to level 40" on any dimmable device
+ * without knowing its class:
+ *   { "device": "light1", "cluster": "levelControl", "command": "moveToLevel", "value": 40 }
+ *
+ * The gateway publishes each device's clusters retained on
+ * device/<id>/clusters and every change of their attributes retained on
+ * device/<id>/cluster/<cluster>:
+ *   { "id": "light1", "cluster": "levelControl", "attributes": { "currentLevel": 40 }, "changed": ["currentLevel"] }
+ *
+ * Commands take at most one argument, typed like the attribute they set
+ */
+
+const CLUSTERS = {
+    onOff: {
+        name: 'On/Off',
+        attributes: {
+            onOff: { type: 'boolean' }
+        },
+        commands: { on: {}, off: {}, toggle: {} }
+    },
+    levelControl: {
+        name: 'Level Control',
+        attributes: {
+            currentLevel: { type: 'number', min: 0, max: 100, unit: '%' }
+        },
+        commands: { moveToLevel: { argument: 'currentLevel' } }
+    },
+    colorControl: {
+        name: 'Color Control',
+        attributes: {
+            colorMode: { type: 'enum', values: ['hs', 'ct'] },
+            hue: { type: 'number', min: 0, max: 360, unit: '°' },
+            saturation: { type: 'number', min: 0, max: 100, unit: '%' },
+            colorTemperature: { type: 'number', min: 2000, max: 6500, unit: 'K' }
+        },
+        commands: {
+            moveToHue: { argument: 'hue' },
+            moveToSaturation: { argument: 'saturation' },
+            moveToColorTemperature: { argument: 'colorTemperature' }
+        }
+    },
+    thermostat: {
+        name: 'Thermostat',
+        attributes: {
+            localTemperature: { type: 'number', unit: '°C', readOnly: true },
+            setpoint: { type: 'number', unit: '°C' },
+            systemMode: { type: 'enum', values: [] },
+            runningState: { type: 'enum', values: ['idle', 'cooling', 'heating', 'fan'], readOnly: true }
+        },
+        commands: {
+            setSetpoint: { argument: 'setpoint' },
+            setSystemMode: { argument: 'systemMode' }
+        }
+    },
+    fanControl: {
+        name: 'Fan Control',
+        attributes: {
+            fanMode: { type: 'enum', values: [] }
+        },
+        commands: { setFanMode: { argument: 'fanMode' } }
+    },
+    windowCovering: {
+        name: 'Window Covering',
+        attributes: {
+            currentPosition: { type: 'number', min: 0, max: 100, unit: '%', readOnly: true },
+            targetPosition: { type: 'number', min: 0, max: 100, unit: '%' },
+            operationalStatus: { type: 'enum', values: ['stopped', 'opening', 'closing'], readOnly: true }
+        },
+        commands: {
+            upOrOpen: {},
+            downOrClose: {},
+            stopMotion: {},
+            goToLiftPercentage: { argument: 'targetPosition' }
+        }
+    },
+    doorLock: {
+        name: 'Door Lock',
+        attributes: {
+            lockState: { type: 'enum', values: ['locked', 'unlocked', 'jammed'], readOnly: true }
+        },
+        commands: { lockDoor: {}, unlockDoor: {} }
+    },
+    powerMeasurement: {
+        name: 'Power Measurement',
+        attributes: {
+            // Negative while the device supplies power (solar, a discharging battery)
+            activePower: { type: 'number', unit: 'W', readOnly: true }
+        },
+        commands: {}
+    }
+};
+
+// Attribute schemas of a cluster as a device implements it: the device's
+// binding may narrow them (enum values, min/max)
+function getClusterSchema(cluster, binding = {}) {
+    const schema = {};
+    Object.entries(CLUSTERS[cluster].attributes).forEach(([name, attribute]) => {
+        schema[name] = { ...attribute, ...(binding.schema && binding.schema[name]) };
+    });
+    return schema;
+}
+
+// Return an error message when a value does not fit an attribute's type
+function validateClusterValue(attribute, value) {
+    if (attribute.type === 'boolean' && typeof value !== 'boolean') {
+        return `expected true or false, got '${value}'`;
+    }
+    if (attribute.type === 'number' && !Number.isFinite(value)) {
+        return `expected a number, got '${value}'`;
+    }
+    if (attribute.type === 'enum' && !attribute.values.includes(value)) {
+        return `expected one of ${attribute.values.join(', ')}, got '${value}'`;
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLUSTERS,
+        getClusterSchema,
+        validateClusterValue
+    };
+}
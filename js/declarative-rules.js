@@ -0,0 +1,524 @@
+/**
+ * Declarative Automation Rules
+ * Rules defined as JSON: gateway topic triggers, AND/OR/NOT conditions on
+ * sensor and device values, durations and device actions
+ *
+ * {
+ *   "id": "cool-when-hot",
+ *   "name": "Cool When Hot",
+ *   "trigger": { "topics": ["sensor/temperature/reading"] },
+ *   "conditions": { "all": [
+ *     { "sensor": "temperature", "op": ">", "value": 26 },
+ *     { "sensor": "motion", "op": "==", "value": false, "for": "5m" }
+ *   ]},
+ *   "actions": [{ "device": "ac", "command": "turnOn" }]
+ * }
+ *
+ * Actions may also activate a scene: { "scene": "movie-night" }
+ *
+ * A rule may be scoped to a room with "room": "bedroom". Its sensor
+ * references then resolve within that room, by id or by type ("motion" is
+ * the bedroom's motion sensor). Conditions and actions may name a device type
+ * instead of a device: { "devices": "light", "op": "==", "value": true } holds
+ * when any light in the room is on, and { "devices": "light", "command":
+ * "turnOff" } switches every one of them off. Unscoped rules use the whole home
+ *
+ * Actions may address a device's standard clusters (see clusters.js) instead
+ * of its own commands, on one device or every device of a type, or on every
+ * device implementing the cluster:
+ *   { "device": "light1", "cluster": "levelControl", "command": "moveToLevel", "value": 40 }
+ *   { "cluster": "onOff", "command": "off" }
+ *
+ * Comparison values may reference a runtime-adjustable parameter declared in
+ * "parameters", e.g. { "param": "threshold" }
+ */
+
+// Dependencies: required under Node, globals in the browser
+const DeclarativeCore = typeof module !== 'undefined' && module.exports ? {
+    ...require('./automation'),
+    ...require('./clock')
+} : {
+    AutomationRule,
+    validateParameterValue,
+    resolveClusterAction,
+    parseDuration
+};
+
+const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'enum'];
+
+const RULE_OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+// Own keys only, so names like 'toString' or 'constructor' are not mistaken for entries
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Validate a rule definition, returning a list of error messages.
+// Sensor, device and command references are checked against the gateway
+function validateRuleDefinition(definition, gateway) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Rule definition must be an object'];
+    }
+    if (typeof definition.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.id)) {
+        errors.push(`Invalid rule id '${definition.id}' (use letters, digits, '-' and '_')`);
+    }
+    if (definition.name !== undefined && typeof definition.name !== 'string') {
+        errors.push('Rule name must be a string');
+    }
+    if (definition.for !== undefined) {
+        validateDuration(definition.for, 'Rule', errors);
+    }
+    const room = definition.room !== undefined ? definition.room : null;
+    if (room !== null && (typeof room !== 'string' || (gateway && !gateway.getRoom(room)))) {
+        errors.push(`unknown room '${room}'`);
+    }
+    if (definition.priority !== undefined &&
+        !(Number.isInteger(definition.priority) && definition.priority >= 0 && definition.priority <= 100)) {
+        errors.push('priority must be an integer from 0 to 100');
+    }
+
+    const parameters = definition.parameters || {};
+    if (definition.parameters !== undefined) {
+        if (!definition.parameters || typeof definition.parameters !== 'object' || Array.isArray(definition.parameters)) {
+            errors.push('parameters must be an object of parameter definitions');
+        } else {
+            Object.entries(definition.parameters).forEach(([name, schema]) => {
+                if (name === 'priority') {
+                    errors.push('parameters.priority: name is reserved for the rule priority');
+                    return;
+                }
+                if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+                    errors.push(`parameters.${name}: use letters, digits, '-' and '_' in parameter names`);
+                    return;
+                }
+                validateParameter(schema, `parameters.${name}`, errors);
+            });
+        }
+    }
+
+    if (definition.trigger !== undefined) {
+        const topics = definition.trigger && definition.trigger.topics;
+        if (!Array.isArray(topics) || topics.length === 0 || topics.some(t => typeof t !== 'string' || t === '')) {
+            errors.push('trigger.topics must be a non-empty array of topic filters');
+        }
+    }
+
+    if (definition.conditions === undefined) {
+        errors.push('Rule must have conditions');
+    } else {
+        validateCondition(definition.conditions, 'conditions', gateway, parameters, errors, room);
+    }
+
+    if (!Array.isArray(definition.actions) || definition.actions.length === 0) {
+        errors.push('Rule must have a non-empty actions array');
+    } else {
+        definition.actions.forEach((action, index) => {
+            validateAction(action, `actions[${index}]`, gateway, errors, { room });
+        });
+    }
+
+    return errors;
+}
+
+function validateDuration(value, path, errors) {
+    try {
+        if (!(DeclarativeCore.parseDuration(value) >= 0)) throw new Error();
+    } catch (error) {
+        errors.push(`${path}: invalid duration '${value}' (use e.g. '90s', '5m', '1h')`);
+    }
+}
+
+function validateParameter(schema, path, errors) {
+    if (!schema || typeof schema !== 'object' || !PARAMETER_TYPES.includes(schema.type)) {
+        errors.push(`${path}: type must be one of ${PARAMETER_TYPES.join(', ')}`);
+        return;
+    }
+    if (schema.type === 'enum' && (!Array.isArray(schema.options) || schema.options.length === 0)) {
+        errors.push(`${path}: enum parameters need a non-empty options array`);
+        return;
+    }
+
+    const error = DeclarativeCore.validateParameterValue(schema, schema.value);
+    if (error) errors.push(`${path}.value: ${error}`);
+}
+
+function isParameterReference(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.param === 'string';
+}
+
+// Where the rule is scoped to a room, sensors and device types are looked up in it
+function validateCondition(condition, path, gateway, parameters, errors, room = null) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        errors.push(`${path}: condition must be an object`);
+        return;
+    }
+
+    if (condition.for !== undefined) {
+        validateDuration(condition.for, path, errors);
+    }
+
+    if (condition.all !== undefined || condition.any !== undefined) {
+        const key = condition.all !== undefined ? 'all' : 'any';
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+            errors.push(`${path}.${key}: must be a non-empty array of conditions`);
+            return;
+        }
+        condition[key].forEach((child, index) => {
+            validateCondition(child, `${path}.${key}[${index}]`, gateway, parameters, errors, room);
+        });
+        return;
+    }
+
+    if (condition.not !== undefined) {
+        validateCondition(condition.not, `${path}.not`, gateway, parameters, errors, room);
+        return;
+    }
+
+    if (!hasOwn(RULE_OPERATORS, condition.op)) {
+        errors.push(`${path}: unknown operator '${condition.op}' (expected ${Object.keys(RULE_OPERATORS).join(', ')})`);
+    }
+    if (condition.value === undefined) {
+        errors.push(`${path}: comparison needs a value`);
+    } else if (isParameterReference(condition.value) && !hasOwn(parameters, condition.value.param)) {
+        errors.push(`${path}: unknown parameter '${condition.value.param}'`);
+    }
+
+    if (typeof condition.sensor === 'string') {
+        if (gateway && !gateway.findSensor(condition.sensor, room)) {
+            errors.push(`${path}: unknown sensor '${condition.sensor}'${room !== null ? ` in room '${room}'` : ''}`);
+        }
+    } else if (typeof condition.devices === 'string') {
+        const devices = gateway ? gateway.findDevices(condition.devices, room) : [];
+        if (gateway && devices.length === 0) {
+            errors.push(`${path}: no '${condition.devices}' devices${room !== null ? ` in room '${room}'` : ''}`);
+        } else if (devices.length > 0 && condition.property !== undefined && !hasOwn(devices[0].getState(), condition.property)) {
+            errors.push(`${path}: '${condition.devices}' devices have no property '${condition.property}'`);
+        }
+    } else if (typeof condition.device === 'string') {
+        const device = gateway && gateway.getDevice(condition.device);
+        if (gateway && !device) {
+            errors.push(`${path}: unknown device '${condition.device}'`);
+        } else if (device && condition.property !== undefined && !hasOwn(device.getState(), condition.property)) {
+            errors.push(`${path}: device '${condition.device}' has no property '${condition.property}'`);
+        }
+    } else {
+        errors.push(`${path}: condition needs all, any, not, a sensor, a device or devices`);
+    }
+}
+
+// scope is given for rule actions ({ room }), which may also target every
+// device of a type: { "devices": "light", "command": "turnOff" }, or every
+// device implementing a cluster: { "cluster": "onOff", "command": "off" }
+function validateAction(action, path, gateway, errors, scope = null) {
+    // Scenes publish their definition retained on scene/<id>/config
+    if (action && typeof action.scene === 'string') {
+        if (gateway && gateway.getRetained(`scene/${action.scene}/config`) === undefined) {
+            errors.push(`${path}: unknown scene '${action.scene}'`);
+        }
+        return;
+    }
+    if (action && action.cluster !== undefined && typeof action.cluster !== 'string') {
+        errors.push(`${path}: cluster must be a string`);
+        return;
+    }
+    if (scope && action && typeof action.devices === 'string' && typeof action.command === 'string') {
+        validateTypeAction(action, path, gateway, errors, scope.room || null);
+        return;
+    }
+    if (scope && action && action.device === undefined && typeof action.cluster === 'string' && typeof action.command === 'string') {
+        validateClusterAction(action, path, gateway, errors, scope.room || null);
+        return;
+    }
+    if (!action || typeof action.device !== 'string' || typeof action.command !== 'string') {
+        errors.push(`${path}: action needs a device and a command, or a scene`);
+        return;
+    }
+
+    if (!gateway) return;
+
+    const device = gateway.getDevice(action.device);
+    if (!device) {
+        errors.push(`${path}: unknown device '${action.device}'`);
+    } else {
+        validateDeviceCommand(device, action, path, errors);
+    }
+}
+
+// Every device of the type (in the room) must accept the command
+function validateTypeAction(action, path, gateway, errors, room) {
+    if (!gateway) return;
+
+    const devices = gateway.findDevices(action.devices, room);
+    if (devices.length === 0) {
+        errors.push(`${path}: no '${action.devices}' devices${room !== null ? ` in room '${room}'` : ''}`);
+    }
+    devices.forEach(device => validateDeviceCommand(device, action, path, errors));
+}
+
+// Every device implementing the cluster (in the room) must accept the command
+function validateClusterAction(action, path, gateway, errors, room) {
+    if (!gateway) return;
+
+    const devices = gateway.findDevicesWithCluster(action.cluster, room);
+    if (devices.length === 0) {
+        errors.push(`${path}: no devices with cluster '${action.cluster}'${room !== null ? ` in room '${room}'` : ''}`);
+    }
+    devices.forEach(device => validateDeviceCommand(device, action, path, errors));
+}
+
+function validateDeviceCommand(device, action, path, errors) {
+    if (action.cluster !== undefined) {
+        const error = device.validateClusterCommand(action.cluster, action.command, action.value);
+        if (error) errors.push(`${path}: ${error}`);
+        return;
+    }
+    if (!device.getCommands().includes(action.command)) {
+        errors.push(`${path}: device '${device.id}' has no command '${action.command}'`);
+        return;
+    }
+    const error = device.validateCommand(action.command, action.value);
+    if (error) errors.push(`${path}: ${error}`);
+}
+
+// Human-readable form of a condition tree. Parameter references are shown
+// by name unless getParameter is given to resolve their current values
+function describeCondition(condition, getParameter = null) {
+    const describeChild = child => describeCondition(child, getParameter);
+    let text;
+    if (condition.all) {
+        text = condition.all.map(describeChild).join(' AND ');
+        if (condition.all.length > 1) text = `(${text})`;
+    } else if (condition.any) {
+        text = condition.any.map(describeChild).join(' OR ');
+        if (condition.any.length > 1) text = `(${text})`;
+    } else if (condition.not) {
+        text = `NOT ${describeChild(condition.not)}`;
+    } else {
+        let subject;
+        if (condition.sensor !== undefined) {
+            subject = `${condition.sensor}${condition.property ? '.' + condition.property : ''}`;
+        } else if (condition.devices !== undefined) {
+            subject = `any ${condition.devices}.${condition.property || 'isOn'}`;
+        } else {
+            subject = `${condition.device}.${condition.property || 'isOn'}`;
+        }
+        let value = JSON.stringify(condition.value);
+        if (isParameterReference(condition.value)) {
+            value = getParameter ? JSON.stringify(getParameter(condition.value.param)) : `{${condition.value.param}}`;
+        }
+        text = `${subject} ${condition.op} ${value}`;
+    }
+    return condition.for !== undefined ? `${text} for ${condition.for}` : text;
+}
+
+class DeclarativeRule extends DeclarativeCore.AutomationRule {
+    constructor(definition) {
+        // A rule-level `for` applies to the whole condition tree
+        const conditions = definition.for !== undefined
+            ? { all: [definition.conditions], for: definition.for }
+            : definition.conditions;
+
+        super(
+            definition.id,
+            definition.name || definition.id,
+            definition.description || `When ${describeCondition(conditions)}`,
+            definition.priority
+        );
+        this.definition = definition;
+        this.room = definition.room !== undefined ? definition.room : null;
+        this.conditions = conditions;
+        this.actions = definition.actions;
+        this.triggerTopics = definition.trigger ? definition.trigger.topics : null;
+        this.enabled = definition.enabled !== false;
+
+        Object.entries(definition.parameters || {}).forEach(([name, { value, ...schema }]) => {
+            this.defineParameter(name, schema);
+        });
+
+        this.heldSince = new Map(); // condition path -> time it became true
+        this.wasSatisfied = false;
+        this.triggerPending = false;
+        this.unsubscribers = [];
+    }
+
+    attach(gateway) {
+        super.attach(gateway);
+        if (!this.triggerTopics || !gateway) return;
+
+        this.unsubscribers = this.triggerTopics.map(topic =>
+            gateway.subscribe(topic, () => {
+                this.triggerPending = true;
+            }, { retained: false })
+        );
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        super.detach();
+    }
+
+    // Parameter values live in the definition so they survive export and duplication
+    getParameter(name) {
+        const parameters = this.definition.parameters || {};
+        return hasOwn(parameters, name) ? parameters[name].value : super.getParameter(name);
+    }
+
+    storeParameter(name, value) {
+        const parameters = this.definition.parameters || {};
+        if (hasOwn(parameters, name)) {
+            parameters[name].value = value;
+        } else {
+            super.storeParameter(name, value);
+            this.definition[name] = value;
+        }
+    }
+
+    describe() {
+        return this.definition.description || `When ${describeCondition(this.conditions, name => this.getParameter(name))}`;
+    }
+
+    // Read the values a comparison refers to: one per device for a device
+    // type, otherwise the single sensor or device value
+    resolveValues(condition) {
+        if (condition.devices !== undefined) {
+            return this.findDevices(condition.devices).map(device => device.getState()[condition.property || 'isOn']);
+        }
+        return [this.resolveValue(condition)];
+    }
+
+    // Read the value a comparison refers to
+    resolveValue(condition) {
+        if (condition.sensor !== undefined) {
+            const sensor = this.getSensor(condition.sensor);
+            if (!sensor) return undefined;
+            return condition.property ? sensor.getState()[condition.property] : sensor.value;
+        }
+
+        const device = this.getDevice(condition.device);
+        if (!device) return undefined;
+        return device.getState()[condition.property || 'isOn'];
+    }
+
+    // Evaluate a condition tree. With track set, `for` durations are measured
+    // against the clock; otherwise they are ignored (used for previews)
+    checkCondition(condition, path, track) {
+        let result;
+        if (condition.all) {
+            result = condition.all.map((c, i) => this.checkCondition(c, `${path}.all[${i}]`, track)).every(Boolean);
+        } else if (condition.any) {
+            result = condition.any.map((c, i) => this.checkCondition(c, `${path}.any[${i}]`, track)).some(Boolean);
+        } else if (condition.not) {
+            result = !this.checkCondition(condition.not, `${path}.not`, track);
+        } else {
+            const expected = isParameterReference(condition.value)
+                ? this.getParameter(condition.value.param)
+                : condition.value;
+            result = this.resolveValues(condition).some(actual =>
+                actual !== undefined && RULE_OPERATORS[condition.op](actual, expected));
+        }
+
+        if (condition.for === undefined || !track) return result;
+
+        if (!result) {
+            this.heldSince.delete(path);
+            return false;
+        }
+        if (!this.heldSince.has(path)) {
+            this.heldSince.set(path, this.now());
+        }
+        return this.now() - this.heldSince.get(path) >= DeclarativeCore.parseDuration(condition.for);
+    }
+
+    // Whether the conditions hold right now, ignoring durations and triggers
+    preview() {
+        return this.checkCondition(this.conditions, 'conditions', false);
+    }
+
+    // Fires once each time the conditions become satisfied (and, with
+    // triggers, only after a matching message arrived since the last cycle)
+    evaluate() {
+        const satisfied = this.checkCondition(this.conditions, 'conditions', true);
+        const rising = satisfied && !this.wasSatisfied;
+        const triggered = !this.triggerTopics || this.triggerPending;
+
+        this.triggerPending = false;
+        if (rising && !triggered) return false;
+
+        this.wasSatisfied = satisfied;
+        return rising;
+    }
+
+    execute() {
+        this.actions.forEach(action => {
+            if (action.scene !== undefined) {
+                this.activateScene(action.scene);
+            } else if (action.devices !== undefined) {
+                this.findDevices(action.devices).forEach(device => this.commandDevice(device.id, action));
+            } else if (action.device !== undefined) {
+                this.commandDevice(action.device, action);
+            } else {
+                this.findDevicesWithCluster(action.cluster).forEach(device => this.commandDevice(device.id, action));
+            }
+        });
+        this.report(this.actions.map(describeAction).join(', '), this.describe());
+    }
+
+    // Queue an action for one device. Cluster commands are queued as the device
+    // command they are bound to, and skipped on devices that no longer implement them
+    commandDevice(deviceId, action) {
+        const resolved = DeclarativeCore.resolveClusterAction(action, this.getDevice(deviceId));
+        if (resolved.cluster !== undefined) return;
+        this.command(deviceId, resolved.command, resolved.value);
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            wasSatisfied: this.wasSatisfied,
+            heldSince: Array.from(this.heldSince.entries())
+        };
+    }
+
+    restoreState(state) {
+        if (state.wasSatisfied !== undefined) this.wasSatisfied = state.wasSatisfied;
+        if (Array.isArray(state.heldSince)) this.heldSince = new Map(state.heldSince);
+        return super.restoreState(state);
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            type: 'declarative',
+            definition: this.definition
+        };
+    }
+}
+
+function describeAction(action) {
+    if (action.scene !== undefined) return `scene ${action.scene}`;
+    const value = action.value !== undefined ? ` ${JSON.stringify(action.value)}` : '';
+    const command = action.cluster !== undefined ? `${action.cluster}.${action.command}` : action.command;
+    if (action.devices !== undefined) return `every ${action.devices}.${command}${value}`;
+    if (action.device === undefined) return `every ${command}${value}`;
+    return `${action.device}.${command}${value}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RULE_OPERATORS,
+        DeclarativeRule,
+        validateRuleDefinition,
+        validateAction,
+        describeCondition
+    };
+}
@@ -0,0 +1,568 @@
+/**
+ * Device Types
+ * Plugin registry for device and sensor types. A type plugin ships everything
+ * the home needs to create, describe and show its instances:
+ *   - name and icon
+ *   - class (constructed as new Class(id, name, options)) or create(id, name, options)
+ *   - options: numbers asked for when adding one, e.g. a tank volume
+ *   - schema: the state attributes its getState() reports, with their type
+ *     ('boolean', 'number', 'enum' or 'string'), unit, min/max and enum values
+ *   - capabilities: the controls the dashboard renders generically:
+ *       'onOff'                                         on/off switch
+ *       { type: 'level', attribute, command }           slider over a number attribute
+ *       { type: 'mode', attribute, command, values?, labels? }  buttons for an enum attribute
+ *       { type: 'setpoint', attribute, command, step?, label? } −/+ around a number attribute
+ *   - renderCard(state, gateway): optional HTML for the rest of a device card
+ *     (readouts), refreshed with the dashboard. Text in it goes through
+ *     escapeHtml, as renderReadout does
+ *   - formatStatus(state) and formatPower(state) for devices, formatValue(state)
+ *     and indicator(state) for sensors: optional overrides of the card's status
+ *     (ON/OFF), power line, value and colour
+ *
+ * Registered types are announced retained on types/<device|sensor>/<type>
+ * (everything but the functions), so bridges and dashboards can discover them.
+ * Instances are created from a descriptor such as the Add Device wizard builds:
+ *   { "type": "light", "id": "light4", "name": "Study Light", "room": "bedroom" }
+ *   { "type": "waterHeater", "id": "annexHeater", "options": { "volumeLitres": 80 } }
+ */
+
+// Device and sensor classes: required under Node, globals in the browser
+const DeviceTypesCore = typeof module !== 'undefined' && module.exports ? {
+    ...require('./devices'),
+    ...require('./sensors')
+} : {
+    Light,
+    AirConditioner,
+    WaterHeater,
+    SolarPanel,
+    HomeBattery,
+    ColorLight,
+    SmartPlug,
+    Blinds,
+    DoorLock,
+    CeilingFan,
+    TemperatureSensor,
+    MotionSensor,
+    HumiditySensor,
+    PowerSensor,
+    SolarPowerSensor,
+    GridPowerSensor,
+    BatteryChargeSensor,
+    DistanceSensor,
+    LightSensor,
+    CO2Sensor,
+    ContactSensor,
+    SmokeSensor,
+    WaterLeakSensor,
+    CircuitMeter
+};
+
+class DeviceTypeRegistry {
+    constructor(gateway = null) {
+        this.gateway = gateway;
+        this.types = { device: new Map(), sensor: new Map() };
+    }
+
+    // Register a type plugin under the type name its instances report in
+    // getState().type (sensors: their type), replacing any earlier one.
+    // Throws when the plugin is incomplete
+    register(clientType, type, plugin) {
+        const types = this.getTypeMap(clientType);
+        const errors = validateTypePlugin(plugin);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${clientType} type '${type}': ${errors.join('; ')}`);
+        }
+
+        const PluginClass = plugin.class;
+        types.set(type, {
+            ...plugin,
+            type,
+            name: plugin.name || type,
+            icon: plugin.icon || (clientType === 'device' ? '📱' : '📊'),
+            options: plugin.options || [],
+            schema: plugin.schema || {},
+            capabilities: (plugin.capabilities || []).map(normalizeCapability),
+            create: plugin.create || ((id, name, options) => new PluginClass(id, name, options))
+        });
+        this.publishType(clientType, type);
+    }
+
+    unregister(clientType, type) {
+        if (!this.getTypeMap(clientType).delete(type)) return false;
+        this.publishType(clientType, type);
+        return true;
+    }
+
+    get(clientType, type) {
+        return this.getTypeMap(clientType).get(type);
+    }
+
+    getTypes(clientType) {
+        return Array.from(this.getTypeMap(clientType).values());
+    }
+
+    getTypeMap(clientType) {
+        const types = this.types[clientType];
+        if (!types) {
+            throw new Error(`Unknown client type '${clientType}' (expected device or sensor)`);
+        }
+        return types;
+    }
+
+    // A type as published on the gateway: the plugin without its functions
+    describe(clientType, type) {
+        const plugin = this.get(clientType, type);
+        if (!plugin) return null;
+
+        const { name, icon, options, schema, capabilities } = plugin;
+        return { type, name, icon, options, schema, capabilities };
+    }
+
+    // Publish a type's description retained, or clear it once unregistered
+    publishType(clientType, type) {
+        if (this.gateway) {
+            this.gateway.publish(`types/${clientType}/${type}`, this.describe(clientType, type), { retain: true });
+        }
+    }
+
+    // Validate a descriptor, returning error messages. Unique ids and rooms are
+    // checked by the gateway when the instance is registered
+    validateDescriptor(clientType, descriptor) {
+        if (!descriptor || typeof descriptor !== 'object' || Array.isArray(descriptor)) {
+            return ['descriptor must be an object'];
+        }
+
+        const errors = [];
+        const definition = this.get(clientType, descriptor.type);
+        if (!definition) {
+            errors.push(`unknown ${clientType} type '${descriptor.type}'`);
+        }
+        if (typeof descriptor.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(descriptor.id)) {
+            errors.push(`invalid id '${descriptor.id}' (use letters, digits, '-' and '_')`);
+        }
+        if (descriptor.name !== undefined && (typeof descriptor.name !== 'string' || descriptor.name.trim() === '')) {
+            errors.push('name must be a non-empty string');
+        }
+        if (descriptor.room !== undefined && descriptor.room !== null && typeof descriptor.room !== 'string') {
+            errors.push('room must be a room id');
+        }
+
+        const options = descriptor.options || {};
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            errors.push('options must be an object');
+        } else if (definition) {
+            Object.entries(options).forEach(([name, value]) => {
+                const option = definition.options.find(candidate => candidate.name === name);
+                if (!option) {
+                    errors.push(`unknown option '${name}'`);
+                } else if (!Number.isFinite(value)) {
+                    errors.push(`${option.label} must be a number`);
+                } else if ((option.min !== undefined && value < option.min) || (option.max !== undefined && value > option.max)) {
+                    errors.push(`${option.label} must be between ${option.min} and ${option.max}`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    // Create an unregistered instance from a descriptor, throwing when it is invalid
+    create(clientType, descriptor) {
+        const errors = this.validateDescriptor(clientType, descriptor);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${clientType}: ${errors.join('; ')}`);
+        }
+
+        const definition = this.get(clientType, descriptor.type);
+        const options = {};
+        definition.options.forEach(option => {
+            const value = descriptor.options && descriptor.options[option.name];
+            options[option.name] = value === undefined ? option.default : value;
+        });
+        return definition.create(descriptor.id, descriptor.name || definition.name, options);
+    }
+}
+
+// Capabilities the dashboard renders, with the schema type of the attribute they control
+DeviceTypeRegistry.CAPABILITIES = {
+    onOff: null,
+    level: 'number',
+    mode: 'enum',
+    setpoint: 'number'
+};
+
+function normalizeCapability(capability) {
+    return typeof capability === 'string' ? { type: capability } : { ...capability };
+}
+
+// Validate a type plugin, returning error messages
+function validateTypePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') return ['plugin must be an object'];
+
+    const errors = [];
+    if (typeof plugin.create !== 'function' && typeof plugin.class !== 'function') {
+        errors.push('needs a class or a create function');
+    }
+
+    const schema = plugin.schema || {};
+    (plugin.capabilities || []).map(normalizeCapability).forEach((capability, index) => {
+        if (!Object.prototype.hasOwnProperty.call(DeviceTypeRegistry.CAPABILITIES, capability.type)) {
+            errors.push(`capabilities[${index}]: unknown capability '${capability.type}'`);
+            return;
+        }
+        const attributeType = DeviceTypeRegistry.CAPABILITIES[capability.type];
+        if (attributeType === null) return;
+
+        // Attribute and command names end up in the card's event handlers
+        const attribute = schema[capability.attribute];
+        if (typeof capability.attribute !== 'string' || !/^[A-Za-z0-9_-]+$/.test(capability.attribute)) {
+            errors.push(`capabilities[${index}]: invalid attribute '${capability.attribute}' (use letters, digits, '-' and '_')`);
+        } else if (!attribute) {
+            errors.push(`capabilities[${index}]: attribute '${capability.attribute}' is not in the schema`);
+        } else if (attribute.type !== attributeType) {
+            errors.push(`capabilities[${index}]: ${capability.type} controls ${attributeType} attributes, '${capability.attribute}' is ${attribute.type}`);
+        }
+        if (typeof capability.command !== 'string' || !/^[A-Za-z0-9_-]+$/.test(capability.command)) {
+            errors.push(`capabilities[${index}]: ${capability.type} needs a command (letters, digits, '-' and '_')`);
+        }
+    });
+    return errors;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Names, descriptions and plugin text are not trusted: escape them before they go into markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// One labelled value on a device card, for plugin card renderers. Both are text
+function renderReadout(label, value) {
+    return `
+        <div class="device-readout">
+            <span class="label">${escapeHtml(label)}</span>
+            <span class="value">${escapeHtml(value)}</span>
+        </div>
+    `;
+}
+
+// What the thermostat has the compressor doing
+function formatCompressorStatus(state) {
+    if (!state.isOn) return 'Off';
+    if (!state.compressorOn) return state.mode === 'fan' ? 'Fan only' : 'Idle';
+    return state.activeMode === 'heat' ? '🔥 Heating' : '❄️ Cooling';
+}
+
+// CSS colour of a color light: its hue, or its white from warm to cool
+function formatLightColor(state) {
+    if (state.colorMode === 'hs') return `hsl(${state.hue}, ${state.saturation}%, 50%)`;
+    const share = (state.colorTemperature - 2000) / 4500;
+    return `hsl(${Math.round(35 + share * 175)}, ${Math.round(100 - share * 60)}%, ${Math.round(75 + share * 15)}%)`;
+}
+
+// Sensor indicator colour from the sensor's alarm, if any
+function alarmIndicator(state) {
+    return state.alarm ? state.alarm.level : 'normal';
+}
+
+// Registry of the built-in device and sensor types
+function createDefaultDeviceTypes(gateway = null) {
+    const core = DeviceTypesCore;
+    const registry = new DeviceTypeRegistry(gateway);
+
+    registry.register('device', 'light', {
+        name: 'Light',
+        icon: '💡',
+        class: core.Light,
+        schema: {
+            isOn: { type: 'boolean' },
+            brightness: { type: 'number', min: 0, max: 100, unit: '%' }
+        },
+        capabilities: ['onOff', { type: 'level', attribute: 'brightness', command: 'setBrightness' }]
+    });
+
+    registry.register('device', 'ac', {
+        name: 'Air Conditioner',
+        icon: '❄️',
+        class: core.AirConditioner,
+        schema: {
+            isOn: { type: 'boolean' },
+            mode: { type: 'enum', values: core.AirConditioner.MODES },
+            targetTemperature: { type: 'number', min: 16, max: 30, unit: '°C' },
+            fanSpeed: { type: 'enum', values: core.AirConditioner.FAN_SPEEDS },
+            compressorOn: { type: 'boolean' },
+            activeMode: { type: 'enum', values: ['cool', 'heat'] }
+        },
+        capabilities: [
+            'onOff',
+            {
+                type: 'mode', attribute: 'mode', command: 'setMode', values: ['cool', 'heat', 'auto'],
+                labels: { cool: '❄️ Cool', heat: '🔥 Heat', auto: '🔄 Auto' }
+            },
+            { type: 'setpoint', attribute: 'targetTemperature', command: 'setTargetTemperature', step: 1 }
+        ],
+        renderCard: (state, gateway) => {
+            const climate = gateway && gateway.getRetained('room/temperature');
+            return renderReadout(climate ? `Outdoor ${climate.outdoor.toFixed(1)}°C` : 'Outdoor', formatCompressorStatus(state));
+        }
+    });
+
+    registry.register('device', 'waterHeater', {
+        name: 'Water Heater',
+        icon: '🚿',
+        options: [{ name: 'volumeLitres', label: 'Tank volume', unit: 'L', default: 150, min: 10, max: 1000 }],
+        create: (id, name, options) => new core.WaterHeater(id, name, options.volumeLitres),
+        schema: {
+            isOn: { type: 'boolean' },
+            mode: { type: 'enum', values: core.WaterHeater.MODES },
+            targetTemperature: { type: 'number', min: 30, max: 70, unit: '°C' },
+            currentWaterTemp: { type: 'number', unit: '°C' },
+            hotWaterLitres: { type: 'number', unit: 'L' },
+            legionellaCycle: { type: 'boolean' }
+        },
+        capabilities: [
+            'onOff',
+            {
+                type: 'mode', attribute: 'mode', command: 'setMode',
+                labels: { normal: '🚿 Normal', eco: '🌿 Eco', boost: '🚀 Boost' }
+            },
+            { type: 'setpoint', attribute: 'targetTemperature', command: 'setTargetTemperature', step: 5, label: 'Target' }
+        ],
+        // Litres of shower-temperature water left, and any legionella cycle running
+        renderCard: state => renderReadout('Water Temp:', `${state.currentWaterTemp}°C`) +
+            renderReadout('Hot water (40°C):', `≈${state.hotWaterLitres} L${state.legionellaCycle ? ' · 🦠 Legionella cycle' : ''}`)
+    });
+
+    registry.register('device', 'solar', {
+        name: 'Solar Array',
+        icon: '🔆',
+        options: [{ name: 'peakWatts', label: 'Peak power', unit: 'W', default: 4000, min: 100, max: 50000 }],
+        create: (id, name, options) => new core.SolarPanel(id, name, options.peakWatts),
+        schema: {
+            isOn: { type: 'boolean' },
+            generation: { type: 'number', unit: 'W' },
+            cloudCover: { type: 'number', min: 0, max: 100, unit: '%' }
+        },
+        capabilities: ['onOff'],
+        renderCard: state => renderReadout('Cloud cover:', `${state.cloudCover}%`),
+        formatPower: state => `${state.generation} W generated`
+    });
+
+    registry.register('device', 'battery', {
+        name: 'Home Battery',
+        icon: '🔋',
+        options: [{ name: 'capacityKWh', label: 'Capacity', unit: 'kWh', default: 10, min: 1, max: 100 }],
+        create: (id, name, options) => new core.HomeBattery(id, name, options.capacityKWh),
+        schema: {
+            isOn: { type: 'boolean' },
+            mode: { type: 'enum', values: core.HomeBattery.MODES },
+            reserve: { type: 'number', min: 0, max: 100, unit: '%' },
+            stateOfCharge: { type: 'number', min: 0, max: 100, unit: '%' },
+            batteryPower: { type: 'number', unit: 'W' }
+        },
+        capabilities: [
+            'onOff',
+            {
+                type: 'mode', attribute: 'mode', command: 'setMode',
+                labels: { auto: '🔄 Auto', charge: '⚡ Charge', hold: '⏸ Hold' }
+            }
+        ],
+        renderCard: state => `
+            <div class="battery-charge">
+                <progress max="100" value="${state.stateOfCharge}"></progress>
+                <span class="value">${state.stateOfCharge}%</span>
+            </div>
+        `,
+        // Power stored or supplied rather than drawn
+        formatPower: state => {
+            if (state.batteryPower > 0) return `${state.batteryPower} W discharging`;
+            if (state.batteryPower < 0) return `${-state.batteryPower} W charging`;
+            return 'Idle';
+        }
+    });
+
+    registry.register('device', 'colorLight', {
+        name: 'Color Light',
+        icon: '🌈',
+        class: core.ColorLight,
+        schema: {
+            isOn: { type: 'boolean' },
+            brightness: { type: 'number', min: 0, max: 100, unit: '%' },
+            colorMode: { type: 'enum', values: ['hs', 'ct'] },
+            hue: { type: 'number', min: 0, max: 359, unit: '°' },
+            saturation: { type: 'number', min: 0, max: 100, unit: '%' },
+            colorTemperature: { type: 'number', min: core.ColorLight.MIN_KELVIN, max: core.ColorLight.MAX_KELVIN, unit: 'K' }
+        },
+        capabilities: [
+            'onOff',
+            { type: 'level', attribute: 'brightness', command: 'setBrightness' },
+            { type: 'level', attribute: 'colorTemperature', command: 'setColorTemperature', label: 'White' },
+            { type: 'level', attribute: 'hue', command: 'setHue', label: 'Hue' }
+        ],
+        renderCard: state => `
+            <div class="device-readout">
+                <span class="label">Color:</span>
+                <span class="value"><span class="color-swatch" style="background: ${formatLightColor(state)}"></span></span>
+            </div>
+        `
+    });
+
+    registry.register('device', 'smartPlug', {
+        name: 'Smart Plug',
+        icon: '🔌',
+        options: [{ name: 'loadWatts', label: 'Attached load', unit: 'W', default: 100, min: 0, max: 3680 }],
+        create: (id, name, options) => new core.SmartPlug(id, name, options.loadWatts),
+        schema: {
+            isOn: { type: 'boolean' },
+            loadWatts: { type: 'number', min: 0, max: 3680, unit: 'W' },
+            energy: { type: 'number', unit: 'kWh' }
+        },
+        capabilities: ['onOff'],
+        renderCard: state => renderReadout('Load:', `${state.loadWatts} W`) +
+            renderReadout('Metered:', `${state.energy.toFixed(2)} kWh`)
+    });
+
+    registry.register('device', 'blinds', {
+        name: 'Blinds',
+        icon: '🪟',
+        options: [{ name: 'travelSeconds', label: 'Travel time', unit: 's', default: 20, min: 1, max: 120 }],
+        create: (id, name, options) => new core.Blinds(id, name, options.travelSeconds),
+        schema: {
+            isOn: { type: 'boolean' },
+            position: { type: 'number', min: 0, max: 100, unit: '%' },
+            targetPosition: { type: 'number', min: 0, max: 100, unit: '%' },
+            moving: { type: 'boolean' }
+        },
+        capabilities: [{ type: 'level', attribute: 'position', command: 'setPosition', label: 'Open' }],
+        formatStatus: state => {
+            if (!state.moving) return state.position === 0 ? 'Closed' : `Open ${state.position}%`;
+            return state.targetPosition > state.position ? 'Opening…' : 'Closing…';
+        }
+    });
+
+    registry.register('device', 'doorLock', {
+        name: 'Door Lock',
+        icon: '🔐',
+        create: (id, name) => new core.DoorLock(id, name),
+        schema: {
+            lockState: { type: 'enum', values: ['locked', 'unlocked', 'jammed'] },
+            keypadDisabled: { type: 'boolean' }
+        },
+        capabilities: [{
+            type: 'mode', attribute: 'lockState', command: 'setLockState', values: ['locked', 'unlocked'],
+            labels: { locked: '🔒 Lock', unlocked: '🔓 Unlock' }
+        }],
+        renderCard: state => renderReadout('PIN codes:', `${state.pinNames.length}${state.keypadDisabled ? ' · ⛔ Keypad disabled' : ''}`),
+        formatStatus: state => ({ locked: '🔒 Locked', unlocked: '🔓 Unlocked', jammed: '⚠️ Jammed' })[state.lockState]
+    });
+
+    registry.register('device', 'ceilingFan', {
+        name: 'Ceiling Fan',
+        icon: '🌀',
+        options: [{ name: 'maxWatts', label: 'Power at high speed', unit: 'W', default: 75, min: 10, max: 300 }],
+        create: (id, name, options) => new core.CeilingFan(id, name, options.maxWatts),
+        schema: {
+            isOn: { type: 'boolean' },
+            speed: { type: 'enum', values: core.CeilingFan.SPEEDS }
+        },
+        capabilities: [
+            'onOff',
+            { type: 'mode', attribute: 'speed', command: 'setSpeed', labels: { low: 'Low', medium: 'Medium', high: 'High' } }
+        ]
+    });
+
+    [
+        ['temperature', 'Temperature', '🌡️', core.TemperatureSensor,
+            state => state.value > 26 ? 'hot' : state.value < 20 ? 'cold' : 'normal'],
+        ['humidity', 'Humidity', '💧', core.HumiditySensor,
+            state => state.value > 70 ? 'high' : state.value < 30 ? 'low' : 'normal'],
+        ['motion', 'Motion', '🚶', core.MotionSensor,
+            state => state.value ? 'active' : 'inactive'],
+        ['light', 'Ambient Light', '☀️', core.LightSensor,
+            state => state.value < 300 ? 'low' : 'normal'],
+        ['distance', 'Distance', '📏', core.DistanceSensor],
+        ['power', 'Power Consumption', '⚡', core.PowerSensor],
+        ['solarPower', 'Solar Generation', '🔆', core.SolarPowerSensor],
+        ['gridPower', 'Grid Power', '🔌', core.GridPowerSensor],
+        ['batteryCharge', 'Battery Charge', '🔋', core.BatteryChargeSensor]
+    ].forEach(([type, name, icon, SensorClass, indicator]) => {
+        registry.register('sensor', type, {
+            name,
+            icon,
+            class: SensorClass,
+            schema: { value: type === 'motion' ? { type: 'boolean' } : { type: 'number' } },
+            ...(indicator ? { indicator } : {}),
+            ...(type === 'motion' ? { formatValue: state => state.value ? 'Detected' : 'No Motion' } : {})
+        });
+    });
+
+    registry.register('sensor', 'co2', {
+        name: 'Air Quality',
+        icon: '🌬️',
+        options: [{ name: 'roomVolume', label: 'Room volume', unit: 'm³', default: 50, min: 5, max: 2000 }],
+        create: (id, name, options) => new core.CO2Sensor(id, name, options.roomVolume),
+        schema: {
+            value: { type: 'number', min: 400, max: 5000, unit: 'ppm' },
+            voc: { type: 'number', min: 0, max: 500 }
+        },
+        formatValue: state => `${Math.round(state.value)}`,
+        indicator: alarmIndicator
+    });
+
+    registry.register('sensor', 'contact', {
+        name: 'Window/Door Contact',
+        icon: '🚪',
+        options: [{ name: 'airflow', label: 'Airflow when open', unit: 'm³/h', default: 200, min: 0, max: 2000 }],
+        create: (id, name, options) => new core.ContactSensor(id, name, options.airflow),
+        schema: { value: { type: 'boolean' } },
+        formatValue: state => state.value ? 'Open' : 'Closed',
+        indicator: state => state.value ? 'high' : 'normal'
+    });
+
+    registry.register('sensor', 'smoke', {
+        name: 'Smoke',
+        icon: '🔥',
+        options: [{ name: 'roomVolume', label: 'Room volume', unit: 'm³', default: 50, min: 5, max: 2000 }],
+        create: (id, name, options) => new core.SmokeSensor(id, name, options.roomVolume),
+        schema: { value: { type: 'number', min: 0, max: 30, unit: '%/m' } },
+        indicator: alarmIndicator
+    });
+
+    registry.register('sensor', 'waterLeak', {
+        name: 'Water Leak',
+        icon: '💦',
+        class: core.WaterLeakSensor,
+        schema: { value: { type: 'boolean' } },
+        formatValue: state => state.value ? 'Wet' : 'Dry',
+        indicator: alarmIndicator
+    });
+
+    // Added from the wizard, a meter takes the circuit of the room it is placed in
+    registry.register('sensor', 'circuit', {
+        name: 'Circuit Meter',
+        icon: '🎛️',
+        options: [{ name: 'ratedWatts', label: 'Breaker rating', unit: 'W', default: 3680, min: 100, max: 23000 }],
+        create: (id, name, options) => new core.CircuitMeter(id, name, options.ratedWatts),
+        schema: {
+            value: { type: 'number', unit: 'W' },
+            energy: { type: 'number', unit: 'kWh' }
+        },
+        // Followed by the unit, W
+        formatValue: state => `${state.energy.toFixed(2)} kWh · ${Math.round(state.value)}`,
+        indicator: alarmIndicator
+    });
+
+    return registry;
+}
+
+// Browser registry; third-party types register on it before devices are added
+const deviceTypes = typeof gateway !== 'undefined' ? createDefaultDeviceTypes(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DeviceTypeRegistry,
+        createDefaultDeviceTypes,
+        validateTypePlugin,
+        escapeHtml,
+        renderReadout
+    };
+}
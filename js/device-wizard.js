@@ -0,0 +1,99 @@
+/**
+ * Device Wizard
+ * Dashboard flow for adding a device or sensor of any registered type while
+ * the home runs: pick the type, then name it, give it an id and a room.
+ * Its card appears once the gateway announces the registration
+ */
+
+function openDeviceWizard() {
+    const form = document.getElementById('device-wizard');
+    if (!form) return;
+
+    form.reset();
+    form.hidden = false;
+    updateWizardTypes();
+    showWizardStep('type');
+}
+
+function closeDeviceWizard() {
+    const form = document.getElementById('device-wizard');
+    if (form) form.hidden = true;
+}
+
+function showWizardStep(step) {
+    document.getElementById('dw-step-type').hidden = step !== 'type';
+    document.getElementById('dw-step-details').hidden = step !== 'details';
+    document.getElementById('dw-error').textContent = '';
+}
+
+function getWizardClientType() {
+    return document.getElementById('dw-kind').value;
+}
+
+// Offer the registered types of the chosen kind
+function updateWizardTypes() {
+    document.getElementById('dw-type').innerHTML = deviceTypes.getTypes(getWizardClientType())
+        .map(type => `<option value="${type.type}">${escapeHtml(type.name)}</option>`)
+        .join('');
+}
+
+// Second step: suggest a name and a free id, and offer the rooms and the type's options
+function showWizardDetails() {
+    const clientType = getWizardClientType();
+    const definition = deviceTypes.get(clientType, document.getElementById('dw-type').value);
+    if (!definition) return;
+
+    document.getElementById('dw-name').value = definition.name;
+    document.getElementById('dw-id').value = suggestClientId(clientType, definition.type);
+    document.getElementById('dw-room').innerHTML = '<option value="">Whole home</option>' + gateway.getAllRooms()
+        .map(room => `<option value="${room.id}">${escapeHtml(room.name)}</option>`)
+        .join('');
+    document.getElementById('dw-options').innerHTML = definition.options.map(option => `
+        <div class="builder-row">
+            <span class="builder-label">${escapeHtml(option.label)}</span>
+            <input type="number" class="builder-input dw-option" data-option="${option.name}"
+                   value="${option.default}" min="${option.min}" max="${option.max}">
+            <span class="builder-label">${escapeHtml(option.unit || '')}</span>
+        </div>
+    `).join('');
+
+    showWizardStep('details');
+}
+
+// First free id made of the type and a number, e.g. light4
+function suggestClientId(clientType, type) {
+    let number = 1;
+    while (gateway.getRoomClient(clientType, `${type}${number}`)) number++;
+    return `${type}${number}`;
+}
+
+// Build a type descriptor from the form
+function readDeviceWizard() {
+    const name = document.getElementById('dw-name').value.trim();
+    const room = document.getElementById('dw-room').value;
+    const options = {};
+    document.querySelectorAll('#dw-options .dw-option').forEach(input => {
+        options[input.dataset.option] = input.value === '' ? NaN : Number(input.value);
+    });
+
+    return {
+        type: document.getElementById('dw-type').value,
+        id: document.getElementById('dw-id').value.trim(),
+        ...(name ? { name } : {}),
+        ...(room ? { room } : {}),
+        ...(Object.keys(options).length > 0 ? { options } : {})
+    };
+}
+
+// Add the device or sensor; rejected descriptors keep the form open with the error shown
+function submitDeviceWizard(event) {
+    event.preventDefault();
+
+    try {
+        simulation.addClient(getWizardClientType(), readDeviceWizard());
+    } catch (error) {
+        document.getElementById('dw-error').textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    closeDeviceWizard();
+}
@@ -2,6 +2,11 @@
  * Device Classes for Smart Home Simulation
  */
 
+// Cluster definitions: required under Node, globals in the browser
+const DeviceClusters = typeof module !== 'undefined' && module.exports
+    ? require('./clusters')
+    : { CLUSTERS, getClusterSchema, validateClusterValue };
+
 // Base Device Class
 class Device {
     constructor(id, name, maxPowerWatts) {
@@ -10,6 +15,9 @@ class Device {
         this.isOn = false;
         this.maxPowerWatts = maxPowerWatts;
         this.gateway = null;
+        this.room = null; // set when the gateway places the device in a room
+        this.shed = false; // paused by the gateway's load shedding
+        this.sheddingPriority = 50; // lower is shed first; null is never shed
     }
 
     turnOn() {
@@ -30,18 +38,160 @@ class Device {
         this.isOn ? this.turnOff() : this.turnOn();
     }
 
-    getCurrentPowerConsumption() {
+    // Simulation time from the gateway clock
+    now() {
+        return this.gateway ? this.gateway.clock.now() : Date.now();
+    }
+
+    // Advance any internal simulation by dt milliseconds (override in subclasses)
+    update(dt) {
+    }
+
+    // Power the device would draw if it were not shed (override in subclasses)
+    getPowerDemand() {
         return this.isOn ? this.maxPowerWatts : 0;
     }
 
+    getCurrentPowerConsumption() {
+        return this.shed ? 0 : this.getPowerDemand();
+    }
+
+    // Power the device generates (override in generating devices such as solar panels)
+    getGeneration() {
+        return 0;
+    }
+
+    // Pause or resume the device for load shedding; it stays on meanwhile
+    setShed(shed) {
+        if (this.shed !== shed) {
+            this.shed = shed;
+            this.onStateChange();
+        }
+    }
+
+    // Commands accepted on the device/<id>/set channel
+    getCommands() {
+        return ['turnOn', 'turnOff', 'toggle'];
+    }
+
+    // Return an error message when a command value is invalid
+    validateCommand(command, value) {
+        return null;
+    }
+
+    // The command value as it may appear on the bus; secrets are masked
+    // (the device itself still receives the real value)
+    redactCommandValue(command, value) {
+        return value;
+    }
+
+    // Run a command received through the gateway, throwing when it is rejected
+    executeCommand(command, value) {
+        if (!this.getCommands().includes(command)) {
+            throw new Error(`Unknown command '${command}' for device '${this.id}'`);
+        }
+
+        const error = this.validateCommand(command, value);
+        if (error) {
+            throw new Error(error);
+        }
+
+        this[command](value);
+    }
+
+    // Standard clusters the device is composed of (see clusters.js). Each class
+    // binds them to its state and commands in its CLUSTERS
+    getClusters() {
+        return Object.keys(this.constructor.CLUSTERS);
+    }
+
+    hasCluster(cluster) {
+        return this.getClusters().includes(cluster);
+    }
+
+    // Attribute schemas and commands of each cluster, for discovery
+    describeClusters() {
+        const description = {};
+        Object.entries(this.constructor.CLUSTERS).forEach(([cluster, binding]) => {
+            description[cluster] = {
+                name: DeviceClusters.CLUSTERS[cluster].name,
+                attributes: DeviceClusters.getClusterSchema(cluster, binding),
+                commands: Object.keys(binding.commands || {})
+            };
+        });
+        return description;
+    }
+
+    // Current attribute values of one cluster
+    getClusterAttributes(cluster) {
+        const attributes = {};
+        Object.entries(this.constructor.CLUSTERS[cluster].attributes).forEach(([name, read]) => {
+            attributes[name] = read(this);
+        });
+        return attributes;
+    }
+
+    // Device command behind a cluster command, throwing when the device does not implement it
+    getClusterCommand(cluster, command) {
+        const binding = this.constructor.CLUSTERS[cluster];
+        if (!binding) {
+            throw new Error(`Device '${this.id}' has no cluster '${cluster}'`);
+        }
+        if (!binding.commands || !binding.commands[command]) {
+            throw new Error(`Cluster '${cluster}' of device '${this.id}' has no command '${command}'`);
+        }
+        return binding.commands[command];
+    }
+
+    // Return an error message when a cluster command or its argument is invalid
+    validateClusterCommand(cluster, command, value) {
+        let deviceCommand;
+        try {
+            deviceCommand = this.getClusterCommand(cluster, command);
+        } catch (error) {
+            return error.message;
+        }
+
+        const argument = DeviceClusters.CLUSTERS[cluster].commands[command].argument;
+        if (argument) {
+            const schema = DeviceClusters.getClusterSchema(cluster, this.constructor.CLUSTERS[cluster]);
+            const error = DeviceClusters.validateClusterValue(schema[argument], value);
+            if (error) return `Invalid ${argument} for ${cluster}.${command}: ${error}`;
+        }
+        return this.validateCommand(deviceCommand, value);
+    }
+
+    // Run a cluster command (e.g. levelControl.moveToLevel) as the device command it is bound to
+    executeClusterCommand(cluster, command, value) {
+        const error = this.validateClusterCommand(cluster, command, value);
+        if (error) {
+            throw new Error(error);
+        }
+        this.executeCommand(this.getClusterCommand(cluster, command), value);
+    }
+
+    // State saved by the persistence layer (extend in subclasses)
+    saveState() {
+        return { isOn: this.isOn, shed: this.shed };
+    }
+
+    // Restore saved state without running commands, then republish it
+    restoreState(state) {
+        Object.keys(this.saveState()).forEach(key => {
+            if (state[key] !== undefined) this[key] = state[key];
+        });
+        this.onStateChange();
+    }
+
     onStateChange() {
         if (this.gateway) {
             this.gateway.publish(`device/${this.id}/state`, {
                 id: this.id,
                 name: this.name,
                 isOn: this.isOn,
+                shed: this.shed,
                 power: this.getCurrentPowerConsumption()
-            });
+            }, { retain: true });
         }
     }
 
@@ -49,18 +199,32 @@ class Device {
         return {
             id: this.id,
             name: this.name,
+            room: this.room,
             isOn: this.isOn,
+            shed: this.shed,
             power: this.getCurrentPowerConsumption(),
             maxPower: this.maxPowerWatts
         };
     }
 }
 
+// Every device switches on and off and meters its power
+Device.CLUSTERS = {
+    onOff: {
+        attributes: { onOff: device => device.isOn },
+        commands: { on: 'turnOn', off: 'turnOff', toggle: 'toggle' }
+    },
+    powerMeasurement: {
+        attributes: { activePower: device => Math.round(device.getCurrentPowerConsumption() - device.getGeneration()) }
+    }
+};
+
 // Light Device
 class Light extends Device {
     constructor(id, name) {
         super(id, name, 60); // 60W LED equivalent
         this.brightness = 100; // 0-100%
+        this.sheddingPriority = 90;
     }
 
     setBrightness(level) {
@@ -69,15 +233,30 @@ class Light extends Device {
             this.gateway.publish(`device/${this.id}/brightness`, {
                 id: this.id,
                 brightness: this.brightness
-            });
+            }, { retain: true });
         }
     }
 
-    getCurrentPowerConsumption() {
+    getPowerDemand() {
         if (!this.isOn) return 0;
         return (this.maxPowerWatts * this.brightness) / 100;
     }
 
+    saveState() {
+        return { ...super.saveState(), brightness: this.brightness };
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setBrightness'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setBrightness' && !Number.isFinite(value)) {
+            return `Brightness must be a number, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
     getState() {
         return {
             ...super.getState(),
@@ -87,24 +266,102 @@ class Light extends Device {
     }
 }
 
+Light.CLUSTERS = {
+    ...Device.CLUSTERS,
+    levelControl: {
+        attributes: { currentLevel: light => light.brightness },
+        commands: { moveToLevel: 'setBrightness' }
+    }
+};
+
 // Air Conditioner Device
+// A thermostat cycles the compressor around targetTemperature, reading the
+// temperature sensor: it starts once the room is `deadband` past the target
+// and stops once it is `deadband` past it the other way, and rests at least
+// minOffTime between runs. While the compressor rests only the fan runs
 class AirConditioner extends Device {
     constructor(id, name) {
-        super(id, name, 1500); // 1500W
+        super(id, name, 1500); // 1500W compressor
         this.mode = 'cool'; // cool, heat, auto, fan
         this.targetTemperature = 24;
         this.fanSpeed = 'auto'; // low, medium, high, auto
+        this.sheddingPriority = 20;
+        this.coolingCapacity = 3500; // W of heat removed at full speed
+        this.heatingCapacity = 4000; // W of heat added at full speed
+        this.deadband = 0.5; // °C either side of the target
+        this.minOffTime = 180000; // ms
+        this.compressorOn = false;
+        this.activeMode = 'cool'; // what the compressor does: cool or heat
+        this.compressorStoppedAt = null;
+    }
+
+    // Room temperature as the thermostat sees it: the temperature sensor in
+    // the AC's room, or the home's when the room has none
+    getRoomTemperature() {
+        const sensor = this.gateway
+            ? this.gateway.findSensor('temperature', this.room) || this.gateway.findSensor('temperature')
+            : null;
+        return sensor ? sensor.value : this.targetTemperature;
+    }
+
+    // Thermostat: switch the compressor on the room temperature
+    update() {
+        if (!this.isOn || this.mode === 'fan') {
+            this.setCompressor(false);
+            return;
+        }
+
+        const temperature = this.getRoomTemperature();
+        const error = temperature - this.targetTemperature;
+
+        if (this.compressorOn) {
+            const satisfied = this.activeMode === 'cool' ? error <= -this.deadband : error >= this.deadband;
+            const allowed = this.mode === 'auto' || this.mode === this.activeMode;
+            if (satisfied || !allowed) this.setCompressor(false);
+            return;
+        }
+
+        const rested = this.compressorStoppedAt === null || this.now() - this.compressorStoppedAt >= this.minOffTime;
+        const wantsCooling = (this.mode === 'cool' || this.mode === 'auto') && error >= this.deadband;
+        // Auto mode heats only once the room is well below the target
+        const wantsHeating = (this.mode === 'heat' && error <= -this.deadband) ||
+            (this.mode === 'auto' && error <= -2 * this.deadband);
+
+        if (rested && (wantsCooling || wantsHeating)) {
+            this.activeMode = wantsCooling ? 'cool' : 'heat';
+            this.setCompressor(true);
+        }
+    }
+
+    setCompressor(on) {
+        if (this.compressorOn === on) return;
+        this.compressorOn = on;
+        if (!on) this.compressorStoppedAt = this.now();
+        this.onStateChange();
+    }
+
+    // Share of full capacity at the current fan speed. 'auto' runs flat out
+    // while the room is far from the target
+    getSpeedFactor() {
+        if (this.fanSpeed === 'auto') {
+            return Math.abs(this.getRoomTemperature() - this.targetTemperature) > 2 ? 1 : 0.7;
+        }
+        return AirConditioner.SPEED_FACTORS[this.fanSpeed];
+    }
+
+    turnOff() {
+        this.setCompressor(false);
+        super.turnOff();
     }
 
     setMode(mode) {
-        const validModes = ['cool', 'heat', 'auto', 'fan'];
-        if (validModes.includes(mode)) {
+        if (AirConditioner.MODES.includes(mode)) {
             this.mode = mode;
             if (this.gateway) {
                 this.gateway.publish(`device/${this.id}/mode`, {
                     id: this.id,
                     mode: this.mode
-                });
+                }, { retain: true });
             }
         }
     }
@@ -115,27 +372,64 @@ class AirConditioner extends Device {
             this.gateway.publish(`device/${this.id}/target-temp`, {
                 id: this.id,
                 targetTemperature: this.targetTemperature
-            });
+            }, { retain: true });
         }
     }
 
     setFanSpeed(speed) {
-        const validSpeeds = ['low', 'medium', 'high', 'auto'];
-        if (validSpeeds.includes(speed)) {
+        if (AirConditioner.FAN_SPEEDS.includes(speed)) {
             this.fanSpeed = speed;
         }
     }
 
-    getCurrentPowerConsumption() {
-        if (!this.isOn) return 0;
-        // Simulate variable power based on mode
-        const modeMultiplier = {
-            'cool': 1.0,
-            'heat': 1.2,
-            'auto': 0.8,
-            'fan': 0.1
+    getCommands() {
+        return [...super.getCommands(), 'setMode', 'setTargetTemperature', 'setFanSpeed'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setMode' && !AirConditioner.MODES.includes(value)) {
+            return `Invalid mode '${value}', expected one of ${AirConditioner.MODES.join(', ')}`;
+        }
+        if (command === 'setFanSpeed' && !AirConditioner.FAN_SPEEDS.includes(value)) {
+            return `Invalid fan speed '${value}', expected one of ${AirConditioner.FAN_SPEEDS.join(', ')}`;
+        }
+        if (command === 'setTargetTemperature' && !Number.isFinite(value)) {
+            return `Target temperature must be a number, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            mode: this.mode,
+            targetTemperature: this.targetTemperature,
+            fanSpeed: this.fanSpeed,
+            compressorOn: this.compressorOn,
+            activeMode: this.activeMode,
+            compressorStoppedAt: this.compressorStoppedAt
         };
-        return this.maxPowerWatts * (modeMultiplier[this.mode] || 1);
+    }
+
+    // The compressor's draw scales with fan speed (heating draws 20% more);
+    // a resting compressor leaves only the fan
+    getPowerDemand() {
+        if (!this.isOn) return 0;
+        const fan = AirConditioner.FAN_POWER * this.getSpeedFactor();
+        if (!this.compressorOn) return fan;
+        return fan + this.maxPowerWatts * (this.activeMode === 'heat' ? 1.2 : 1) * this.getSpeedFactor();
+    }
+
+    // Heat put into the room (W, negative while cooling). Humid air takes part
+    // of the cooling capacity to condense moisture, leaving less to cool the room
+    getHeatOutput({ humidity = 50 } = {}) {
+        const power = this.getCurrentPowerConsumption();
+        if (!this.compressorOn || this.shed || power === 0) return power; // the fan's motor heat
+
+        const capacity = this.getSpeedFactor();
+        if (this.activeMode === 'heat') return this.heatingCapacity * capacity;
+        const sensibleShare = Math.max(0.6, Math.min(0.9, 1.1 - humidity / 200));
+        return -this.coolingCapacity * capacity * sensibleShare;
     }
 
     getState() {
@@ -144,18 +438,69 @@ class AirConditioner extends Device {
             mode: this.mode,
             targetTemperature: this.targetTemperature,
             fanSpeed: this.fanSpeed,
+            compressorOn: this.compressorOn,
+            activeMode: this.activeMode,
             type: 'ac'
         };
     }
 }
 
+AirConditioner.MODES = ['cool', 'heat', 'auto', 'fan'];
+AirConditioner.FAN_SPEEDS = ['low', 'medium', 'high', 'auto'];
+AirConditioner.SPEED_FACTORS = { low: 0.6, medium: 0.8, high: 1 };
+AirConditioner.FAN_POWER = 150; // W at full speed
+
+AirConditioner.CLUSTERS = {
+    ...Device.CLUSTERS,
+    thermostat: {
+        attributes: {
+            localTemperature: ac => Math.round(ac.getRoomTemperature() * 10) / 10,
+            setpoint: ac => ac.targetTemperature,
+            systemMode: ac => ac.mode,
+            runningState: ac => {
+                if (!ac.isOn || ac.shed) return 'idle';
+                if (!ac.compressorOn) return 'fan';
+                return ac.activeMode === 'heat' ? 'heating' : 'cooling';
+            }
+        },
+        commands: { setSetpoint: 'setTargetTemperature', setSystemMode: 'setMode' },
+        schema: { setpoint: { min: 16, max: 30 }, systemMode: { values: AirConditioner.MODES } }
+    },
+    fanControl: {
+        attributes: { fanMode: ac => ac.fanSpeed },
+        commands: { setFanMode: 'setFanSpeed' },
+        schema: { fanMode: { values: AirConditioner.FAN_SPEEDS } }
+    }
+};
+
 // Water Heater Device
+// A hot water tank: the element heats the water, the tank loses heat to the
+// room and every hot water draw (showers, dishwasher, taps) refills it with
+// cold water. A thermostat with a deadband switches the element. Modes:
+//   normal  hold targetTemperature
+//   eco     hold at most ECO_TEMPERATURE
+//   boost   heat once to BOOST_TEMPERATURE, then return to the previous mode
+// Whatever the mode, a tank that has not reached LEGIONELLA_TEMPERATURE for a
+// week is pasteurized during the next night window (02:00-05:00)
 class WaterHeater extends Device {
-    constructor(id, name) {
-        super(id, name, 2000); // 2000W
+    constructor(id, name, volumeLitres = 150) {
+        super(id, name, 2000); // 2000W element
+        this.volume = volumeLitres;
         this.targetTemperature = 50; // degrees C
-        this.currentWaterTemp = 25;
+        this.currentWaterTemp = 50;
         this.isHeating = false;
+        this.reachedSetpoint = false;
+        this.sheddingPriority = 10;
+        this.mode = 'normal';
+        this.previousMode = 'normal'; // mode a boost returns to
+        this.deadband = 4; // °C below the setpoint before the element starts
+        this.standbyLoss = 1.5; // W/K lost to the room
+        this.inletTemperature = 12; // °C of the cold water refilling the tank
+        this.standbyPower = 50; // W for the controls
+        this.draws = []; // hot water running now: { name, litres, until }
+        this.usageProfile = WaterHeater.USAGE_PROFILE.map(event => ({ ...event }));
+        this.lastPasteurized = null; // last time the tank reached LEGIONELLA_TEMPERATURE
+        this.legionellaCycle = false;
     }
 
     setTargetTemperature(temp) {
@@ -164,32 +509,181 @@ class WaterHeater extends Device {
             this.gateway.publish(`device/${this.id}/target-temp`, {
                 id: this.id,
                 targetTemperature: this.targetTemperature
-            });
+            }, { retain: true });
         }
     }
 
-    // Simulate water heating
-    update() {
-        if (this.isOn) {
-            if (this.currentWaterTemp < this.targetTemperature) {
-                this.currentWaterTemp += 0.5;
-                this.isHeating = true;
-            } else {
-                this.isHeating = false;
-            }
+    setMode(mode) {
+        if (!WaterHeater.MODES.includes(mode)) return;
+        if (mode === 'boost' && this.mode !== 'boost') this.previousMode = this.mode;
+        this.mode = mode;
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/mode`, {
+                id: this.id,
+                mode: this.mode
+            }, { retain: true });
+        }
+    }
+
+    // Run hot water: `litres` drawn evenly over `minutes` (at once for 0)
+    drawWater(litres, minutes = 0, name = 'Hot water') {
+        this.draws.push({ name, litres, minutes, until: this.now() + minutes * 60000, remaining: litres });
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/draw`, { id: this.id, name, litres, minutes });
+        }
+        if (minutes === 0) this.applyDraws(0);
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setTargetTemperature', 'setMode', 'drawWater'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setTargetTemperature' && !Number.isFinite(value)) {
+            return `Target temperature must be a number, got '${value}'`;
+        }
+        if (command === 'setMode' && !WaterHeater.MODES.includes(value)) {
+            return `Invalid mode '${value}', expected one of ${WaterHeater.MODES.join(', ')}`;
+        }
+        if (command === 'drawWater' && !(Number.isFinite(value) && value > 0)) {
+            return `Litres drawn must be a number above 0, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    // Temperature the thermostat is holding the tank at right now
+    getSetpoint() {
+        if (this.mode === 'boost') return WaterHeater.BOOST_TEMPERATURE;
+        if (this.legionellaCycle) return WaterHeater.LEGIONELLA_TEMPERATURE;
+        if (this.mode === 'eco') return Math.min(this.targetTemperature, WaterHeater.ECO_TEMPERATURE);
+        return this.targetTemperature;
+    }
+
+    // Heat capacity of the full tank (J/K)
+    getHeatCapacity() {
+        return this.volume * 4186;
+    }
+
+    // Litres of 40°C water the tank can supply when mixed with cold water
+    getHotWaterLitres() {
+        if (this.currentWaterTemp <= 40) return 0;
+        return this.volume * (this.currentWaterTemp - this.inletTemperature) / (40 - this.inletTemperature);
+    }
+
+    // Room temperature around the tank, from its room's climate when it has one
+    getAmbientTemperature() {
+        const topic = this.room ? `home/${this.room}/climate` : 'room/temperature';
+        const room = this.gateway ? this.gateway.getRetained(topic) : undefined;
+        return room ? room.temperature : 20;
+    }
+
+    // Simulate the tank over dt ms: draws, standby loss, then the element.
+    // A shed heater cools like one that is off
+    update(dt = 0) {
+        const now = this.now();
+        if (this.lastPasteurized === null) this.lastPasteurized = now;
+        this.startScheduledDraws(now, dt);
+        this.applyDraws(dt);
+
+        const seconds = dt / 1000;
+        const capacity = this.getHeatCapacity();
+        const ambient = this.getAmbientTemperature();
+        this.currentWaterTemp = ambient + (this.currentWaterTemp - ambient) * Math.exp(-this.standbyLoss * seconds / capacity);
+
+        this.updateLegionellaCycle(now);
+        const setpoint = this.getSetpoint();
+        if (!this.isOn || this.shed) {
+            this.isHeating = false;
+        } else if (this.isHeating) {
+            // Heat until a step reaches the setpoint (or the setpoint drops)
+            this.isHeating = !this.reachedSetpoint && this.currentWaterTemp < setpoint;
         } else {
-            // Cool down slowly when off
-            if (this.currentWaterTemp > 25) {
-                this.currentWaterTemp -= 0.1;
+            // Boost and legionella cycles start at once, normal heating past the deadband
+            const deadband = this.mode === 'boost' || this.legionellaCycle ? 0 : this.deadband;
+            this.isHeating = this.currentWaterTemp < setpoint - deadband;
+        }
+
+        this.reachedSetpoint = false;
+        if (this.isHeating) {
+            this.currentWaterTemp = Math.min(setpoint, this.currentWaterTemp + this.maxPowerWatts * seconds / capacity);
+            if (this.currentWaterTemp >= setpoint) {
+                this.reachedSetpoint = true;
+                this.finishCycle(now);
             }
-            this.isHeating = false;
         }
     }
 
-    getCurrentPowerConsumption() {
+    // A reached setpoint ends a boost; a hot enough tank counts as pasteurized
+    finishCycle(now) {
+        if (this.currentWaterTemp >= WaterHeater.LEGIONELLA_TEMPERATURE) {
+            this.lastPasteurized = now;
+            this.legionellaCycle = false;
+        }
+        if (this.mode === 'boost') this.setMode(this.previousMode);
+    }
+
+    updateLegionellaCycle(now) {
+        if (this.legionellaCycle || !this.isOn) return;
+        const hour = new Date(now).getUTCHours();
+        const due = now - this.lastPasteurized >= WaterHeater.LEGIONELLA_INTERVAL;
+        if (due && hour >= 2 && hour < 5) {
+            this.legionellaCycle = true;
+            if (this.gateway) {
+                this.gateway.publish(`device/${this.id}/legionella`, { id: this.id, temperature: WaterHeater.LEGIONELLA_TEMPERATURE });
+            }
+        }
+    }
+
+    // Start the usage profile's draws whose time of day fell within the last dt ms
+    startScheduledDraws(now, dt) {
+        this.usageProfile.forEach(event => {
+            const date = new Date(now);
+            date.setUTCHours(Math.floor(event.hour), Math.round((event.hour % 1) * 60), 0, 0);
+            // The event today, or yesterday when the step crossed midnight
+            [date.getTime(), date.getTime() - 86400000].forEach(time => {
+                if (time > now - dt && time <= now) {
+                    const random = this.gateway ? this.gateway.random.next() : Math.random();
+                    if (random < event.probability) this.drawWater(event.litres, event.minutes, event.name);
+                }
+            });
+        });
+    }
+
+    // Replace the water drawn over the last dt ms with cold inlet water
+    applyDraws(dt) {
+        const now = this.now();
+        this.draws = this.draws.filter(draw => {
+            const litres = draw.minutes === 0 || now >= draw.until
+                ? draw.remaining
+                : Math.min(draw.remaining, draw.litres * dt / (draw.minutes * 60000));
+            const share = Math.min(1, litres / this.volume);
+            this.currentWaterTemp -= (this.currentWaterTemp - this.inletTemperature) * share;
+            draw.remaining -= litres;
+            return draw.remaining > 1e-9;
+        });
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            targetTemperature: this.targetTemperature,
+            currentWaterTemp: this.currentWaterTemp,
+            isHeating: this.isHeating,
+            reachedSetpoint: this.reachedSetpoint,
+            mode: this.mode,
+            previousMode: this.previousMode,
+            draws: this.draws,
+            lastPasteurized: this.lastPasteurized,
+            legionellaCycle: this.legionellaCycle
+        };
+    }
+
+    getPowerDemand() {
         if (!this.isOn) return 0;
-        // Only consume power when actively heating
-        return this.isHeating ? this.maxPowerWatts : 50; // 50W standby
+        // Only consume power when actively heating; a shed heater would heat
+        // whenever the tank is below its setpoint
+        const heating = this.shed ? this.currentWaterTemp < this.getSetpoint() - this.deadband : this.isHeating;
+        return heating ? this.maxPowerWatts : this.standbyPower;
     }
 
     getState() {
@@ -198,16 +692,781 @@ class WaterHeater extends Device {
             targetTemperature: this.targetTemperature,
             currentWaterTemp: Math.round(this.currentWaterTemp * 10) / 10,
             isHeating: this.isHeating,
+            mode: this.mode,
+            setpoint: this.getSetpoint(),
+            legionellaCycle: this.legionellaCycle,
+            hotWaterLitres: Math.round(this.getHotWaterLitres()),
+            volume: this.volume,
             type: 'waterHeater'
         };
     }
 }
 
-// Create device instances
-const devices = {
-    light1: new Light('light1', 'Living Room Light'),
-    light2: new Light('light2', 'Bedroom Light'),
-    light3: new Light('light3', 'Kitchen Light'),
-    ac: new AirConditioner('ac', 'Air Conditioner'),
-    waterHeater: new WaterHeater('waterHeater', 'Water Heater')
+WaterHeater.MODES = ['normal', 'eco', 'boost'];
+WaterHeater.ECO_TEMPERATURE = 45;
+WaterHeater.BOOST_TEMPERATURE = 65;
+WaterHeater.LEGIONELLA_TEMPERATURE = 60;
+WaterHeater.LEGIONELLA_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+// The thermostat holds the tank: its modes are the system modes
+WaterHeater.CLUSTERS = {
+    ...Device.CLUSTERS,
+    thermostat: {
+        attributes: {
+            localTemperature: heater => Math.round(heater.currentWaterTemp * 10) / 10,
+            setpoint: heater => heater.targetTemperature,
+            systemMode: heater => heater.mode,
+            runningState: heater => heater.isHeating ? 'heating' : 'idle'
+        },
+        commands: { setSetpoint: 'setTargetTemperature', setSystemMode: 'setMode' },
+        schema: {
+            setpoint: { min: 30, max: 70 },
+            systemMode: { values: WaterHeater.MODES },
+            runningState: { values: ['idle', 'heating'] }
+        }
+    }
 };
+
+// Typical day of hot water use: hour of day, litres drawn over minutes, and
+// the chance it happens on a given day
+WaterHeater.USAGE_PROFILE = [
+    { name: 'Morning shower', hour: 7, litres: 60, minutes: 8, probability: 0.9 },
+    { name: 'Second shower', hour: 7.5, litres: 50, minutes: 7, probability: 0.5 },
+    { name: 'Kitchen tap', hour: 12.5, litres: 5, minutes: 1, probability: 0.6 },
+    { name: 'Kitchen tap', hour: 18.5, litres: 8, minutes: 2, probability: 0.8 },
+    { name: 'Dishwasher', hour: 19.75, litres: 15, minutes: 20, probability: 0.7 },
+    { name: 'Bath', hour: 20.5, litres: 80, minutes: 10, probability: 0.3 }
+];
+
+// Solar PV Array
+// Generates rather than consumes power: output follows the simulated sun and
+// is dimmed by drifting cloud cover. Turning it off disables the inverter
+class SolarPanel extends Device {
+    constructor(id, name, peakWatts = 4000) {
+        super(id, name, 0);
+        this.peakWatts = peakWatts;
+        this.cloudCover = 0.2; // 0 clear - 1 overcast
+        this.output = 0; // W
+        this.isOn = true;
+        this.sheddingPriority = null;
+    }
+
+    update() {
+        const random = this.gateway ? this.gateway.random.next() : Math.random();
+        this.cloudCover = Math.max(0, Math.min(1, this.cloudCover + (random - 0.5) * 0.05));
+
+        const sun = this.gateway ? this.gateway.clock.getSunStrength() : 0;
+        this.output = this.peakWatts * sun * (1 - 0.75 * this.cloudCover);
+    }
+
+    getGeneration() {
+        return this.isOn ? this.output : 0;
+    }
+
+    saveState() {
+        return { ...super.saveState(), cloudCover: this.cloudCover, output: this.output };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            generation: Math.round(this.getGeneration()),
+            peakPower: this.peakWatts,
+            cloudCover: Math.round(this.cloudCover * 100),
+            type: 'solar'
+        };
+    }
+}
+
+// Home Battery
+// Stores energy. The gateway dispatches it every tick: in 'auto' mode it soaks
+// up solar surplus and covers shortfalls down to its reserve, in 'charge' mode
+// it charges at full rate (from the grid if needed) and in 'hold' mode it idles
+class HomeBattery extends Device {
+    constructor(id, name, capacityKWh = 10, maxChargeWatts = 3000, maxDischargeWatts = 3000) {
+        super(id, name, 0);
+        this.capacityKWh = capacityKWh;
+        this.maxChargeWatts = maxChargeWatts;
+        this.maxDischargeWatts = maxDischargeWatts;
+        this.efficiency = 0.95; // share of charging energy that is stored
+        this.mode = 'auto';
+        this.reserve = 10; // % never discharged below
+        this.energy = capacityKWh / 2; // kWh stored
+        this.power = 0; // W, positive while discharging, negative while charging
+        this.isOn = true;
+        this.sheddingPriority = null;
+    }
+
+    getStateOfCharge() {
+        return (this.energy / this.capacityKWh) * 100;
+    }
+
+    // Choose the battery's power for the last dt ms given the home's net load
+    // (consumption minus generation, W), limited by rates, reserve and capacity.
+    // Returns the power supplied (positive) or absorbed (negative)
+    dispatch(netLoad, dt) {
+        let power = 0;
+        if (this.isOn && this.mode === 'charge') {
+            power = -this.maxChargeWatts;
+        } else if (this.isOn && this.mode === 'auto') {
+            power = Math.max(-this.maxChargeWatts, Math.min(this.maxDischargeWatts, netLoad));
+        }
+
+        const hours = dt / 3600000;
+        if (!(hours > 0)) {
+            power = 0;
+        } else if (power > 0) {
+            const available = Math.max(0, this.energy - (this.capacityKWh * this.reserve) / 100);
+            power = Math.min(power, (available * 1000) / hours);
+            this.energy -= (power * hours) / 1000;
+        } else if (power < 0) {
+            const room = this.capacityKWh - this.energy;
+            power = Math.max(power, -(room * 1000) / hours / this.efficiency);
+            this.energy -= (power * hours * this.efficiency) / 1000;
+        }
+
+        this.power = power;
+        return power;
+    }
+
+    turnOff() {
+        this.power = 0;
+        super.turnOff();
+    }
+
+    setMode(mode) {
+        if (HomeBattery.MODES.includes(mode)) {
+            this.mode = mode;
+            if (this.gateway) {
+                this.gateway.publish(`device/${this.id}/mode`, {
+                    id: this.id,
+                    mode: this.mode
+                }, { retain: true });
+            }
+        }
+    }
+
+    setReserve(percent) {
+        this.reserve = Math.max(0, Math.min(100, percent));
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setMode', 'setReserve'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setMode' && !HomeBattery.MODES.includes(value)) {
+            return `Invalid mode '${value}', expected one of ${HomeBattery.MODES.join(', ')}`;
+        }
+        if (command === 'setReserve' && !Number.isFinite(value)) {
+            return `Reserve must be a number, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            mode: this.mode,
+            reserve: this.reserve,
+            energy: this.energy,
+            power: this.power
+        };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            mode: this.mode,
+            reserve: this.reserve,
+            stateOfCharge: Math.round(this.getStateOfCharge()),
+            batteryPower: Math.round(this.power),
+            capacity: this.capacityKWh,
+            type: 'battery'
+        };
+    }
+}
+
+HomeBattery.MODES = ['auto', 'charge', 'hold'];
+
+// Power drawn while charging, supplied (negative) while discharging
+HomeBattery.CLUSTERS = {
+    ...Device.CLUSTERS,
+    powerMeasurement: {
+        attributes: { activePower: battery => Math.round(-battery.power) }
+    }
+};
+
+// Color Light
+// A light that also shows colors (hue and saturation) or shades of white
+// (color temperature); whichever was set last is its color mode. It counts
+// as a light wherever lights are looked up by type
+class ColorLight extends Light {
+    constructor(id, name) {
+        super(id, name);
+        this.colorMode = 'ct'; // hs (hue and saturation) or ct (color temperature)
+        this.hue = 0; // degrees
+        this.saturation = 100; // %
+        this.colorTemperature = 2700; // K
+    }
+
+    setHue(hue) {
+        this.hue = ((hue % 360) + 360) % 360;
+        this.colorMode = 'hs';
+        this.publishColor();
+    }
+
+    setSaturation(saturation) {
+        this.saturation = Math.max(0, Math.min(100, saturation));
+        this.colorMode = 'hs';
+        this.publishColor();
+    }
+
+    setColorTemperature(kelvin) {
+        this.colorTemperature = Math.max(ColorLight.MIN_KELVIN, Math.min(ColorLight.MAX_KELVIN, kelvin));
+        this.colorMode = 'ct';
+        this.publishColor();
+    }
+
+    publishColor() {
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/color`, {
+                id: this.id,
+                colorMode: this.colorMode,
+                hue: this.hue,
+                saturation: this.saturation,
+                colorTemperature: this.colorTemperature
+            }, { retain: true });
+        }
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setHue', 'setSaturation', 'setColorTemperature'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setHue' && !Number.isFinite(value)) {
+            return `Hue must be a number, got '${value}'`;
+        }
+        if (command === 'setSaturation' && !Number.isFinite(value)) {
+            return `Saturation must be a number, got '${value}'`;
+        }
+        if (command === 'setColorTemperature' && !Number.isFinite(value)) {
+            return `Color temperature must be a number, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            colorMode: this.colorMode,
+            hue: this.hue,
+            saturation: this.saturation,
+            colorTemperature: this.colorTemperature
+        };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            colorMode: this.colorMode,
+            hue: this.hue,
+            saturation: this.saturation,
+            colorTemperature: this.colorTemperature,
+            type: 'colorLight',
+            baseType: 'light'
+        };
+    }
+}
+
+ColorLight.MIN_KELVIN = 2000;
+ColorLight.MAX_KELVIN = 6500;
+
+ColorLight.CLUSTERS = {
+    ...Light.CLUSTERS,
+    colorControl: {
+        attributes: {
+            colorMode: light => light.colorMode,
+            hue: light => light.hue,
+            saturation: light => light.saturation,
+            colorTemperature: light => light.colorTemperature
+        },
+        commands: {
+            moveToHue: 'setHue',
+            moveToSaturation: 'setSaturation',
+            moveToColorTemperature: 'setColorTemperature'
+        }
+    }
+};
+
+// Smart Plug
+// Switches and meters whatever is plugged into it: the attached load draws
+// its rated power while the plug is on, and the plug counts the energy it
+// passes. Readings are published on device/<id>/meter as the count grows.
+// Appliances turn what they draw into heat in the room
+class SmartPlug extends Device {
+    constructor(id, name, loadWatts = 100) {
+        super(id, name, loadWatts);
+        this.energy = 0; // kWh metered since the last reset
+        this.sheddingPriority = 60;
+    }
+
+    // Plug in a different appliance
+    setLoad(watts) {
+        this.maxPowerWatts = Math.max(0, watts);
+        this.onStateChange();
+    }
+
+    resetEnergy() {
+        this.energy = 0;
+        this.onStateChange();
+    }
+
+    // Meter the last dt ms, publishing each whole Wh
+    update(dt = 0) {
+        const before = Math.floor(this.energy * 1000);
+        this.energy += this.getCurrentPowerConsumption() * dt / 3600000 / 1000;
+        if (Math.floor(this.energy * 1000) !== before) this.publishMeter();
+    }
+
+    publishMeter() {
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/meter`, {
+                id: this.id,
+                power: this.getCurrentPowerConsumption(),
+                energy: Math.round(this.energy * 1000) / 1000
+            }, { retain: true });
+        }
+    }
+
+    onStateChange() {
+        super.onStateChange();
+        this.publishMeter();
+    }
+
+    getHeatOutput() {
+        return this.getCurrentPowerConsumption();
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setLoad', 'resetEnergy'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setLoad' && !(Number.isFinite(value) && value >= 0)) {
+            return `Load must be a number of watts from 0, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    saveState() {
+        return { ...super.saveState(), maxPowerWatts: this.maxPowerWatts, energy: this.energy };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            loadWatts: this.maxPowerWatts,
+            energy: Math.round(this.energy * 1000) / 1000,
+            type: 'smartPlug'
+        };
+    }
+}
+
+// Motorized Blinds
+// Position 0 (closed) to 100 (open). The motor covers the full range in
+// travelTime and draws power only while moving; switched off, it stops where
+// it is. Closed blinds keep most of the daylight out of their room
+class Blinds extends Device {
+    constructor(id, name, travelSeconds = 20) {
+        super(id, name, 40); // 40W motor
+        this.travelTime = travelSeconds * 1000; // ms for the full range
+        this.position = 100;
+        this.targetPosition = 100;
+        this.isOn = true;
+        this.sheddingPriority = null;
+    }
+
+    setPosition(position) {
+        this.targetPosition = Math.max(0, Math.min(100, position));
+        this.onStateChange();
+        this.publishPosition();
+    }
+
+    open() {
+        this.setPosition(100);
+    }
+
+    close() {
+        this.setPosition(0);
+    }
+
+    stop() {
+        this.setPosition(this.position);
+    }
+
+    isMoving() {
+        return this.isOn && this.position !== this.targetPosition;
+    }
+
+    // Travel toward the target for dt ms
+    update(dt = 0) {
+        if (!this.isMoving() || this.shed) return;
+
+        const step = 100 * dt / this.travelTime;
+        const remaining = this.targetPosition - this.position;
+        if (Math.abs(remaining) <= step) {
+            this.position = this.targetPosition;
+            this.onStateChange();
+            this.publishPosition();
+        } else {
+            this.position += Math.sign(remaining) * step;
+        }
+    }
+
+    publishPosition() {
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/position`, {
+                id: this.id,
+                position: Math.round(this.position),
+                targetPosition: this.targetPosition,
+                moving: this.isMoving()
+            }, { retain: true });
+        }
+    }
+
+    // Share of daylight let through: closed blinds still leak a little
+    getDaylightFactor() {
+        return Blinds.CLOSED_DAYLIGHT + (1 - Blinds.CLOSED_DAYLIGHT) * this.position / 100;
+    }
+
+    getPowerDemand() {
+        return this.isMoving() ? this.maxPowerWatts : 0;
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setPosition', 'open', 'close', 'stop'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setPosition' && !Number.isFinite(value)) {
+            return `Position must be a number, got '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    saveState() {
+        return { ...super.saveState(), position: this.position, targetPosition: this.targetPosition };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            position: Math.round(this.position),
+            targetPosition: this.targetPosition,
+            moving: this.isMoving(),
+            type: 'blinds'
+        };
+    }
+}
+
+Blinds.CLOSED_DAYLIGHT = 0.05;
+
+Blinds.CLUSTERS = {
+    ...Device.CLUSTERS,
+    windowCovering: {
+        attributes: {
+            currentPosition: blinds => Math.round(blinds.position),
+            targetPosition: blinds => blinds.targetPosition,
+            operationalStatus: blinds => {
+                if (!blinds.isMoving()) return 'stopped';
+                return blinds.targetPosition > blinds.position ? 'opening' : 'closing';
+            }
+        },
+        commands: {
+            upOrOpen: 'open',
+            downOrClose: 'close',
+            stopMotion: 'stop',
+            goToLiftPercentage: 'setPosition'
+        }
+    }
+};
+
+// Door Lock
+// Locked, unlocked or jammed: the bolt jams now and then (jamProbability per
+// operation) and stays jammed until a later operation frees it. The keypad
+// unlocks with any stored PIN code; after MAX_PIN_ATTEMPTS wrong codes in a
+// row it is disabled for PIN_LOCKOUT. Jams, wrong codes and keypad lockouts
+// are published on device/<id>/alarm. The lock is always powered
+class DoorLock extends Device {
+    constructor(id, name) {
+        super(id, name, 3); // 3W controller
+        this.lockState = 'locked';
+        this.pins = new Map(); // name -> code
+        this.failedAttempts = 0;
+        this.keypadDisabledUntil = null;
+        this.jamProbability = 0.02;
+        this.isOn = true;
+        this.sheddingPriority = null;
+    }
+
+    lock() {
+        this.moveBolt('locked');
+    }
+
+    unlock() {
+        this.moveBolt('unlocked');
+    }
+
+    setLockState(state) {
+        this.moveBolt(state);
+    }
+
+    // Drive the bolt, which may jam on the way
+    moveBolt(target) {
+        if (this.lockState === target) return;
+
+        const random = this.gateway ? this.gateway.random.next() : Math.random();
+        this.lockState = random < this.jamProbability ? 'jammed' : target;
+        if (this.lockState === 'jammed') this.publishAlarm('jammed');
+
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/lock`, { id: this.id, lockState: this.lockState }, { retain: true });
+        }
+        this.onStateChange();
+    }
+
+    // Keypad entry: a stored code unlocks the door, wrong ones count toward a lockout
+    enterPin(code) {
+        if (this.isKeypadDisabled()) {
+            this.publishAlarm('keypadDisabled');
+            return false;
+        }
+
+        const name = this.findPinName(code);
+        if (name === undefined) {
+            this.failedAttempts++;
+            this.publishAlarm('wrongPin', { attempts: this.failedAttempts });
+            if (this.failedAttempts >= DoorLock.MAX_PIN_ATTEMPTS) {
+                this.failedAttempts = 0;
+                this.keypadDisabledUntil = this.now() + DoorLock.PIN_LOCKOUT;
+                this.publishAlarm('keypadDisabled', { until: this.keypadDisabledUntil });
+            }
+            return false;
+        }
+
+        this.failedAttempts = 0;
+        this.unlock();
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/unlocked`, { id: this.id, by: name });
+        }
+        return true;
+    }
+
+    isKeypadDisabled() {
+        return this.keypadDisabledUntil !== null && this.now() < this.keypadDisabledUntil;
+    }
+
+    // Name of the PIN with this code, or undefined
+    findPinName(code) {
+        return Array.from(this.pins.keys()).find(name => this.pins.get(name) === code);
+    }
+
+    // Store a PIN code: { name, code } with 4 to 8 digits
+    addPin({ name, code }) {
+        this.pins.set(name, code);
+        this.onStateChange();
+    }
+
+    removePin(name) {
+        this.pins.delete(name);
+        this.onStateChange();
+    }
+
+    publishAlarm(alarm, details = {}) {
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/alarm`, { id: this.id, alarm, ...details });
+        }
+    }
+
+    getPowerDemand() {
+        return this.maxPowerWatts;
+    }
+
+    // Locks are not switched on and off
+    getCommands() {
+        return ['lock', 'unlock', 'setLockState', 'enterPin', 'addPin', 'removePin'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setLockState' && !['locked', 'unlocked'].includes(value)) {
+            return `Invalid lock state '${value}', expected locked or unlocked`;
+        }
+        if (command === 'enterPin' && typeof value !== 'string') {
+            return 'A PIN code must be a string of digits';
+        }
+        if (command === 'addPin') {
+            if (!value || typeof value.name !== 'string' || value.name.trim() === '') {
+                return 'A PIN needs a name';
+            }
+            if (typeof value.code !== 'string' || !/^\d{4,8}$/.test(value.code)) {
+                return 'A PIN code must be 4 to 8 digits';
+            }
+            const owner = this.findPinName(value.code);
+            if (owner !== undefined && owner !== value.name) {
+                return `PIN code already used by '${owner}'`;
+            }
+        }
+        if (command === 'removePin' && !this.pins.has(value)) {
+            return `Unknown PIN '${value}'`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    redactCommandValue(command, value) {
+        if (command === 'enterPin' && typeof value === 'string') return DoorLock.REDACTED_CODE;
+        if (command === 'addPin' && value && typeof value === 'object' && value.code !== undefined) {
+            return { ...value, code: DoorLock.REDACTED_CODE };
+        }
+        return value;
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            lockState: this.lockState,
+            pins: Object.fromEntries(this.pins),
+            failedAttempts: this.failedAttempts,
+            keypadDisabledUntil: this.keypadDisabledUntil
+        };
+    }
+
+    restoreState({ pins, ...state }) {
+        if (pins !== undefined) this.pins = new Map(Object.entries(pins));
+        super.restoreState(state);
+    }
+
+    // PIN names only: codes are kept in saved state so the keypad works after a
+    // reload. Commands carrying a code are masked on the bus by the gateway
+    getState() {
+        return {
+            ...super.getState(),
+            lockState: this.lockState,
+            pinNames: Array.from(this.pins.keys()),
+            keypadDisabled: this.isKeypadDisabled(),
+            type: 'doorLock'
+        };
+    }
+}
+
+DoorLock.MAX_PIN_ATTEMPTS = 3;
+DoorLock.PIN_LOCKOUT = 5 * 60 * 1000;
+DoorLock.REDACTED_CODE = '****'; // shown on the bus in place of a PIN code
+
+DoorLock.CLUSTERS = {
+    powerMeasurement: Device.CLUSTERS.powerMeasurement,
+    doorLock: {
+        attributes: { lockState: lock => lock.lockState },
+        commands: { lockDoor: 'lock', unlockDoor: 'unlock' }
+    }
+};
+
+// Ceiling Fan
+// Draws a share of its rated power at each speed; the motor's power ends up
+// as heat in the room
+class CeilingFan extends Device {
+    constructor(id, name, maxWatts = 75) {
+        super(id, name, maxWatts);
+        this.speed = 'medium';
+        this.sheddingPriority = 70;
+    }
+
+    setSpeed(speed) {
+        if (!CeilingFan.SPEEDS.includes(speed)) return;
+        this.speed = speed;
+        if (this.gateway) {
+            this.gateway.publish(`device/${this.id}/speed`, { id: this.id, speed: this.speed }, { retain: true });
+        }
+    }
+
+    getPowerDemand() {
+        return this.isOn ? this.maxPowerWatts * CeilingFan.SPEED_POWER[this.speed] : 0;
+    }
+
+    getHeatOutput() {
+        return this.getCurrentPowerConsumption();
+    }
+
+    getCommands() {
+        return [...super.getCommands(), 'setSpeed'];
+    }
+
+    validateCommand(command, value) {
+        if (command === 'setSpeed' && !CeilingFan.SPEEDS.includes(value)) {
+            return `Invalid fan speed '${value}', expected one of ${CeilingFan.SPEEDS.join(', ')}`;
+        }
+        return super.validateCommand(command, value);
+    }
+
+    saveState() {
+        return { ...super.saveState(), speed: this.speed };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            speed: this.speed,
+            type: 'ceilingFan'
+        };
+    }
+}
+
+CeilingFan.SPEEDS = ['low', 'medium', 'high'];
+CeilingFan.SPEED_POWER = { low: 0.3, medium: 0.6, high: 1 };
+
+CeilingFan.CLUSTERS = {
+    ...Device.CLUSTERS,
+    fanControl: {
+        attributes: { fanMode: fan => fan.speed },
+        commands: { setFanMode: 'setSpeed' },
+        schema: { fanMode: { values: CeilingFan.SPEEDS } }
+    }
+};
+
+// Build the default set of devices
+function createDefaultDevices() {
+    return {
+        light1: new Light('light1', 'Living Room Light'),
+        light2: new ColorLight('light2', 'Bedroom Light'),
+        light3: new Light('light3', 'Kitchen Light'),
+        ac: new AirConditioner('ac', 'Air Conditioner'),
+        waterHeater: new WaterHeater('waterHeater', 'Water Heater'),
+        solar: new SolarPanel('solar', 'Solar Array'),
+        battery: new HomeBattery('battery', 'Home Battery'),
+        livingBlinds: new Blinds('livingBlinds', 'Living Room Blinds'),
+        tvPlug: new SmartPlug('tvPlug', 'TV', 120),
+        bedroomFan: new CeilingFan('bedroomFan', 'Bedroom Fan'),
+        frontDoor: new DoorLock('frontDoor', 'Front Door')
+    };
+}
+
+// Create device instances
+const devices = createDefaultDevices();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Device,
+        Light,
+        AirConditioner,
+        WaterHeater,
+        SolarPanel,
+        HomeBattery,
+        ColorLight,
+        SmartPlug,
+        Blinds,
+        DoorLock,
+        CeilingFan,
+        createDefaultDevices
+    };
+}
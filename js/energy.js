@@ -0,0 +1,368 @@
+/**
+ * Energy Accounting
+ * Integrates device power over simulated time into kWh per device and prices
+ * it with a configurable tariff: flat, time-of-use or tiered by monthly use.
+ * With solar and batteries only grid imports are paid for; exports are
+ * credited at the tariff's optional exportRate
+ *
+ * { "type": "flat", "rate": 0.25, "standingCharge": 0.50, "exportRate": 0.15 }
+ * { "type": "time-of-use", "rate": 0.28,
+ *   "periods": [{ "name": "Off-peak", "from": "00:00", "to": "07:00", "rate": 0.12 }] }
+ * { "type": "tiered", "tiers": [{ "upTo": 150, "rate": 0.18 }, { "rate": 0.30 }] }
+ *
+ * Rates are per kWh and standing charges per day, in the meter's currency.
+ */
+
+const TARIFF_TYPES = ['flat', 'time-of-use', 'tiered'];
+
+// Days of history kept for daily and monthly reports
+const ENERGY_RETENTION_DAYS = 400;
+
+// Minutes since midnight for 'HH:MM' from 00:00 to 24:00, or NaN
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+    if (!match || Number(match[2]) > 59) return NaN;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= 24 * 60 ? minutes : NaN;
+}
+
+function isRate(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Validate a tariff, returning error messages
+function validateTariff(tariff) {
+    if (!tariff || typeof tariff !== 'object' || Array.isArray(tariff)) {
+        return ['Tariff must be an object'];
+    }
+
+    const errors = [];
+    if (!TARIFF_TYPES.includes(tariff.type)) {
+        errors.push(`Unknown tariff type '${tariff.type}' (expected one of ${TARIFF_TYPES.join(', ')})`);
+    }
+    if (tariff.standingCharge !== undefined && !isRate(tariff.standingCharge)) {
+        errors.push('standingCharge must be a non-negative number');
+    }
+    if (tariff.exportRate !== undefined && !isRate(tariff.exportRate)) {
+        errors.push('exportRate must be a non-negative number');
+    }
+
+    if (tariff.type === 'flat' || tariff.type === 'time-of-use') {
+        if (!isRate(tariff.rate)) {
+            errors.push('rate must be a non-negative number');
+        }
+    }
+    if (tariff.type === 'time-of-use') {
+        if (!Array.isArray(tariff.periods) || tariff.periods.length === 0) {
+            errors.push('time-of-use tariff must have a non-empty periods array');
+        } else {
+            tariff.periods.forEach((period, index) => {
+                if (Number.isNaN(parseTimeOfDay(period && period.from)) || Number.isNaN(parseTimeOfDay(period && period.to))) {
+                    errors.push(`periods[${index}]: from and to must be 'HH:MM' times`);
+                }
+                if (!isRate(period && period.rate)) {
+                    errors.push(`periods[${index}]: rate must be a non-negative number`);
+                }
+            });
+        }
+    }
+    if (tariff.type === 'tiered') {
+        if (!Array.isArray(tariff.tiers) || tariff.tiers.length === 0) {
+            errors.push('tiered tariff must have a non-empty tiers array');
+        } else {
+            let previous = 0;
+            tariff.tiers.forEach((tier, index) => {
+                const last = index === tariff.tiers.length - 1;
+                if (!isRate(tier && tier.rate)) {
+                    errors.push(`tiers[${index}]: rate must be a non-negative number`);
+                }
+                if (!last && !(tier && tier.upTo > previous)) {
+                    errors.push(`tiers[${index}]: upTo must be a number above ${previous} kWh`);
+                }
+                if (last && tier && tier.upTo !== undefined) {
+                    errors.push(`tiers[${index}]: the last tier has no upTo limit`);
+                }
+                if (tier && tier.upTo > previous) previous = tier.upTo;
+            });
+        }
+    }
+    return errors;
+}
+
+// Price per kWh at a time, given the home's grid imports so far this month.
+// Time-of-use periods may wrap past midnight ('23:00' to '07:00')
+function getTariffRate(tariff, time, monthKWh = 0) {
+    if (tariff.type === 'time-of-use') {
+        const date = new Date(time);
+        const minute = date.getUTCHours() * 60 + date.getUTCMinutes();
+        const period = tariff.periods.find(({ from, to }) => {
+            const start = parseTimeOfDay(from);
+            const end = parseTimeOfDay(to);
+            return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+        });
+        return period ? period.rate : tariff.rate;
+    }
+    if (tariff.type === 'tiered') {
+        const tier = tariff.tiers.find(({ upTo }) => upTo === undefined || monthKWh < upTo);
+        return tier.rate;
+    }
+    return tariff.rate;
+}
+
+// Calendar keys in simulation time: 'YYYY-MM-DD' and 'YYYY-MM'
+function getDayKey(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function getMonthKey(time) {
+    return getDayKey(time).slice(0, 7);
+}
+
+// Start of the next month
+function getMonthEnd(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+class EnergyMeter {
+    constructor(gateway, { tariff = createDefaultTariffs()[0], currency = '£' } = {}) {
+        this.gateway = gateway;
+        this.currency = currency;
+        this.tariff = null;
+        // 'YYYY-MM-DD' -> { devices: { id: { kWh, cost } }, standing, since,
+        //                  solar, imported, exported, importCost, exportCredit }
+        this.days = new Map();
+        this.deviceNames = {};
+        this.setTariff(tariff);
+    }
+
+    now() {
+        return this.gateway.clock.now();
+    }
+
+    // Replace the tariff from now on; already accounted costs keep their prices
+    setTariff(tariff) {
+        const errors = validateTariff(tariff);
+        if (errors.length > 0) {
+            throw new Error(`Invalid tariff: ${errors.join('; ')}`);
+        }
+        this.tariff = tariff;
+        this.gateway.publish('energy/tariff', { ...tariff, currency: this.currency }, { retain: true });
+    }
+
+    getRate(time = this.now()) {
+        const monthKWh = this.tariff.type === 'tiered' ? this.getMonthKWh(time) : 0;
+        return getTariffRate(this.tariff, time, monthKWh);
+    }
+
+    // Account for the last dt ms of every device's current power draw and the
+    // gateway's power flow. Devices are charged for the share of their power
+    // that came from the grid. Called once per simulation tick
+    update(dt) {
+        const time = this.now();
+        const dayKey = getDayKey(time);
+        let day = this.days.get(dayKey);
+
+        if (!day) {
+            this.closeDay(time);
+            day = {
+                devices: {},
+                standing: 0,
+                since: time - dt,
+                solar: 0,
+                imported: 0,
+                exported: 0,
+                importCost: 0,
+                exportCredit: 0
+            };
+            this.days.set(dayKey, day);
+            this.prune();
+        }
+
+        const toKWh = watts => watts * dt / 3600000000; // W·ms to kWh
+        const rate = this.getRate(time);
+        const flow = this.gateway.getPowerFlow();
+        const imported = toKWh(Math.max(0, flow.grid));
+        const gridShare = flow.consumption > 0 ? Math.min(1, Math.max(0, flow.grid) / flow.consumption) : 0;
+
+        this.gateway.getAllDevices().forEach(device => {
+            const kWh = toKWh(device.getCurrentPowerConsumption());
+            const usage = day.devices[device.id] || (day.devices[device.id] = { kWh: 0, cost: 0 });
+            usage.kWh += kWh;
+            usage.cost += kWh * gridShare * rate;
+            this.deviceNames[device.id] = device.name;
+        });
+
+        day.solar += toKWh(flow.generation);
+        day.imported += imported;
+        day.importCost += imported * rate;
+        day.exported += toKWh(Math.max(0, -flow.grid));
+        day.exportCredit += toKWh(Math.max(0, -flow.grid)) * (this.tariff.exportRate || 0);
+        day.standing += (this.tariff.standingCharge || 0) * dt / 86400000;
+    }
+
+    // Publish the totals of the most recent day once a new day starts
+    closeDay(time) {
+        const previous = Array.from(this.days.keys()).pop();
+        if (previous && previous < getDayKey(time)) {
+            this.gateway.publish('energy/day', { ...this.getDay(previous), currency: this.currency });
+        }
+    }
+
+    prune() {
+        const keys = Array.from(this.days.keys());
+        keys.slice(0, Math.max(0, keys.length - ENERGY_RETENTION_DAYS)).forEach(key => this.days.delete(key));
+    }
+
+    // Totals for one day ('YYYY-MM-DD', default today)
+    getDay(dayKey = getDayKey(this.now())) {
+        return this.summarize(dayKey, [dayKey]);
+    }
+
+    // Totals for one month ('YYYY-MM', default this month)
+    getMonth(monthKey = getMonthKey(this.now())) {
+        return this.summarize(monthKey, Array.from(this.days.keys()).filter(key => key.startsWith(monthKey)));
+    }
+
+    // Grid imports so far this month, which set the tiered rate
+    getMonthKWh(time) {
+        const monthKey = getMonthKey(time);
+        let total = 0;
+        this.days.forEach((day, key) => {
+            if (key.startsWith(monthKey)) total += day.imported;
+        });
+        return total;
+    }
+
+    // { period, kWh, cost, standing, total, solar, imported, exported, net,
+    //   exportCredit, devices: [{ id, name, kWh, cost }] }, devices by cost.
+    // kWh is what the home consumed, net what it imported less what it exported;
+    // cost prices the imports and total is the bill: cost - exportCredit + standing
+    summarize(period, dayKeys) {
+        const devices = {};
+        const totals = { standing: 0, solar: 0, imported: 0, exported: 0, cost: 0, exportCredit: 0 };
+        dayKeys.forEach(key => {
+            const day = this.days.get(key);
+            if (!day) return;
+            totals.standing += day.standing;
+            totals.solar += day.solar;
+            totals.imported += day.imported;
+            totals.exported += day.exported;
+            totals.exportCredit += day.exportCredit;
+            Object.entries(day.devices).forEach(([id, usage]) => {
+                const total = devices[id] || (devices[id] = { id, name: this.deviceNames[id] || id, kWh: 0, cost: 0 });
+                total.kWh += usage.kWh;
+                total.cost += usage.cost;
+            });
+            totals.cost += day.importCost;
+        });
+
+        const rows = Object.values(devices).sort((a, b) => b.cost - a.cost);
+        const kWh = rows.reduce((sum, row) => sum + row.kWh, 0);
+        return {
+            period,
+            kWh,
+            cost: totals.cost,
+            standing: totals.standing,
+            total: totals.cost - totals.exportCredit + totals.standing,
+            solar: totals.solar,
+            imported: totals.imported,
+            exported: totals.exported,
+            net: totals.imported - totals.exported,
+            exportCredit: totals.exportCredit,
+            devices: rows
+        };
+    }
+
+    // This month's bill if the rest of the month costs what the metered part
+    // of it did so far
+    getProjectedBill(time = this.now()) {
+        const monthKey = getMonthKey(time);
+        const month = this.getMonth(monthKey);
+        const firstDay = Array.from(this.days.keys()).find(key => key.startsWith(monthKey));
+        if (!firstDay) return 0;
+
+        const elapsed = time - this.days.get(firstDay).since;
+        if (elapsed <= 0) return month.total;
+        return month.total + month.total / elapsed * (getMonthEnd(time) - time);
+    }
+
+    // Snapshot for the persistence layer
+    saveState() {
+        const days = {};
+        this.days.forEach((day, key) => {
+            days[key] = day;
+        });
+        return {
+            tariff: this.tariff,
+            currency: this.currency,
+            deviceNames: this.deviceNames,
+            days
+        };
+    }
+
+    restoreState(state) {
+        const warnings = [];
+        try {
+            if (state.tariff) this.setTariff(state.tariff);
+        } catch (error) {
+            warnings.push(`${error.message}; keeping the current tariff`);
+        }
+        if (state.currency) this.currency = state.currency;
+        this.deviceNames = { ...state.deviceNames };
+        this.days = new Map(Object.entries(state.days || {}).sort(([a], [b]) => a.localeCompare(b)));
+        return warnings;
+    }
+}
+
+// Example tariffs, the first is the default
+function createDefaultTariffs() {
+    return [
+        {
+            id: 'flat',
+            name: 'Flat Rate',
+            type: 'flat',
+            rate: 0.25,
+            standingCharge: 0.50,
+            exportRate: 0.15
+        },
+        {
+            id: 'time-of-use',
+            name: 'Time of Use',
+            type: 'time-of-use',
+            rate: 0.28,
+            standingCharge: 0.50,
+            exportRate: 0.15,
+            periods: [
+                { name: 'Off-peak', from: '00:00', to: '07:00', rate: 0.12 },
+                { name: 'Peak', from: '16:00', to: '19:00', rate: 0.42 }
+            ]
+        },
+        {
+            id: 'tiered',
+            name: 'Tiered',
+            type: 'tiered',
+            standingCharge: 0.40,
+            exportRate: 0.15,
+            tiers: [
+                { upTo: 150, rate: 0.18 },
+                { upTo: 400, rate: 0.26 },
+                { rate: 0.34 }
+            ]
+        }
+    ];
+}
+
+// Browser instance (the headless runtime builds its own through createSmartHome)
+const energyMeter = typeof gateway !== 'undefined' ? new EnergyMeter(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EnergyMeter,
+        validateTariff,
+        getTariffRate,
+        createDefaultTariffs
+    };
+}
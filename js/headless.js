@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * Headless Runner
+ * Runs the smart home simulation from Node without a DOM
+ *
+ * Usage: node js/headless.js [--ticks N] [--interval ms] [--speed x] [--seed n]
+ *                            [--start ISO-time] [--fast-forward 24h]
+ *                            [--rules rules.json] [--schedules schedules.json]
+ *                            [--location lat,lon] [--tariff tariff.json]
+ *                            [--budget watts] [--outdoor min,max]
+ *                            [--state state.json] [--quiet]
+ */
+
+const fs = require('fs');
+const { createSmartHome } = require('./simulation');
+const { parseDuration } = require('./clock');
+const { PersistenceManager, FileStore } = require('./persistence');
+const { summarizeFloors } = require('./rooms');
+
+const USAGE = 'Usage: node js/headless.js [--ticks N] [--interval ms] [--speed x] [--seed n] ' +
+    '[--start ISO-time] [--fast-forward 24h] [--rules rules.json] [--schedules schedules.json] ' +
+    '[--location lat,lon] [--tariff tariff.json] [--budget watts] [--outdoor min,max] [--state state.json] [--quiet]';
+
+// An ISO time; one without a timezone is read as simulation time (UTC)
+function parseStartTime(text) {
+    return Date.parse(/T[^Z+-]*$/.test(text) ? `${text}Z` : text);
+}
+
+function parseArgs(argv) {
+    const options = { ticks: Infinity, interval: 2000, speed: 1, quiet: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--ticks':
+                options.ticks = parseInt(argv[++i], 10);
+                break;
+            case '--interval':
+                options.interval = parseInt(argv[++i], 10);
+                break;
+            case '--speed':
+                options.speed = parseFloat(argv[++i]);
+                break;
+            case '--seed':
+                options.seed = parseInt(argv[++i], 10);
+                break;
+            case '--start':
+                options.startTime = parseStartTime(argv[++i]);
+                if (Number.isNaN(options.startTime)) {
+                    throw new Error(`Invalid --start time '${argv[i]}'`);
+                }
+                break;
+            case '--fast-forward':
+                options.fastForward = parseDuration(argv[++i]);
+                break;
+            case '--rules':
+                options.rulesFile = argv[++i];
+                break;
+            case '--schedules':
+                options.schedulesFile = argv[++i];
+                break;
+            case '--location': {
+                const [latitude, longitude] = String(argv[++i]).split(',').map(Number);
+                if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+                    throw new Error(`Invalid --location '${argv[i]}' (expected lat,lon)`);
+                }
+                options.location = { latitude, longitude };
+                break;
+            }
+            case '--tariff':
+                options.tariffFile = argv[++i];
+                break;
+            case '--budget':
+                options.powerBudget = parseFloat(argv[++i]);
+                if (!(options.powerBudget > 0)) {
+                    throw new Error(`Invalid --budget '${argv[i]}' (expected watts above 0)`);
+                }
+                break;
+            case '--outdoor': {
+                const [min, max] = String(argv[++i]).split(',').map(Number);
+                if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+                    throw new Error(`Invalid --outdoor '${argv[i]}' (expected min,max in °C)`);
+                }
+                options.outdoor = { min, max };
+                break;
+            }
+            case '--state':
+                options.stateFile = argv[++i];
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option '${argv[i]}'`);
+        }
+    }
+
+    if (!(options.ticks > 0) || !(options.interval > 0) || !(options.speed > 0)) {
+        throw new Error('--ticks, --interval and --speed must be positive');
+    }
+    if (options.seed !== undefined && Number.isNaN(options.seed)) {
+        throw new Error('--seed must be an integer');
+    }
+    return options;
+}
+
+function formatTime(home) {
+    return new Date(home.gateway.clock.now()).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// One status line per tick
+function formatSummary(home) {
+    const readings = home.gateway.getSensorReadings();
+    const format = id => {
+        const value = readings[id].value;
+        return typeof value === 'number' ? value.toFixed(1) : String(value);
+    };
+
+    const active = home.gateway.getAllDevices().filter(d => d.isOn).map(d => d.id);
+    return `[${formatTime(home)} tick ${home.simulation.tickCount}] ` +
+        `temp ${format('temperature')}°C (outdoor ${home.roomModel.getOutdoorTemperature().toFixed(1)}°C), humidity ${format('humidity')}%, ` +
+        `light ${format('light')} lux, motion ${format('motion')}, ` +
+        `power ${home.gateway.getTotalPowerConsumption().toFixed(0)} W, ` +
+        `solar ${format('solarPower')} W, grid ${format('gridPower')} W, battery ${format('batteryCharge')}%, ` +
+        `on: ${active.join(', ') || 'none'}`;
+}
+
+// One line per floor: each room's temperature, CO2, occupancy and power
+function formatRooms(home) {
+    return summarizeFloors(home.gateway).map(floor => `🏠 ${floor.floor}: ` + floor.rooms.map(room => {
+        const temperature = room.temperature !== null ? ` ${room.temperature.toFixed(1)}°C` : '';
+        const co2 = room.co2 !== null ? ` ${room.co2.toFixed(0)} ppm` : '';
+        return `${room.name}${temperature}${co2}${room.occupied ? ' occupied' : ''} ${room.power.toFixed(0)} W`;
+    }).join(', '));
+}
+
+// Energy use and cost so far
+function formatEnergy(home) {
+    const meter = home.energyMeter;
+    const cost = value => `${Math.round(value * 100) < 0 ? '-' : ''}${meter.currency}${Math.abs(value).toFixed(2)}`;
+    const today = meter.getDay();
+    const month = meter.getMonth();
+    return `⚡ Today ${today.kWh.toFixed(2)} kWh used, ${today.solar.toFixed(2)} kWh solar, ` +
+        `${today.net.toFixed(2)} kWh net from the grid (${cost(today.total)}), ` +
+        `month ${month.kWh.toFixed(1)} kWh used, ${month.net.toFixed(1)} kWh net (${cost(month.total)}), ` +
+        `projected bill ${cost(meter.getProjectedBill())}`;
+}
+
+function run(options) {
+    const home = createSmartHome({
+        interval: options.interval,
+        seed: options.seed,
+        startTime: options.startTime,
+        location: options.location
+    });
+
+    // Continue from a previous run's saved state, and save it again on exit
+    const persistence = options.stateFile ? new PersistenceManager(home, new FileStore(options.stateFile)) : null;
+    if (persistence && persistence.restore().restored) {
+        console.log(`💾 Restored state from ${options.stateFile}`);
+    }
+    const finish = () => {
+        formatRooms(home).forEach(line => console.log(line));
+        console.log(formatEnergy(home));
+        console.log('✅ Simulation finished');
+        if (persistence && persistence.save()) {
+            console.log(`💾 Saved state to ${options.stateFile}`);
+        }
+    };
+
+    home.gateway.subscribe('automation/triggered', message => {
+        console.log(`[${formatTime(home)}] ⚙️  ${message.rule}: ${message.action} (${message.reason})`);
+    });
+    home.gateway.subscribe('automation/conflict', ({ device, winner, loser }) => {
+        console.log(`[${formatTime(home)}] ⚖️  ${device}: ${loser.rule} (${loser.command}) overruled by ${winner.rule} (${winner.command})`);
+    });
+    home.gateway.subscribe('schedule/+/triggered', message => {
+        console.log(`[${formatTime(home)}] ⏰ ${message.name}`);
+    });
+    home.gateway.subscribe('scene/+/activated', message => {
+        console.log(`[${formatTime(home)}] 🎬 Scene ${message.name} (${message.source})`);
+    });
+    home.gateway.subscribe('power/shed', ({ name, demand, load, budget }) => {
+        console.log(`[${formatTime(home)}] ⏸  ${name} shed: ${Math.round(load + demand)} W over the ${budget} W budget`);
+    });
+    home.gateway.subscribe('power/restored', ({ name }) => {
+        console.log(`[${formatTime(home)}] ▶️  ${name} resumed`);
+    });
+    home.gateway.subscribe('device/+/draw', ({ name, litres }) => {
+        console.log(`[${formatTime(home)}] 🚿 ${name}: ${litres} L of hot water`);
+    });
+    home.gateway.subscribe('device/+/legionella', ({ temperature }) => {
+        console.log(`[${formatTime(home)}] 🦠 Legionella cycle: heating the tank to ${temperature}°C`);
+    });
+    home.gateway.subscribe('alarm/raised', ({ name, level, message }) => {
+        console.log(`[${formatTime(home)}] ${level === 'critical' ? '🚨' : '⚠️ '} ${name}: ${message}`);
+    });
+    home.gateway.subscribe('alarm/cleared', ({ name }) => {
+        console.log(`[${formatTime(home)}] ✅ ${name}: alarm cleared`);
+    });
+    home.gateway.subscribe('energy/day', day => {
+        console.log(`[${formatTime(home)}] ⚡ ${day.period}: ${day.kWh.toFixed(2)} kWh used, ` +
+            `${day.net.toFixed(2)} kWh net, ${day.currency}${day.total.toFixed(2)}`);
+    });
+    home.gateway.subscribe('automation/error', message => {
+        console.warn(`[${formatTime(home)}] ⚠️  ${message.rule}: ${message.error}`);
+    });
+
+    if (options.rulesFile) {
+        const result = home.automationEngine.loadRules(fs.readFileSync(options.rulesFile, 'utf8'));
+        console.log(`📜 Loaded ${result.loaded.length} rule(s) from ${options.rulesFile}`);
+        result.errors.forEach(({ ruleId, index, errors }) => {
+            console.warn(`⚠️  Rule ${ruleId || `#${index}`} skipped:\n    ${errors.join('\n    ')}`);
+        });
+    }
+
+    // After restoring, so a budget, outdoor profile or tariff given on the
+    // command line replaces the saved one
+    if (options.powerBudget) {
+        home.gateway.setPowerBudget(options.powerBudget);
+    }
+    if (options.outdoor) {
+        home.roomModel.setOutdoorProfile({ ...home.roomModel.outdoor, ...options.outdoor });
+    }
+    if (options.tariffFile) {
+        try {
+            home.energyMeter.setTariff(JSON.parse(fs.readFileSync(options.tariffFile, 'utf8')));
+            console.log(`💷 Loaded tariff from ${options.tariffFile}`);
+        } catch (error) {
+            console.warn(`⚠️  Tariff ${options.tariffFile} skipped: ${error.message}`);
+        }
+    }
+
+    if (options.schedulesFile) {
+        const result = home.scheduler.loadSchedules(fs.readFileSync(options.schedulesFile, 'utf8'));
+        console.log(`⏰ Loaded ${result.loaded.length} schedule(s) from ${options.schedulesFile}`);
+        result.errors.forEach(({ scheduleId, index, errors }) => {
+            console.warn(`⚠️  Schedule ${scheduleId || `#${index}`} skipped:\n    ${errors.join('\n    ')}`);
+        });
+    }
+
+    console.log(`🏠 Smart Home Simulation (headless) starting, seed ${home.gateway.random.seed}...`);
+
+    // Fast-forward runs synchronously and only reports the end state
+    if (options.fastForward) {
+        home.simulation.fastForward(options.fastForward);
+        console.log(formatSummary(home));
+        finish();
+        return home;
+    }
+
+    const firstTick = home.simulation.tickCount;
+    home.simulation.onTick = simulation => {
+        if (!options.quiet) {
+            console.log(formatSummary(home));
+        }
+        if (simulation.tickCount - firstTick >= options.ticks) {
+            simulation.stop();
+            finish();
+        }
+    };
+    if (persistence) {
+        process.once('SIGINT', () => {
+            home.simulation.stop();
+            finish();
+            process.exit(130);
+        });
+    }
+    home.simulation.setSpeed(options.speed);
+    home.simulation.start();
+    return home;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+    } else {
+        run(options);
+    }
+}
+
+module.exports = { parseArgs, run };
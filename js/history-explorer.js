@@ -0,0 +1,303 @@
+/**
+ * History Explorer
+ * Dashboard chart over the time-series store: any sensor or device series for
+ * a chosen range, overlaid on independent axes, with zoom/pan and automation
+ * activity markers
+ */
+
+const HISTORY_RANGES = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+const HISTORY_COLORS = ['#00d4ff', '#ff6b6b', '#4ecdc4', '#ffe66d', '#c44569', '#8b5cf6'];
+
+// Marker colors by activity log entry type
+const HISTORY_MARKER_COLORS = {
+    triggered: '#10b981',
+    conflict: '#f59e0b',
+    override: '#9ca3af',
+    shed: '#ef4444'
+};
+
+let historyChart = null;
+let historySelection = ['power/total', 'sensor/temperature'];
+let historyZoomed = false; // live updates pause while the user is zoomed or panned in
+let historySeriesIds = '';
+
+// Draws a dashed vertical line for every activity log entry in view
+const historyMarkerPlugin = {
+    id: 'historyMarkers',
+    afterDatasetsDraw(chart) {
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        getHistoryMarkers(scales.x.min, scales.x.max).forEach(entry => {
+            const x = scales.x.getPixelForValue(entry.timestamp);
+            ctx.strokeStyle = HISTORY_MARKER_COLORS[entry.type] || HISTORY_MARKER_COLORS.triggered;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+};
+
+// Create the history chart and series picker
+function initializeHistoryExplorer() {
+    const canvas = document.getElementById('history-chart');
+    if (!canvas) return;
+
+    historyChart = new Chart(canvas, {
+        type: 'line',
+        data: { datasets: [] },
+        plugins: [historyMarkerPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            parsing: false,
+            interaction: { mode: 'nearest', axis: 'x', intersect: false },
+            plugins: {
+                legend: { labels: { color: '#fff' } },
+                tooltip: {
+                    callbacks: {
+                        title: items => items.length ? new Date(items[0].parsed.x).toLocaleString([], { timeZone: SIMULATION_TIME_ZONE }) : '',
+                        label: item => `${item.dataset.label}: ${item.parsed.y.toFixed(1)} ${item.dataset.unit}`
+                    }
+                },
+                // chartjs-plugin-zoom: wheel/pinch to zoom, drag to pan, along time only
+                zoom: {
+                    pan: { enabled: true, mode: 'x', onPanComplete: loadZoomedHistory },
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        mode: 'x',
+                        onZoomComplete: loadZoomedHistory
+                    },
+                    limits: { x: {} }
+                }
+            },
+            scales: {}
+        }
+    });
+
+    renderHistorySeriesPicker();
+    renderHistoryChart();
+}
+
+// Checkboxes for every recorded series, sensors first, then power
+function renderHistorySeriesPicker() {
+    const container = document.getElementById('history-series');
+    if (!container) return;
+
+    const rank = entry => entry.id.startsWith('sensor/') ? 0 : 1;
+    const series = timeSeries.getSeries().sort((a, b) => rank(a) - rank(b) || a.id.localeCompare(b.id));
+    historySeriesIds = getHistorySeriesIds();
+
+    container.innerHTML = series.map(entry => `
+        <label class="history-series-option">
+            <input type="checkbox" value="${entry.id}" ${historySelection.includes(entry.id) ? 'checked' : ''}
+                onchange="toggleHistorySeries(this.value, this.checked)">
+            ${escapeHtml(historySeriesLabel(entry))}
+        </label>
+    `).join('');
+}
+
+// Recorded series, as a key to notice new ones
+function getHistorySeriesIds() {
+    return timeSeries.getSeries().map(entry => entry.id).sort().join(',');
+}
+
+// Device series record power, so say so next to the device name
+function historySeriesLabel(entry) {
+    return entry.id.startsWith('device/') ? `${entry.label} power` : entry.label;
+}
+
+function toggleHistorySeries(id, checked) {
+    historySelection = historySelection.filter(selected => selected !== id);
+    if (checked) historySelection.push(id);
+    renderHistoryChart();
+}
+
+// Show the custom inputs, prefilled with the preset range being left
+function changeHistoryRange() {
+    const range = document.getElementById('history-range').value;
+    const custom = document.getElementById('history-custom');
+
+    if (range === 'custom' && custom.hidden) {
+        const to = gateway.clock.now();
+        document.getElementById('history-from').value = toDateTimeLocal(to - HISTORY_RANGES['24h']);
+        document.getElementById('history-to').value = toDateTimeLocal(to);
+    }
+    custom.hidden = range !== 'custom';
+    resetHistoryZoom();
+}
+
+// The selected range as { from, to } timestamps, or an error message
+function getHistoryRange() {
+    const range = document.getElementById('history-range').value;
+    if (range !== 'custom') {
+        const to = gateway.clock.now();
+        return { from: to - HISTORY_RANGES[range], to };
+    }
+
+    const from = fromDateTimeLocal(document.getElementById('history-from').value);
+    const to = fromDateTimeLocal(document.getElementById('history-to').value);
+    if (Number.isNaN(from) || Number.isNaN(to)) return { error: 'Enter a start and end time' };
+    if (from >= to) return { error: 'Start must be before end' };
+    return { from, to };
+}
+
+// Rebuild datasets and axes for the selected range (or the zoomed window)
+function renderHistoryChart() {
+    if (!historyChart) return;
+
+    const range = getHistoryRange();
+    showHistoryError(range.error);
+    if (range.error) return;
+
+    const view = historyZoomed
+        ? { from: historyChart.scales.x.min, to: historyChart.scales.x.max }
+        : range;
+    const scales = {
+        x: {
+            type: 'linear',
+            min: view.from,
+            max: view.to,
+            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            ticks: {
+                color: '#aaa',
+                maxTicksLimit: 8,
+                callback: value => formatHistoryTime(value, range.to - range.from)
+            }
+        }
+    };
+
+    const datasets = historySelection.filter(id => timeSeries.hasSeries(id)).map((id, index) => {
+        const color = HISTORY_COLORS[index % HISTORY_COLORS.length];
+        const result = timeSeries.query(id, padHistoryWindow(view, range));
+
+        // One axis per series, alternating sides; only the first draws grid lines
+        scales[`y${index}`] = {
+            position: index % 2 === 0 ? 'left' : 'right',
+            title: { display: Boolean(result.unit), text: result.unit, color },
+            ticks: { color },
+            grid: { drawOnChartArea: index === 0, color: 'rgba(255, 255, 255, 0.1)' }
+        };
+
+        return {
+            label: historySeriesLabel({ id, label: result.label }),
+            unit: result.unit,
+            seriesId: id,
+            yAxisID: `y${index}`,
+            data: result.points.map(point => ({ x: point.timestamp, y: point.value })),
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            resolution: result.resolution
+        };
+    });
+
+    historyChart.data.datasets = datasets;
+    historyChart.options.scales = scales;
+    historyChart.options.plugins.zoom.limits.x = { min: range.from, max: range.to };
+    historyChart.update('none');
+
+    renderHistoryDetails(view, datasets);
+}
+
+// Re-query the zoomed or panned window so detail follows the zoom level
+function loadZoomedHistory({ chart }) {
+    historyZoomed = true;
+
+    const range = getHistoryRange();
+    if (range.error) return;
+
+    const view = { from: chart.scales.x.min, to: chart.scales.x.max };
+    chart.data.datasets.forEach(dataset => {
+        const result = timeSeries.query(dataset.seriesId, padHistoryWindow(view, range));
+        dataset.data = result.points.map(point => ({ x: point.timestamp, y: point.value }));
+        dataset.resolution = result.resolution;
+    });
+    chart.update('none');
+
+    renderHistoryDetails(view, chart.data.datasets);
+}
+
+// Query one window width either side of the view so panning has data to show
+function padHistoryWindow(view, range) {
+    const width = view.to - view.from;
+    return {
+        from: Math.max(range.from, view.from - width),
+        to: Math.min(range.to, view.to + width)
+    };
+}
+
+function resetHistoryZoom() {
+    historyZoomed = false;
+    if (historyChart && historyChart.resetZoom) historyChart.resetZoom('none');
+    renderHistoryChart();
+}
+
+// Called from the dashboard update loop: follow new data unless zoomed in
+function refreshHistory() {
+    if (!historyChart) return;
+    if (getHistorySeriesIds() !== historySeriesIds) {
+        renderHistorySeriesPicker();
+    }
+    if (!historyZoomed) renderHistoryChart();
+}
+
+// Automation activity log entries within [from, to]
+function getHistoryMarkers(from, to) {
+    return automationEngine.activityLog.filter(entry => entry.timestamp >= from && entry.timestamp <= to);
+}
+
+// Resolution in use and the automation markers in view, newest first
+function renderHistoryDetails(view, datasets) {
+    const resolutionEl = document.getElementById('history-resolution');
+    if (resolutionEl) {
+        const resolutions = [...new Set(datasets.map(dataset => dataset.resolution))];
+        resolutionEl.textContent = resolutions.length
+            ? resolutions.map(resolution => resolution === 'raw' ? 'raw samples' : `${resolution} averages`).join(', ')
+            : 'No series selected';
+    }
+
+    const markersEl = document.getElementById('history-markers');
+    if (!markersEl) return;
+
+    const markers = getHistoryMarkers(view.from, view.to).slice(-10).reverse();
+    markersEl.innerHTML = markers.map(entry => `
+        <div class="log-entry ${entry.type !== 'triggered' ? entry.type : ''}">
+            <span class="log-time">${formatHistoryTime(entry.timestamp, view.to - view.from)}</span>
+            <span class="log-rule">${escapeHtml(entry.message || entry.ruleName)}</span>
+        </div>
+    `).join('');
+}
+
+function showHistoryError(message) {
+    const errorEl = document.getElementById('history-error');
+    if (errorEl) errorEl.textContent = message || '';
+}
+
+// Time labels: clock time within a day, weekday and time beyond
+function formatHistoryTime(timestamp, span) {
+    const date = new Date(timestamp);
+    return span > HISTORY_RANGES['24h']
+        ? date.toLocaleString([], { timeZone: SIMULATION_TIME_ZONE, weekday: 'short', hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleTimeString([], { timeZone: SIMULATION_TIME_ZONE, hour: '2-digit', minute: '2-digit' });
+}
+
+// Value for a datetime-local input, in simulation time
+function toDateTimeLocal(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 16);
+}
+
+// Timestamp of a datetime-local input value, read as simulation time
+function fromDateTimeLocal(value) {
+    return value ? Date.parse(`${value}Z`) : NaN;
+}
@@ -2,25 +2,152 @@
  * IoT Gateway - Central Message Broker
  * Handles pub/sub communication between sensors, devices, and UI
  */
+
+// Clock module: required under Node, global in the browser
+const GatewayClock = typeof module !== 'undefined' && module.exports
+    ? require('./clock')
+    : { SimulationClock, SeededRandom };
+
 class IoTGateway {
-    constructor() {
+    // options.clock and options.random (or options.seed) are shared with every
+    // registered device, sensor and rule so runs can be reproduced
+    constructor(options = {}) {
+        this.clock = options.clock || new GatewayClock.SimulationClock();
+        this.random = options.random || new GatewayClock.SeededRandom(options.seed);
         this.subscribers = new Map();
         this.devices = new Map();
         this.sensors = new Map();
         this.messageLog = [];
+        this.retained = new Map();
+        this.clients = new Map();
+
+        // Rooms: id -> { id, name, floor }; devices and sensors carry their room id
+        this.rooms = new Map();
+
+        // Cluster attributes last published per device: deviceId -> { cluster: attributes }
+        this.clusterStates = new Map();
+
+        // Active sensor alarms: sensorId -> { sensor, name, type, room, level, message, value, since }
+        this.alarms = new Map();
+
+        // Command channel state
+        this.nextMessageId = 1;
+        this.pendingCommands = new Map();
+        this.processedCommands = new Map();
+        this.commandTimeout = 1000; // ms
+        this.commandRetries = 3;
+        this.commandSecrets = new WeakMap(); // masked command message -> real value
+
+        // Main breaker budget (W, null for none) and load shedding state
+        this.powerBudget = options.powerBudget === undefined ? 5000 : options.powerBudget;
+        this.sheddingPriorities = new Map(); // deviceId -> priority overriding the device's own
+        this.restoreDelay = 60000; // ms a shed device stays paused before it may resume
+        this.shedSince = new Map(); // deviceId -> time it was shed
+        this.balancing = false;
+
+        // Last tick's power flow (W): consumption, generation, battery
+        // (positive while discharging) and grid (positive while importing)
+        this.powerFlow = { consumption: 0, generation: 0, battery: 0, grid: 0 };
+
+        this.subscribe('device/+/set', (message, topic) => {
+            this.handleCommand(topic.split('/')[1], message);
+        }, { retained: false });
+        this.subscribe('device/+/ack', ack => this.handleAck(ack), { retained: false });
+        this.subscribe('sensor/+/reading', (message, topic) => {
+            if (message) this.updateSensorAlarm(topic.split('/')[1]);
+        }, { retained: false });
+
+        // Room aliases take commands too: home/<room>/<id>/set goes to device/<id>/set
+        this.subscribe('home/+/+/set', (message, topic) => {
+            const [, roomId, deviceId] = topic.split('/');
+            const device = this.devices.get(deviceId);
+            if (device && device.room === roomId) {
+                this.publish(`device/${deviceId}/set`, message);
+            }
+        }, { retained: false });
     }
 
-    // Subscribe to a topic
-    subscribe(topic, callback) {
+    // Subscribe to a topic filter ('+' matches one level, '#' the rest, '*' everything)
+    // Matching retained messages are delivered immediately unless
+    // options.retained is false. Returns a function that removes the subscription
+    subscribe(topic, callback, options = {}) {
         if (!this.subscribers.has(topic)) {
             this.subscribers.set(topic, []);
         }
         this.subscribers.get(topic).push(callback);
+        const unsubscribe = () => this.unsubscribe(topic, callback);
+
+        if (options.retained !== false) {
+            this.retained.forEach((entry, retainedTopic) => {
+                if (IoTGateway.topicMatches(topic, retainedTopic)) {
+                    callback(entry.message, retainedTopic);
+                }
+            });
+        }
+
+        return unsubscribe;
     }
 
-    // Publish message to topic
-    publish(topic, message) {
-        const timestamp = Date.now();
+    // Subscribe for a single matching message only (a retained one counts)
+    once(topic, callback, options = {}) {
+        let delivered = false;
+        let unsubscribe = null;
+
+        unsubscribe = this.subscribe(topic, (message, publishedTopic) => {
+            if (delivered) return;
+            delivered = true;
+            if (unsubscribe) unsubscribe();
+            callback(message, publishedTopic);
+        }, options);
+
+        // A retained message may have been delivered before subscribe returned
+        if (delivered) unsubscribe();
+        return unsubscribe;
+    }
+
+    // Remove a callback, or every callback when none is given
+    unsubscribe(topic, callback) {
+        if (!this.subscribers.has(topic)) return false;
+
+        if (!callback) {
+            return this.subscribers.delete(topic);
+        }
+
+        const callbacks = this.subscribers.get(topic);
+        const index = callbacks.indexOf(callback);
+        if (index === -1) return false;
+
+        callbacks.splice(index, 1);
+        if (callbacks.length === 0) {
+            this.subscribers.delete(topic);
+        }
+        return true;
+    }
+
+    // Check a topic against an MQTT-style topic filter
+    static topicMatches(filter, topic) {
+        if (filter === '*' || filter === topic) return true;
+
+        const filterLevels = filter.split('/');
+        const topicLevels = topic.split('/');
+
+        for (let i = 0; i < filterLevels.length; i++) {
+            const level = filterLevels[i];
+            if (level === '#') {
+                return i === filterLevels.length - 1;
+            }
+            if (i >= topicLevels.length) return false;
+            if (level !== '+' && level !== topicLevels[i]) return false;
+        }
+        return filterLevels.length === topicLevels.length;
+    }
+
+    // Publish message to topic. With options.retain the message is kept as the
+    // topic's last value for future subscribers; retaining null clears it.
+    // Device and sensor topics are also delivered on their room alias
+    publish(topic, message, options = {}) {
+        message = this.redactCommand(topic, message);
+        const timestamp = this.clock.now();
         const logEntry = { topic, message, timestamp };
         this.messageLog.push(logEntry);
         
@@ -29,33 +156,499 @@ class IoTGateway {
             this.messageLog.shift();
         }
 
-        // Notify all subscribers
-        if (this.subscribers.has(topic)) {
-            this.subscribers.get(topic).forEach(callback => {
-                callback(message, topic);
-            });
+        this.touchClient(topic, timestamp);
+        this.deliver(topic, message, options, timestamp);
+
+        const alias = this.getRoomTopic(topic);
+        if (alias) {
+            this.deliver(alias, message, options, timestamp);
         }
+    }
 
-        // Wildcard subscribers
-        if (this.subscribers.has('*')) {
-            this.subscribers.get('*').forEach(callback => {
-                callback(message, topic);
-            });
+    // Command values a device marks secret (door lock PINs) are masked before the
+    // command is logged or delivered; handleCommand looks up the real value
+    redactCommand(topic, message) {
+        const levels = topic.split('/');
+        if (levels[levels.length - 1] !== 'set' || !message || typeof message !== 'object' ||
+            this.commandSecrets.has(message)) {
+            return message;
+        }
+
+        const device = this.devices.get(levels[levels.length - 2]);
+        const value = device ? device.redactCommandValue(message.command, message.value) : message.value;
+        if (value === message.value) return message;
+
+        const redacted = { ...message, value };
+        this.commandSecrets.set(redacted, message.value);
+        return redacted;
+    }
+
+    // Retain and hand a message to every subscriber whose filter matches.
+    // Callbacks are copied first so that once() and unsubscribe handles can run mid-delivery
+    deliver(topic, message, options, timestamp) {
+        if (options.retain) {
+            if (message === null || message === undefined) {
+                this.retained.delete(topic);
+            } else {
+                this.retained.set(topic, { message, timestamp });
+            }
         }
+
+        const matched = [];
+        this.subscribers.forEach((callbacks, filter) => {
+            if (IoTGateway.topicMatches(filter, topic)) {
+                matched.push(...callbacks);
+            }
+        });
+        matched.forEach(callback => {
+            callback(message, topic);
+        });
+    }
+
+    // Room alias of a device or sensor topic: device/<id>/<rest> is also
+    // published as home/<room>/<id>/<rest> while the device is in a room.
+    // Commands are not mirrored; they arrive on the alias and are forwarded
+    getRoomTopic(topic) {
+        const levels = topic.split('/');
+        if (levels.length < 3 || levels[2] === 'set') return null;
+
+        const client = this.getRoomClient(levels[0], levels[1]);
+        if (!client || !client.room) return null;
+        return ['home', client.room, ...levels.slice(1)].join('/');
+    }
+
+    // Get the retained message for a topic
+    getRetained(topic) {
+        const entry = this.retained.get(topic);
+        return entry ? entry.message : undefined;
     }
 
     // Register a device
-    registerDevice(device) {
+    // options.will overrides the default last-will message, options.keepAlive
+    // (ms) marks the device offline when it stops publishing, options.room
+    // places it in a room
+    registerDevice(device, options = {}) {
+        this.checkUnregistered('device', device.id);
+        device.room = this.checkRoom(options.room !== undefined ? options.room : device.room);
         this.devices.set(device.id, device);
         device.gateway = this;
+        this.connectClient('device', device.id, options);
+        this.publish(`device/${device.id}/clusters`, device.describeClusters(), { retain: true });
+        this.publishDeviceClusters(device);
         this.publish('device/registered', { deviceId: device.id, name: device.name });
+        if (device.room) this.publishRooms();
     }
 
-    // Register a sensor
-    registerSensor(sensor) {
+    // Register a sensor (keep-alive defaults to three missed update intervals)
+    registerSensor(sensor, options = {}) {
+        this.checkUnregistered('sensor', sensor.id);
+        sensor.room = this.checkRoom(options.room !== undefined ? options.room : sensor.room);
         this.sensors.set(sensor.id, sensor);
         sensor.gateway = this;
+        this.connectClient('sensor', sensor.id, {
+            keepAlive: sensor.updateInterval * 3,
+            ...options
+        });
         this.publish('sensor/registered', { sensorId: sensor.id, name: sensor.name });
+        if (sensor.room) this.publishRooms();
+    }
+
+    // Unregister a device: its retained state is cleared, its last will
+    // published and device/unregistered announces it is gone
+    unregisterDevice(id) {
+        const device = this.devices.get(id);
+        if (!device) return false;
+
+        this.clearClientTopics('device', id);
+        this.disconnectClient('device', id);
+        this.devices.delete(id);
+        this.shedSince.delete(id);
+        this.clusterStates.delete(id);
+        device.gateway = null;
+        this.publish('device/unregistered', { deviceId: id, name: device.name });
+        if (device.room) this.publishRooms();
+        return true;
+    }
+
+    // Unregister a sensor, like unregisterDevice
+    unregisterSensor(id) {
+        const sensor = this.sensors.get(id);
+        if (!sensor) return false;
+
+        this.clearSensorAlarm(id);
+        this.clearClientTopics('sensor', id);
+        this.disconnectClient('sensor', id);
+        this.sensors.delete(id);
+        sensor.gateway = null;
+        this.publish('sensor/unregistered', { sensorId: id, name: sensor.name });
+        if (sensor.room) this.publishRooms();
+        return true;
+    }
+
+    // Ids are topic levels and must be unique per client type
+    checkUnregistered(type, id) {
+        if (typeof id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            throw new Error(`Invalid ${type} id '${id}' (use letters, digits, '-' and '_')`);
+        }
+        if (this.getRoomClient(type, id)) {
+            throw new Error(`A ${type} with id '${id}' is already registered`);
+        }
+    }
+
+    // Clear a client's retained topics (and their room aliases), except the
+    // status topic its last will updates
+    clearClientTopics(type, id) {
+        const prefix = `${type}/${id}/`;
+        Array.from(this.retained.keys())
+            .filter(topic => topic.startsWith(prefix) && topic !== `${prefix}status`)
+            .forEach(topic => this.publish(topic, null, { retain: true }));
+    }
+
+    // Add a room, or rename or move an existing one, and publish the layout
+    addRoom({ id, name, floor } = {}) {
+        if (typeof id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            throw new Error(`Invalid room id '${id}' (use letters, digits, '-' and '_')`);
+        }
+
+        const room = { id, name: name || id, floor: floor || IoTGateway.DEFAULT_FLOOR };
+        this.rooms.set(id, room);
+        this.publishRooms();
+        return room;
+    }
+
+    // Remove a room; its devices and sensors stay registered outside any room
+    removeRoom(id) {
+        if (!this.rooms.has(id)) return false;
+
+        this.getDevicesInRoom(id).forEach(device => this.assignRoom('device', device.id, null));
+        this.getSensorsInRoom(id).forEach(sensor => this.assignRoom('sensor', sensor.id, null));
+        this.rooms.delete(id);
+        this.publishRooms();
+        return true;
+    }
+
+    getRoom(id) {
+        return this.rooms.get(id);
+    }
+
+    getAllRooms() {
+        return Array.from(this.rooms.values());
+    }
+
+    // Move a registered device or sensor into a room (null for none).
+    // Its retained topics move to the new room's aliases
+    assignRoom(type, id, roomId) {
+        const client = this.getRoomClient(type, id);
+        if (!client) {
+            throw new Error(`Unknown ${type} '${id}'`);
+        }
+        roomId = this.checkRoom(roomId);
+        if (client.room === roomId) return;
+
+        const prefix = `${type}/${id}/`;
+        const retained = Array.from(this.retained.entries()).filter(([topic]) => topic.startsWith(prefix));
+        retained.forEach(([topic]) => {
+            const alias = this.getRoomTopic(topic);
+            if (alias) this.retained.delete(alias);
+        });
+
+        client.room = roomId;
+        retained.forEach(([topic, entry]) => {
+            const alias = this.getRoomTopic(topic);
+            if (alias) this.deliver(alias, entry.message, { retain: true }, entry.timestamp);
+        });
+        this.publishRooms();
+    }
+
+    // Add rooms from layout definitions ({ id, name, floor, devices, sensors }),
+    // placing the listed devices and sensors. Returns warnings for listed ids
+    // that are not registered
+    loadRooms(definitions) {
+        const warnings = [];
+        definitions.forEach(definition => {
+            this.addRoom(definition);
+            ['device', 'sensor'].forEach(type => {
+                (definition[`${type}s`] || []).forEach(id => {
+                    if (this.getRoomClient(type, id)) {
+                        this.assignRoom(type, id, definition.id);
+                    } else {
+                        warnings.push(`Unknown ${type} '${id}' not placed in room '${definition.id}'`);
+                    }
+                });
+            });
+        });
+        return warnings;
+    }
+
+    // Rooms with the ids of the devices and sensors in each
+    getRoomLayout() {
+        return this.getAllRooms().map(room => ({
+            ...room,
+            devices: this.getDevicesInRoom(room.id).map(device => device.id),
+            sensors: this.getSensorsInRoom(room.id).map(sensor => sensor.id)
+        }));
+    }
+
+    // Publish the layout retained on home/rooms
+    publishRooms() {
+        this.publish('home/rooms', this.getRoomLayout(), { retain: true });
+    }
+
+    getDevicesInRoom(roomId) {
+        return this.getAllDevices().filter(device => device.room === roomId);
+    }
+
+    getSensorsInRoom(roomId) {
+        return this.getAllSensors().filter(sensor => sensor.room === roomId);
+    }
+
+    // Find a sensor by id or by type (e.g. 'motion'), an exact id first.
+    // Within a room only that room's sensors match
+    findSensor(ref, roomId = null) {
+        const candidates = roomId === null ? this.getAllSensors() : this.getSensorsInRoom(roomId);
+        return candidates.find(sensor => sensor.id === ref) || candidates.find(sensor => sensor.type === ref);
+    }
+
+    // Devices of a type (e.g. 'light'), in one room or the whole home. Variants
+    // match their base type too: color lights are lights
+    findDevices(type, roomId = null) {
+        const candidates = roomId === null ? this.getAllDevices() : this.getDevicesInRoom(roomId);
+        return candidates.filter(device => {
+            const state = device.getState();
+            return state.type === type || state.baseType === type;
+        });
+    }
+
+    // Devices implementing a cluster (e.g. 'levelControl'), in one room or the whole home
+    findDevicesWithCluster(cluster, roomId = null) {
+        const candidates = roomId === null ? this.getAllDevices() : this.getDevicesInRoom(roomId);
+        return candidates.filter(device => device.hasCluster(cluster));
+    }
+
+    // Registered device or sensor by client type
+    getRoomClient(type, id) {
+        if (type === 'device') return this.devices.get(id);
+        if (type === 'sensor') return this.sensors.get(id);
+        return undefined;
+    }
+
+    // Check that a room exists, returning its id (or null for none)
+    checkRoom(roomId) {
+        if (roomId === null || roomId === undefined) return null;
+        if (!this.rooms.has(roomId)) {
+            throw new Error(`Unknown room '${roomId}'`);
+        }
+        return roomId;
+    }
+
+    // Track a device or sensor session and publish its retained online status
+    connectClient(type, id, options = {}) {
+        const statusTopic = `${type}/${id}/status`;
+        const will = {
+            topic: statusTopic,
+            message: { id, online: false },
+            retain: true,
+            ...options.will
+        };
+
+        this.clients.set(`${type}/${id}`, {
+            type,
+            id,
+            will,
+            keepAlive: options.keepAlive || null,
+            lastSeen: this.clock.now(),
+            online: true
+        });
+        this.publish(statusTopic, { id, online: true }, { retain: true });
+    }
+
+    // End a client session, publishing its last will if it was still online
+    disconnectClient(type, id) {
+        const client = this.clients.get(`${type}/${id}`);
+        if (!client) return;
+
+        this.clients.delete(`${type}/${id}`);
+        if (client.online) {
+            this.publishWill(client);
+        }
+    }
+
+    // Publish a client's last will and mark it offline
+    publishWill(client) {
+        client.online = false;
+        this.publish(client.will.topic, client.will.message, { retain: client.will.retain });
+    }
+
+    // Keep-alive ping for clients that have nothing new to publish
+    ping(type, id) {
+        this.touchClient(`${type}/${id}`, this.clock.now());
+    }
+
+    // Any publish under device/<id>/ or sensor/<id>/ counts as a sign of life.
+    // Status topics are skipped since the gateway publishes them itself, and
+    // set topics since they carry commands to the device, not from it
+    touchClient(topic, timestamp) {
+        const levels = topic.split('/');
+        if (levels.length < 2 || ['status', 'set'].includes(levels[levels.length - 1])) return;
+
+        const client = this.clients.get(`${levels[0]}/${levels[1]}`);
+        if (!client) return;
+
+        client.lastSeen = timestamp;
+        if (!client.online) {
+            client.online = true;
+            this.publish(`${client.type}/${client.id}/status`, { id: client.id, online: true }, { retain: true });
+        }
+    }
+
+    // Publish the last will of every client that has missed its keep-alive
+    checkKeepAlive(now = this.clock.now()) {
+        this.clients.forEach(client => {
+            if (client.online && client.keepAlive && now - client.lastSeen > client.keepAlive) {
+                this.publishWill(client);
+            }
+        });
+    }
+
+    // Check whether a registered device or sensor is reporting
+    isOnline(type, id) {
+        const client = this.clients.get(`${type}/${id}`);
+        return client ? client.online : false;
+    }
+
+    // Send a command to a device over device/<id>/set.
+    // QoS 0 is fire-and-forget; QoS 1 resolves with the acknowledgement, retrying
+    // on timeout and rejecting when the device refuses the command or never answers.
+    // options.source tags who sent it (e.g. 'manual', 'automation'); with
+    // options.cluster the command is that cluster's (e.g. 'levelControl', 'moveToLevel')
+    sendCommand(deviceId, command, value, options = {}) {
+        const qos = options.qos === undefined ? 1 : options.qos;
+        const timeout = options.timeout || this.commandTimeout;
+        const retries = options.retries === undefined ? this.commandRetries : options.retries;
+        const messageId = this.nextMessageId++;
+        const topic = `device/${deviceId}/set`;
+        const message = { messageId, command, value, qos };
+        if (options.source) message.source = options.source;
+        if (options.cluster) message.cluster = options.cluster;
+
+        if (qos === 0) {
+            this.publish(topic, message);
+            return Promise.resolve({ messageId, deviceId, command, status: 'sent' });
+        }
+
+        return new Promise((resolve, reject) => {
+            const pending = { deviceId, command, attempts: 0, timer: null, resolve, reject };
+
+            const attempt = () => {
+                pending.attempts++;
+                pending.timer = setTimeout(() => {
+                    if (pending.attempts > retries) {
+                        this.pendingCommands.delete(messageId);
+                        reject(new Error(`Command '${command}' to '${deviceId}' was not acknowledged after ${pending.attempts} attempts`));
+                    } else {
+                        attempt();
+                    }
+                }, timeout);
+                this.publish(topic, { ...message, dup: pending.attempts > 1 });
+            };
+
+            this.pendingCommands.set(messageId, pending);
+            attempt();
+        });
+    }
+
+    // Route an inbound command to the registered device and acknowledge it
+    handleCommand(deviceId, message) {
+        const device = this.devices.get(deviceId);
+        if (!device || !message) return;
+
+        const qos = message.qos || 0;
+        const key = `${deviceId}/${message.messageId}`;
+
+        // Retried QoS 1 messages are acknowledged again but executed only once
+        if (qos > 0 && this.processedCommands.has(key)) {
+            this.publish(`device/${deviceId}/ack`, this.processedCommands.get(key));
+            return;
+        }
+
+        const ack = {
+            messageId: message.messageId,
+            deviceId,
+            command: message.command,
+            status: 'accepted'
+        };
+        if (message.cluster !== undefined) ack.cluster = message.cluster;
+
+        const value = this.commandSecrets.has(message) ? this.commandSecrets.get(message) : message.value;
+        try {
+            if (message.cluster !== undefined) {
+                device.executeClusterCommand(message.cluster, message.command, value);
+            } else {
+                device.executeCommand(message.command, value);
+            }
+            // Shed before anything draws more than the budget allows
+            this.balanceLoad();
+            this.publishClusterChanges();
+        } catch (error) {
+            ack.status = 'rejected';
+            ack.error = error.message;
+        }
+
+        if (qos > 0) {
+            this.processedCommands.set(key, ack);
+
+            // Keep only the last 100 acknowledgements
+            if (this.processedCommands.size > 100) {
+                this.processedCommands.delete(this.processedCommands.keys().next().value);
+            }
+        }
+
+        // Rejections are always published so QoS 0 senders can see them too
+        if (qos > 0 || ack.status === 'rejected') {
+            this.publish(`device/${deviceId}/ack`, ack);
+        }
+    }
+
+    // Settle the pending sendCommand() promise for an acknowledgement
+    handleAck(ack) {
+        const pending = this.pendingCommands.get(ack.messageId);
+        if (!pending || pending.deviceId !== ack.deviceId) return;
+
+        clearTimeout(pending.timer);
+        this.pendingCommands.delete(ack.messageId);
+
+        if (ack.status === 'accepted') {
+            pending.resolve(ack);
+        } else {
+            const error = new Error(ack.error);
+            error.ack = ack;
+            pending.reject(error);
+        }
+    }
+
+    // Publish the cluster attributes that changed since they were last published,
+    // on device/<id>/cluster/<cluster>. Runs after every command and simulation tick
+    publishClusterChanges() {
+        this.devices.forEach(device => this.publishDeviceClusters(device));
+    }
+
+    publishDeviceClusters(device) {
+        const published = this.clusterStates.get(device.id) || {};
+        device.getClusters().forEach(cluster => {
+            const attributes = device.getClusterAttributes(cluster);
+            const previous = published[cluster];
+            const changed = Object.keys(attributes).filter(name => !previous || previous[name] !== attributes[name]);
+            if (changed.length === 0) return;
+
+            published[cluster] = attributes;
+            this.publish(`device/${device.id}/cluster/${cluster}`, {
+                id: device.id,
+                cluster,
+                attributes,
+                changed
+            }, { retain: true });
+        });
+        this.clusterStates.set(device.id, published);
     }
 
     // Get device by ID
@@ -68,6 +661,63 @@ class IoTGateway {
         return this.sensors.get(id);
     }
 
+    // Raise, escalate or clear a sensor's alarm after a reading. Raised and
+    // changed alarms are published retained on sensor/<id>/alarm and as
+    // alarm/raised; alarm/active holds every active alarm, most severe first.
+    // A reading that keeps the alarm at its level only refreshes its value
+    updateSensorAlarm(id) {
+        const sensor = this.sensors.get(id);
+        if (!sensor) return;
+
+        const alarm = sensor.getAlarm();
+        const active = this.alarms.get(id);
+        if (!alarm) {
+            this.clearSensorAlarm(id);
+            return;
+        }
+        if (active && active.level === alarm.level) {
+            active.message = alarm.message;
+            active.value = sensor.value;
+            return;
+        }
+
+        const entry = {
+            sensor: id,
+            name: sensor.name,
+            type: sensor.type,
+            room: sensor.room,
+            level: alarm.level,
+            message: alarm.message,
+            value: sensor.value,
+            since: active ? active.since : this.clock.now()
+        };
+        this.alarms.set(id, entry);
+        this.publish(`sensor/${id}/alarm`, entry, { retain: true });
+        this.publish('alarm/raised', entry);
+        this.publishAlarms();
+    }
+
+    // Clear a sensor's alarm, announcing it on alarm/cleared
+    clearSensorAlarm(id) {
+        const active = this.alarms.get(id);
+        if (!active) return;
+
+        this.alarms.delete(id);
+        this.publish(`sensor/${id}/alarm`, null, { retain: true });
+        this.publish('alarm/cleared', { ...active, clearedAt: this.clock.now() });
+        this.publishAlarms();
+    }
+
+    // Active alarms, critical first, then oldest first
+    getActiveAlarms() {
+        return Array.from(this.alarms.values()).sort((a, b) =>
+            (b.level === 'critical') - (a.level === 'critical') || a.since - b.since);
+    }
+
+    publishAlarms() {
+        this.publish('alarm/active', this.getActiveAlarms(), { retain: true });
+    }
+
     // Get all devices
     getAllDevices() {
         return Array.from(this.devices.values());
@@ -100,6 +750,44 @@ class IoTGateway {
         return total;
     }
 
+    // Get total power generated on site (solar)
+    getTotalGeneration() {
+        let total = 0;
+        this.devices.forEach(device => {
+            total += device.getGeneration();
+        });
+        return total;
+    }
+
+    // Settle the last dt ms of power flow: generation covers consumption first,
+    // batteries absorb the surplus or cover the shortfall, and the grid supplies
+    // or takes whatever is left. Publishes the result on power/flow.
+    // Runs every simulation tick, after load balancing
+    updatePowerFlow(dt) {
+        const consumption = this.getTotalPowerConsumption();
+        const generation = this.getTotalGeneration();
+        let battery = 0;
+
+        this.devices.forEach(device => {
+            if (typeof device.dispatch === 'function') {
+                battery += device.dispatch(consumption - generation - battery, dt);
+            }
+        });
+
+        this.powerFlow = {
+            consumption,
+            generation,
+            battery,
+            grid: consumption - generation - battery
+        };
+        this.publish('power/flow', this.powerFlow, { retain: true });
+        return this.powerFlow;
+    }
+
+    getPowerFlow() {
+        return { ...this.powerFlow };
+    }
+
     // Get power consumption by device
     getPowerBreakdown() {
         const breakdown = [];
@@ -108,17 +796,152 @@ class IoTGateway {
                 id: device.id,
                 name: device.name,
                 power: device.getCurrentPowerConsumption(),
-                isOn: device.isOn
+                demand: device.getPowerDemand(),
+                isOn: device.isOn,
+                shed: device.shed
             });
         });
         return breakdown;
     }
 
+    // Set the main breaker budget in watts (null removes it) and rebalance
+    setPowerBudget(watts) {
+        if (watts !== null && !(typeof watts === 'number' && watts > 0)) {
+            throw new Error(`Invalid power budget '${watts}' (expected watts above 0, or null)`);
+        }
+        this.powerBudget = watts;
+        this.publish('power/budget', { budget: watts }, { retain: true });
+        this.balanceLoad();
+    }
+
+    // Shedding priority of a device: lower is shed first, null is never shed
+    getSheddingPriority(deviceId) {
+        if (this.sheddingPriorities.has(deviceId)) return this.sheddingPriorities.get(deviceId);
+        const device = this.devices.get(deviceId);
+        return device ? device.sheddingPriority : null;
+    }
+
+    setSheddingPriority(deviceId, priority) {
+        if (!this.devices.has(deviceId)) {
+            throw new Error(`Unknown device '${deviceId}'`);
+        }
+        if (priority !== null && !Number.isFinite(priority)) {
+            throw new Error(`Invalid shedding priority '${priority}' (expected a number or null)`);
+        }
+        this.sheddingPriorities.set(deviceId, priority);
+        this.balanceLoad();
+    }
+
+    // Fit the devices' power demand into the budget, most important first.
+    // The budget limits what is drawn from the grid, so solar generation adds
+    // to it. Devices that do not fit are shed (paused while staying on); shed devices
+    // resume once they fit again and have been paused for restoreDelay
+    // (at once when the budget is removed).
+    // Runs after every command and every simulation tick
+    balanceLoad() {
+        if (this.balancing) return;
+        this.balancing = true;
+
+        try {
+            const now = this.clock.now();
+            const rank = device => {
+                const priority = this.getSheddingPriority(device.id);
+                return priority === null ? Infinity : priority;
+            };
+            const capacity = this.powerBudget === null ? null : this.powerBudget + this.getTotalGeneration();
+            let load = 0;
+
+            this.getAllDevices().sort((a, b) => rank(b) - rank(a)).forEach(device => {
+                const demand = device.getPowerDemand();
+                const fits = capacity === null || rank(device) === Infinity ||
+                    load + demand <= capacity;
+
+                if (device.shed && !this.shedSince.has(device.id)) {
+                    // Restored as shed without a start time: count from now
+                    this.shedSince.set(device.id, now);
+                }
+
+                if (!device.shed) {
+                    if (fits) {
+                        load += demand;
+                    } else {
+                        this.shedDevice(device, demand, load);
+                    }
+                } else if (demand === 0) {
+                    // Switched off meanwhile: nothing to resume
+                    this.shedSince.delete(device.id);
+                    device.setShed(false);
+                } else if (fits && (this.powerBudget === null || now - this.shedSince.get(device.id) >= this.restoreDelay)) {
+                    load += demand;
+                    this.restoreDevice(device, demand, now);
+                } else if (fits) {
+                    // Keep its capacity so lower priorities cannot take it meanwhile
+                    load += demand;
+                }
+            });
+        } finally {
+            this.balancing = false;
+        }
+    }
+
+    shedDevice(device, demand, load) {
+        this.shedSince.set(device.id, this.clock.now());
+        device.setShed(true);
+        this.publish('power/shed', {
+            device: device.id,
+            name: device.name,
+            demand,
+            load,
+            budget: this.powerBudget,
+            priority: this.getSheddingPriority(device.id)
+        });
+    }
+
+    restoreDevice(device, demand, now) {
+        const since = this.shedSince.get(device.id);
+        this.shedSince.delete(device.id);
+        device.setShed(false);
+        this.publish('power/restored', {
+            device: device.id,
+            name: device.name,
+            demand,
+            budget: this.powerBudget,
+            shedFor: now - since
+        });
+    }
+
+    // Power budget settings, shedding state and rooms for the persistence layer
+    saveState() {
+        return {
+            powerBudget: this.powerBudget,
+            sheddingPriorities: Object.fromEntries(this.sheddingPriorities),
+            shedSince: Object.fromEntries(this.shedSince),
+            rooms: this.getRoomLayout()
+        };
+    }
+
+    // Restore saved settings, returning warnings for room members that are gone
+    restoreState(state) {
+        if (state.powerBudget !== undefined) this.powerBudget = state.powerBudget;
+        this.sheddingPriorities = new Map(Object.entries(state.sheddingPriorities || {}));
+        this.shedSince = new Map(Object.entries(state.shedSince || {}));
+        this.publish('power/budget', { budget: this.powerBudget }, { retain: true });
+
+        this.getAllRooms().forEach(room => this.removeRoom(room.id));
+        return this.loadRooms(state.rooms);
+    }
+
     // Get message log
     getMessageLog() {
         return this.messageLog.slice(-20);
     }
 }
 
+IoTGateway.DEFAULT_FLOOR = 'Ground Floor';
+
 // Export singleton instance
 const gateway = new IoTGateway();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IoTGateway };
+}
@@ -0,0 +1,492 @@
+/**
+ * MQTT Bridge
+ * Mirrors IoT Gateway traffic to an MQTT broker over WebSocket and
+ * forwards inbound device commands from the broker into the gateway
+ */
+
+// Topic filter matching shared with the gateway (required under Node, global in the browser)
+const mqttTopicMatches = typeof module !== 'undefined' && module.exports
+    ? require('./iot-gateway').IoTGateway.topicMatches
+    : IoTGateway.topicMatches;
+
+// Minimal MQTT 3.1.1 packet encoding/decoding (QoS 0 only)
+const MqttPacket = {
+    CONNECT: 1,
+    CONNACK: 2,
+    PUBLISH: 3,
+    SUBSCRIBE: 8,
+    SUBACK: 9,
+    PINGREQ: 12,
+    PINGRESP: 13,
+    DISCONNECT: 14,
+
+    encodeString(text) {
+        const bytes = new TextEncoder().encode(text);
+        return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+    },
+
+    encodeRemainingLength(length) {
+        const bytes = [];
+        do {
+            let byte = length % 128;
+            length = Math.floor(length / 128);
+            if (length > 0) byte |= 0x80;
+            bytes.push(byte);
+        } while (length > 0);
+        return bytes;
+    },
+
+    build(firstByte, body) {
+        return new Uint8Array([firstByte, ...this.encodeRemainingLength(body.length), ...body]);
+    },
+
+    connect({ clientId, keepAlive, username, password, will }) {
+        let flags = 0x02; // clean session
+        const payload = [...this.encodeString(clientId)];
+
+        if (will) {
+            flags |= 0x04 | (will.retain ? 0x20 : 0);
+            payload.push(...this.encodeString(will.topic), ...this.encodeString(will.payload));
+        }
+        if (username) {
+            flags |= 0x80;
+            payload.push(...this.encodeString(username));
+        }
+        if (password) {
+            flags |= 0x40;
+            payload.push(...this.encodeString(password));
+        }
+
+        const header = [...this.encodeString('MQTT'), 4, flags, keepAlive >> 8, keepAlive & 0xff];
+        return this.build(this.CONNECT << 4, [...header, ...payload]);
+    },
+
+    publish(topic, payload, retain) {
+        const body = [...this.encodeString(topic), ...new TextEncoder().encode(payload)];
+        return this.build((this.PUBLISH << 4) | (retain ? 0x01 : 0), body);
+    },
+
+    subscribe(packetId, filter) {
+        const body = [packetId >> 8, packetId & 0xff, ...this.encodeString(filter), 0];
+        return this.build((this.SUBSCRIBE << 4) | 0x02, body);
+    },
+
+    pingreq() {
+        return new Uint8Array([this.PINGREQ << 4, 0]);
+    },
+
+    disconnect() {
+        return new Uint8Array([this.DISCONNECT << 4, 0]);
+    },
+
+    // Split a byte buffer into complete packets, returning leftover bytes
+    decode(buffer) {
+        const packets = [];
+        let offset = 0;
+
+        while (offset < buffer.length) {
+            let multiplier = 1;
+            let length = 0;
+            let pos = offset + 1;
+            let byte;
+
+            do {
+                if (pos >= buffer.length) return { packets, rest: buffer.slice(offset) };
+                byte = buffer[pos++];
+                length += (byte & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (byte & 0x80);
+
+            if (pos + length > buffer.length) break;
+
+            packets.push(this.parse(buffer[offset], buffer.slice(pos, pos + length)));
+            offset = pos + length;
+        }
+
+        return { packets, rest: buffer.slice(offset) };
+    },
+
+    parse(firstByte, body) {
+        const type = firstByte >> 4;
+        const packet = { type };
+
+        if (type === this.CONNACK) {
+            packet.returnCode = body[1];
+        } else if (type === this.PUBLISH) {
+            const qos = (firstByte >> 1) & 0x03;
+            const topicLength = (body[0] << 8) | body[1];
+            let pos = 2 + topicLength;
+            packet.topic = new TextDecoder().decode(body.slice(2, pos));
+            packet.retain = (firstByte & 0x01) === 1;
+            if (qos > 0) pos += 2; // skip packet id
+            packet.payload = new TextDecoder().decode(body.slice(pos));
+        }
+
+        return packet;
+    }
+};
+
+// MQTT client speaking the 'mqtt' WebSocket subprotocol
+// (e.g. Mosquitto with a `listener 9001` / `protocol websockets` block)
+class MqttWebSocketClient {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.clientId = options.clientId || `smart-home-${Math.random().toString(16).slice(2, 10)}`;
+        this.keepAlive = options.keepAlive || 30; // seconds
+        this.username = options.username;
+        this.password = options.password;
+        this.will = options.will || null;
+        this.WebSocketImpl = options.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+
+        this.socket = null;
+        this.buffer = new Uint8Array(0);
+        this.nextPacketId = 1;
+        this.pingTimer = null;
+
+        // Callbacks set by the owner
+        this.onConnect = null;
+        this.onMessage = null;
+        this.onClose = null;
+    }
+
+    connect() {
+        if (!this.WebSocketImpl) {
+            throw new Error('No WebSocket implementation available');
+        }
+
+        this.socket = new this.WebSocketImpl(this.url, 'mqtt');
+        this.socket.binaryType = 'arraybuffer';
+
+        this.socket.onopen = () => {
+            this.send(MqttPacket.connect({
+                clientId: this.clientId,
+                keepAlive: this.keepAlive,
+                username: this.username,
+                password: this.password,
+                will: this.will
+            }));
+        };
+
+        this.socket.onmessage = event => this.receive(new Uint8Array(event.data));
+
+        this.socket.onclose = () => {
+            clearInterval(this.pingTimer);
+            this.socket = null;
+            if (this.onClose) this.onClose();
+        };
+
+        this.socket.onerror = () => {
+            // onclose follows and drives reconnection
+        };
+    }
+
+    receive(chunk) {
+        const combined = new Uint8Array(this.buffer.length + chunk.length);
+        combined.set(this.buffer);
+        combined.set(chunk, this.buffer.length);
+
+        const { packets, rest } = MqttPacket.decode(combined);
+        this.buffer = rest;
+
+        packets.forEach(packet => {
+            if (packet.type === MqttPacket.CONNACK) {
+                if (packet.returnCode !== 0) {
+                    this.socket.close();
+                    return;
+                }
+                this.pingTimer = setInterval(() => this.send(MqttPacket.pingreq()), this.keepAlive * 500);
+                if (this.onConnect) this.onConnect();
+            } else if (packet.type === MqttPacket.PUBLISH) {
+                if (this.onMessage) this.onMessage(packet.topic, packet.payload, packet.retain);
+            }
+        });
+    }
+
+    send(bytes) {
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(bytes);
+        }
+    }
+
+    publish(topic, payload, options = {}) {
+        this.send(MqttPacket.publish(topic, payload, options.retain));
+    }
+
+    subscribe(filter) {
+        this.send(MqttPacket.subscribe(this.nextPacketId++, filter));
+    }
+
+    end() {
+        if (!this.socket) return;
+        this.send(MqttPacket.disconnect());
+        this.socket.close();
+    }
+}
+
+// In-process stand-in for a broker, used when no Mosquitto instance is running
+class InProcessMqttBroker {
+    constructor() {
+        this.clients = new Set();
+        this.retained = new Map();
+    }
+
+    // Create a client with the same interface as MqttWebSocketClient
+    createClient(options = {}) {
+        const broker = this;
+        const client = {
+            subscriptions: [],
+            connected: false,
+            will: options.will || null,
+            onConnect: null,
+            onMessage: null,
+            onClose: null,
+
+            connect() {
+                broker.clients.add(client);
+                client.connected = true;
+                setTimeout(() => client.onConnect && client.onConnect(), 0);
+            },
+
+            publish(topic, payload, publishOptions = {}) {
+                broker.route(topic, payload, publishOptions.retain);
+            },
+
+            subscribe(filter) {
+                client.subscriptions.push(filter);
+                broker.retained.forEach((payload, topic) => {
+                    if (mqttTopicMatches(filter, topic) && client.onMessage) {
+                        client.onMessage(topic, payload, true);
+                    }
+                });
+            },
+
+            end() {
+                broker.disconnect(client, false);
+            },
+
+            // Simulate a dropped connection (publishes the will)
+            drop() {
+                broker.disconnect(client, true);
+            }
+        };
+        return client;
+    }
+
+    route(topic, payload, retain) {
+        if (retain) {
+            if (payload === '') {
+                this.retained.delete(topic);
+            } else {
+                this.retained.set(topic, payload);
+            }
+        }
+
+        this.clients.forEach(client => {
+            if (client.onMessage && client.subscriptions.some(filter => mqttTopicMatches(filter, topic))) {
+                client.onMessage(topic, payload, false);
+            }
+        });
+    }
+
+    disconnect(client, unexpected) {
+        if (!this.clients.has(client)) return;
+
+        this.clients.delete(client);
+        client.connected = false;
+        client.subscriptions = [];
+
+        if (unexpected && client.will) {
+            this.route(client.will.topic, client.will.payload, client.will.retain);
+        }
+        if (client.onClose) client.onClose();
+    }
+}
+
+// Device commands, on the device topic or a room alias
+function isCommandTopic(topic) {
+    return mqttTopicMatches('device/+/set', topic) || mqttTopicMatches('home/+/+/set', topic);
+}
+
+// Bridge between the gateway and an MQTT broker.
+// Gateway topics are mirrored outbound as <prefix>/<topic>; only device
+// commands (<prefix>/device/<id>/set, or <prefix>/home/<room>/<id>/set on a
+// room alias) are accepted inbound, so commands never loop back through the broker
+class MqttBridge {
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.url = options.url || 'ws://localhost:9001';
+        this.topicPrefix = (options.topicPrefix || 'smarthome').replace(/\/+$/, '');
+        this.clientFactory = options.clientFactory ||
+            ((url, clientOptions) => new MqttWebSocketClient(url, clientOptions));
+        this.clientOptions = options.clientOptions || {};
+        this.reconnect = {
+            initialDelay: 1000, // ms
+            maxDelay: 30000,
+            factor: 2,
+            ...options.reconnect
+        };
+
+        this.client = null;
+        this.state = 'stopped'; // stopped, connecting, connected, disconnected
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.unsubscribeGateway = null;
+    }
+
+    start() {
+        if (this.state !== 'stopped') return;
+
+        this.unsubscribeGateway = this.gateway.subscribe('#', (message, topic) => {
+            this.forwardOutbound(topic, message);
+        }, { retained: false });
+
+        this.connect();
+    }
+
+    stop() {
+        clearTimeout(this.reconnectTimer);
+        if (this.unsubscribeGateway) {
+            this.unsubscribeGateway();
+            this.unsubscribeGateway = null;
+        }
+
+        if (this.client) {
+            this.client.publish(this.statusTopic(), JSON.stringify({ online: false }), { retain: true });
+            const client = this.client;
+            this.client = null;
+            client.end();
+        }
+
+        this.attempt = 0;
+        this.setState('stopped');
+    }
+
+    isRunning() {
+        return this.state !== 'stopped';
+    }
+
+    statusTopic() {
+        return `${this.topicPrefix}/bridge/status`;
+    }
+
+    connect() {
+        this.setState('connecting');
+
+        const client = this.clientFactory(this.url, {
+            ...this.clientOptions,
+            will: {
+                topic: this.statusTopic(),
+                payload: JSON.stringify({ online: false }),
+                retain: true
+            }
+        });
+        this.client = client;
+
+        client.onConnect = () => {
+            if (this.client !== client) return;
+            this.attempt = 0;
+            this.setState('connected');
+
+            client.subscribe(`${this.topicPrefix}/device/+/set`);
+            client.subscribe(`${this.topicPrefix}/home/+/+/set`);
+            client.publish(this.statusTopic(), JSON.stringify({ online: true }), { retain: true });
+
+            // Bring the broker up to date with every retained gateway topic
+            this.gateway.retained.forEach((entry, topic) => {
+                this.forwardOutbound(topic, entry.message);
+            });
+        };
+
+        client.onMessage = (topic, payload) => {
+            if (this.client === client) this.forwardInbound(topic, payload);
+        };
+
+        client.onClose = () => {
+            if (this.client !== client) return;
+            this.client = null;
+            this.scheduleReconnect();
+        };
+
+        try {
+            client.connect();
+        } catch (error) {
+            console.warn(`MQTT bridge: ${error.message}`);
+            this.client = null;
+            this.scheduleReconnect();
+        }
+    }
+
+    // Exponential backoff capped at reconnect.maxDelay
+    scheduleReconnect() {
+        const delay = Math.min(
+            this.reconnect.maxDelay,
+            this.reconnect.initialDelay * Math.pow(this.reconnect.factor, this.attempt)
+        );
+        this.attempt++;
+        this.setState('disconnected', { retryIn: delay });
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    forwardOutbound(topic, message) {
+        if (!this.client || this.state !== 'connected') return;
+        if (topic.startsWith('bridge/') || isCommandTopic(topic)) return;
+
+        // Clearing a retained topic (e.g. for a removed device) clears it on the broker too
+        if (message === null || message === undefined) {
+            this.client.publish(`${this.topicPrefix}/${topic}`, '', { retain: true });
+            return;
+        }
+
+        const retain = this.gateway.getRetained(topic) === message;
+
+        // Hand inbound message IDs back to the broker in their original form
+        if ((mqttTopicMatches('device/+/ack', topic) || mqttTopicMatches('home/+/+/ack', topic)) &&
+            typeof message.messageId === 'string' && message.messageId.startsWith('mqtt:')) {
+            message = { ...message, messageId: JSON.parse(message.messageId.slice(5)) };
+        }
+
+        this.client.publish(`${this.topicPrefix}/${topic}`, JSON.stringify(message), { retain });
+    }
+
+    forwardInbound(topic, payload) {
+        const localTopic = topic.slice(this.topicPrefix.length + 1);
+        if (!topic.startsWith(`${this.topicPrefix}/`) || !isCommandTopic(localTopic)) {
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(payload);
+        } catch (error) {
+            console.warn(`MQTT bridge: ignoring non-JSON command on ${topic}`);
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            console.warn(`MQTT bridge: ignoring command on ${topic} that is not a JSON object`);
+            return;
+        }
+
+        // Namespace external message IDs so they cannot collide with local ones
+        if (message.messageId !== undefined) {
+            message.messageId = `mqtt:${JSON.stringify(message.messageId)}`;
+        }
+        message.source = 'mqtt';
+
+        this.gateway.publish(localTopic, message);
+    }
+
+    setState(state, details = {}) {
+        this.state = state;
+        this.gateway.publish('bridge/mqtt/status', {
+            state,
+            url: this.url,
+            topicPrefix: this.topicPrefix,
+            attempt: this.attempt,
+            ...details
+        }, { retain: true });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MqttPacket, MqttWebSocketClient, InProcessMqttBroker, MqttBridge };
+}
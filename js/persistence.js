@@ -0,0 +1,277 @@
+/**
+ * Persistence
+ * Snapshots the whole home (clock, devices and sensors including ones added
+ * or removed while running, rooms, rules, scenes, schedules, history, energy,
+ * room temperatures)
+ * to localStorage in the browser or a JSON file in the headless runtime, and
+ * restores it with versioned migrations
+ */
+
+// Rooms module: required under Node, global in the browser
+const PersistenceRooms = typeof module !== 'undefined' && module.exports
+    ? require('./rooms')
+    : { createDefaultRooms };
+
+// Bump when the snapshot shape changes and add a migration from the previous version.
+// New optional sections (history, energy) need none; a changed shape does, so that
+// restoreState() methods only ever read the current shape
+const STATE_VERSION = 4;
+
+// STATE_MIGRATIONS[n] upgrades a version n snapshot to version n + 1
+const STATE_MIGRATIONS = {
+    // Energy days split grid imports from solar: days metered before solar
+    // support imported everything they consumed
+    1: state => {
+        Object.values((state.energy && state.energy.days) || {}).forEach(day => {
+            if (day.imported !== undefined) return;
+            const usage = Object.values(day.devices);
+            Object.assign(day, {
+                solar: 0,
+                imported: usage.reduce((sum, { kWh }) => sum + kWh, 0),
+                exported: 0,
+                importCost: usage.reduce((sum, { cost }) => sum + cost, 0),
+                exportCredit: 0
+            });
+        });
+        return state;
+    },
+
+    // Room temperatures come from the room model: snapshots from before it
+    // start the room at the last temperature reading
+    2: state => {
+        if (!state.room && state.sensors && state.sensors.temperature) {
+            state.room = { temperature: state.sensors.temperature.value };
+        }
+        return state;
+    },
+
+    // Rooms: snapshots from before them were taken of the default home, so they
+    // get the default layout, room temperatures start at the home temperature and
+    // the lights-off timer starts over in every room
+    3: state => {
+        if (state.gateway && !Array.isArray(state.gateway.rooms)) {
+            state.gateway.rooms = PersistenceRooms.createDefaultRooms();
+        }
+        if (state.room && !state.room.zones) state.room.zones = {};
+
+        const lightingOff = state.automation && state.automation.rules && state.automation.rules['lighting-off'];
+        if (lightingOff && (!lightingOff.noMotionSince || typeof lightingOff.noMotionSince !== 'object')) {
+            lightingOff.noMotionSince = {};
+        }
+        return state;
+    }
+};
+
+// Upgrade a snapshot to STATE_VERSION, throwing when it cannot be read
+function migrateState(state) {
+    if (!state || typeof state !== 'object' || !Number.isInteger(state.version)) {
+        throw new Error('Saved state has no version');
+    }
+    if (state.version > STATE_VERSION) {
+        throw new Error(`Saved state version ${state.version} is newer than supported version ${STATE_VERSION}`);
+    }
+
+    let migrated = state;
+    while (migrated.version < STATE_VERSION) {
+        const migrate = STATE_MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration from state version ${migrated.version}`);
+        }
+        migrated = { ...migrate(migrated), version: migrated.version + 1 };
+    }
+    return migrated;
+}
+
+// Snapshot a home ({ gateway, devices, sensors, automationEngine, scenes, scheduler, timeSeries,
+// energyMeter, roomModel, simulation })
+function captureHomeState(home) {
+    const state = {
+        version: STATE_VERSION,
+        savedAt: home.gateway.clock.now(),
+        clock: { time: home.gateway.clock.now() },
+        random: { seed: home.gateway.random.seed, state: home.gateway.random.state },
+        gateway: home.gateway.saveState(),
+        devices: {},
+        sensors: {}
+    };
+
+    home.gateway.getAllDevices().forEach(device => {
+        state.devices[device.id] = device.saveState();
+    });
+    home.gateway.getAllSensors().forEach(sensor => {
+        state.sensors[sensor.id] = sensor.saveState();
+    });
+
+    if (home.simulation) state.simulation = home.simulation.saveState();
+    if (home.scenes) state.scenes = home.scenes.saveState();
+    if (home.automationEngine) state.automation = home.automationEngine.saveState();
+    if (home.scheduler) state.scheduler = home.scheduler.saveState();
+    if (home.timeSeries) state.history = home.timeSeries.saveState();
+    if (home.energyMeter) state.energy = home.energyMeter.saveState();
+    if (home.roomModel) state.room = home.roomModel.saveState();
+    return state;
+}
+
+// Apply a (migrated) snapshot to a home whose devices and sensors are registered.
+// Returns warnings for parts that no longer fit the home (e.g. removed devices)
+function restoreHomeState(home, state) {
+    const warnings = [];
+
+    home.gateway.clock.setTime(state.clock.time);
+    home.gateway.random.setSeed(state.random.seed);
+    home.gateway.random.state = state.random.state;
+
+    // Devices and sensors added or removed while running, before their state is restored
+    if (home.simulation && state.simulation) warnings.push(...home.simulation.restoreState(state.simulation));
+
+    Object.entries(state.devices || {}).forEach(([id, deviceState]) => {
+        const device = home.gateway.getDevice(id);
+        if (device) {
+            device.restoreState(deviceState);
+        } else {
+            warnings.push(`Unknown device '${id}' not restored`);
+        }
+    });
+    Object.entries(state.sensors || {}).forEach(([id, sensorState]) => {
+        const sensor = home.gateway.getSensor(id);
+        if (sensor) {
+            sensor.restoreState(sensorState);
+        } else {
+            warnings.push(`Unknown sensor '${id}' not restored`);
+        }
+    });
+
+    // Migrations give every section its current shape; one that still lacks it is skipped
+    if (state.gateway) {
+        if (Array.isArray(state.gateway.rooms)) {
+            warnings.push(...home.gateway.restoreState(state.gateway));
+        } else {
+            warnings.push('Saved gateway state has no room list and was not restored');
+        }
+    }
+    // Scenes first: rules and schedules may refer to them
+    if (home.scenes && state.scenes) warnings.push(...home.scenes.restoreState(state.scenes));
+    if (home.automationEngine && state.automation) warnings.push(...home.automationEngine.restoreState(state.automation));
+    if (home.scheduler && state.scheduler) warnings.push(...home.scheduler.restoreState(state.scheduler));
+    if (home.energyMeter && state.energy) warnings.push(...home.energyMeter.restoreState(state.energy));
+    if (home.roomModel && state.room) {
+        if (state.room.zones && typeof state.room.zones === 'object' && !Array.isArray(state.room.zones)) {
+            warnings.push(...home.roomModel.restoreState(state.room));
+        } else {
+            warnings.push('Saved room temperatures have no zones and were not restored');
+        }
+    }
+    // Last: restoring sensors above records their readings, which the saved history replaces
+    if (home.timeSeries && state.history) warnings.push(...home.timeSeries.restoreState(state.history));
+
+    return warnings;
+}
+
+// Browser storage: one JSON document under a localStorage key
+class LocalStorageStore {
+    constructor(key = 'smart-home-state', storage = null) {
+        this.key = key;
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    load() {
+        const text = this.storage && this.storage.getItem(this.key);
+        return text ? JSON.parse(text) : null;
+    }
+
+    save(state) {
+        if (this.storage) this.storage.setItem(this.key, JSON.stringify(state));
+    }
+
+    clear() {
+        if (this.storage) this.storage.removeItem(this.key);
+    }
+}
+
+// Headless storage: a JSON file, written atomically through a temporary file
+class FileStore {
+    constructor(path) {
+        this.path = path;
+        this.fs = require('fs');
+    }
+
+    load() {
+        if (!this.fs.existsSync(this.path)) return null;
+        return JSON.parse(this.fs.readFileSync(this.path, 'utf8'));
+    }
+
+    save(state) {
+        const temporary = `${this.path}.tmp`;
+        this.fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+        this.fs.renameSync(temporary, this.path);
+    }
+
+    clear() {
+        if (this.fs.existsSync(this.path)) this.fs.unlinkSync(this.path);
+    }
+}
+
+class PersistenceManager {
+    constructor(home, store) {
+        this.home = home;
+        this.store = store;
+        this.timer = null;
+    }
+
+    save() {
+        try {
+            this.store.save(captureHomeState(this.home));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Could not save state: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Restore the saved snapshot, if any. Unreadable snapshots are reported and
+    // left in place; the home keeps its fresh state
+    restore() {
+        let state;
+        try {
+            state = this.store.load();
+            if (!state) return { restored: false, warnings: [] };
+            state = migrateState(state);
+        } catch (error) {
+            console.warn(`⚠️ Saved state ignored: ${error.message}`);
+            return { restored: false, warnings: [error.message] };
+        }
+
+        const warnings = restoreHomeState(this.home, state);
+        warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+        return { restored: true, warnings };
+    }
+
+    clear() {
+        this.stopAutoSave();
+        this.store.clear();
+    }
+
+    // Save every `interval` real-time milliseconds
+    startAutoSave(interval = 5000) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.save(), interval);
+    }
+
+    stopAutoSave() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATE_VERSION,
+        STATE_MIGRATIONS,
+        migrateState,
+        captureHomeState,
+        restoreHomeState,
+        LocalStorageStore,
+        FileStore,
+        PersistenceManager
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * Rooms
+ * The home's layout (rooms on floors and the devices and sensors in each)
+ * and live per-room and per-floor summaries for the dashboard
+ *
+ * Layouts are a list of room definitions, loaded with gateway.loadRooms():
+ *   { "id": "bedroom", "name": "Bedroom", "floor": "First Floor",
+ *     "devices": ["light2"], "sensors": ["bedroomTemperature", "bedroomMotion"] }
+ */
+
+// Default layout for the default devices and sensors. Whole-home devices and
+// sensors (solar, the front door lock, power totals) stay outside any room
+function createDefaultRooms() {
+    return [
+        {
+            id: 'living',
+            name: 'Living Room',
+            floor: 'Ground Floor',
+            devices: ['light1', 'ac', 'livingBlinds', 'tvPlug'],
+            sensors: ['temperature', 'humidity', 'motion', 'light', 'distance', 'co2', 'livingWindow', 'livingCircuit']
+        },
+        {
+            id: 'kitchen',
+            name: 'Kitchen',
+            floor: 'Ground Floor',
+            devices: ['light3'],
+            sensors: ['kitchenMotion', 'kitchenSmoke']
+        },
+        {
+            id: 'utility',
+            name: 'Utility Room',
+            floor: 'Ground Floor',
+            devices: ['waterHeater', 'battery'],
+            sensors: ['utilityLeak', 'utilityCircuit']
+        },
+        {
+            id: 'bedroom',
+            name: 'Bedroom',
+            floor: 'First Floor',
+            devices: ['light2', 'bedroomFan'],
+            sensors: ['bedroomTemperature', 'bedroomMotion', 'bedroomCO2', 'bedroomWindow']
+        }
+    ];
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Live state of one room: temperature, humidity and CO2 from its own sensors
+// (null without), its sensors' active alarms, occupancy from its motion
+// sensors, and its devices' power
+function summarizeRoom(gateway, roomId) {
+    const room = gateway.getRoom(roomId);
+    if (!room) return null;
+
+    const devices = gateway.getDevicesInRoom(roomId);
+    const sensors = gateway.getSensorsInRoom(roomId);
+    const readings = type => sensors.filter(sensor => sensor.type === type).map(sensor => sensor.value);
+
+    return {
+        ...room,
+        temperature: average(readings('temperature')),
+        humidity: average(readings('humidity')),
+        co2: average(readings('co2')),
+        alarms: gateway.getActiveAlarms().filter(alarm => sensors.some(sensor => sensor.id === alarm.sensor)).length,
+        occupied: readings('motion').some(Boolean),
+        power: devices.reduce((sum, device) => sum + device.getCurrentPowerConsumption(), 0),
+        devicesOn: devices.filter(device => device.isOn).length,
+        devices: devices.length,
+        sensors: sensors.length
+    };
+}
+
+// Room summaries grouped by floor, floors in the order their first room was added
+function summarizeFloors(gateway) {
+    const floors = new Map();
+    gateway.getAllRooms().forEach(room => {
+        if (!floors.has(room.floor)) floors.set(room.floor, []);
+        floors.get(room.floor).push(summarizeRoom(gateway, room.id));
+    });
+
+    return Array.from(floors, ([floor, rooms]) => ({
+        floor,
+        rooms,
+        temperature: average(rooms.filter(room => room.temperature !== null).map(room => room.temperature)),
+        occupied: rooms.filter(room => room.occupied).length,
+        power: rooms.reduce((sum, room) => sum + room.power, 0),
+        devicesOn: rooms.reduce((sum, room) => sum + room.devicesOn, 0)
+    }));
+}
+
+// Browser layout, loaded by the simulation once devices and sensors are registered
+const rooms = createDefaultRooms();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createDefaultRooms,
+        summarizeRoom,
+        summarizeFloors
+    };
+}
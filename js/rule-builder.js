@@ -0,0 +1,275 @@
+/**
+ * Rule Builder
+ * Dashboard editor for declarative rules: create, edit, duplicate and delete
+ * rules with a live "would this fire now?" preview
+ */
+
+const RULE_BUILDER_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+// Populate the builder selects once devices and sensors are registered
+function initializeRuleBuilder() {
+    const opSelect = document.getElementById('rb-op');
+    if (!document.getElementById('rb-sensor') || !opSelect) return;
+
+    opSelect.innerHTML = RULE_BUILDER_OPERATORS
+        .map(op => `<option value="${op}">${op}</option>`)
+        .join('');
+    updateBuilderRooms();
+
+    resetRuleBuilder();
+}
+
+// Offer the whole home and every room, keeping the selection while it exists
+function updateBuilderRooms() {
+    const roomSelect = document.getElementById('rb-room');
+    if (!roomSelect) return;
+
+    const current = roomSelect.value;
+    roomSelect.innerHTML = '<option value="">Whole home</option>' + gateway.getAllRooms()
+        .map(room => `<option value="${room.id}">${escapeHtml(room.name)}</option>`)
+        .join('');
+    if (gateway.getRoom(current)) roomSelect.value = current;
+
+    updateBuilderSensors();
+}
+
+// Offer the sensors of the selected room (all of them for the whole home)
+function updateBuilderSensors() {
+    const sensorSelect = document.getElementById('rb-sensor');
+    if (!sensorSelect) return;
+
+    const room = getBuilderRoom();
+    const sensors = room ? gateway.getSensorsInRoom(room) : gateway.getAllSensors();
+    const current = sensorSelect.value;
+
+    sensorSelect.innerHTML = sensors
+        .map(sensor => `<option value="${sensor.id}">${escapeHtml(sensor.name)}</option>`)
+        .join('');
+    if (sensors.some(sensor => sensor.id === current)) sensorSelect.value = current;
+
+    updateRulePreview();
+}
+
+function getBuilderRoom() {
+    const roomSelect = document.getElementById('rb-room');
+    return roomSelect && roomSelect.value ? roomSelect.value : null;
+}
+
+// Turn form text into a rule value: booleans and numbers are converted, anything else stays a string
+function parseBuilderValue(text) {
+    const trimmed = String(text).trim();
+    if (trimmed === '') return undefined;
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    const number = Number(trimmed);
+    return Number.isNaN(number) ? trimmed : number;
+}
+
+function formatBuilderValue(value) {
+    return value === undefined ? '' : String(value);
+}
+
+// Rules the form can represent: one sensor comparison against a literal value,
+// optionally held for a duration
+function isBuilderRule(definition) {
+    const condition = definition.conditions;
+    return Boolean(condition) && typeof condition.sensor === 'string' && !condition.property &&
+        (condition.value === null || typeof condition.value !== 'object') &&
+        definition.actions.every(action => action.device !== undefined && action.cluster === undefined) &&
+        !definition.trigger && !definition.parameters && definition.for === undefined;
+}
+
+function addBuilderAction(action = {}) {
+    const container = document.getElementById('rb-actions');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'builder-action';
+    row.innerHTML = `
+        <select class="builder-input rb-device" onchange="updateBuilderCommands(this.parentElement)">
+            ${gateway.getAllDevices().map(device => `<option value="${device.id}">${escapeHtml(device.name)}</option>`).join('')}
+        </select>
+        <select class="builder-input rb-command"></select>
+        <input type="text" class="builder-input rb-action-value" placeholder="Value">
+        <button type="button" class="builder-remove" onclick="removeBuilderAction(this)">✕</button>
+    `;
+    container.appendChild(row);
+
+    if (action.device) row.querySelector('.rb-device').value = action.device;
+    updateBuilderCommands(row);
+    if (action.command) row.querySelector('.rb-command').value = action.command;
+    row.querySelector('.rb-action-value').value = formatBuilderValue(action.value);
+
+    updateRulePreview();
+}
+
+function removeBuilderAction(button) {
+    button.parentElement.remove();
+    updateRulePreview();
+}
+
+// Offer only the commands the selected device accepts
+function updateBuilderCommands(row) {
+    const device = gateway.getDevice(row.querySelector('.rb-device').value);
+    const commandSelect = row.querySelector('.rb-command');
+    const current = commandSelect.value;
+
+    commandSelect.innerHTML = (device ? device.getCommands() : [])
+        .map(command => `<option value="${command}">${command}</option>`)
+        .join('');
+    if (device && device.getCommands().includes(current)) {
+        commandSelect.value = current;
+    }
+}
+
+// Build a rule definition from the form
+function readRuleBuilder() {
+    const name = document.getElementById('rb-name').value.trim();
+    const existingId = document.getElementById('rb-id').value;
+    const duration = document.getElementById('rb-duration').value.trim();
+
+    const condition = {
+        sensor: document.getElementById('rb-sensor').value,
+        op: document.getElementById('rb-op').value,
+        value: parseBuilderValue(document.getElementById('rb-value').value)
+    };
+    if (duration) condition.for = duration;
+
+    const actions = Array.from(document.querySelectorAll('#rb-actions .builder-action')).map(row => {
+        const action = {
+            device: row.querySelector('.rb-device').value,
+            command: row.querySelector('.rb-command').value
+        };
+        const value = parseBuilderValue(row.querySelector('.rb-action-value').value);
+        if (value !== undefined) action.value = value;
+        return action;
+    });
+
+    const room = getBuilderRoom();
+    const definition = {
+        id: existingId || generateRuleId(name),
+        name: name || 'Untitled Rule',
+        ...(room ? { room } : {}),
+        conditions: condition,
+        actions
+    };
+
+    // Editing keeps the rule's enabled state and priority
+    const existing = existingId && automationEngine.rules.get(existingId);
+    if (existing && !existing.enabled) definition.enabled = false;
+    if (existing && existing.priority) definition.priority = existing.priority;
+
+    return definition;
+}
+
+// Slug of the rule name that does not clash with an existing rule
+function generateRuleId(name) {
+    const base = (name || 'rule').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rule';
+    let id = base;
+    let suffix = 2;
+    while (automationEngine.rules.has(id)) {
+        id = `${base}-${suffix++}`;
+    }
+    return id;
+}
+
+function fillRuleBuilder(definition, keepId) {
+    document.getElementById('rb-id').value = keepId ? definition.id : '';
+    document.getElementById('rb-name').value = definition.name || '';
+    document.getElementById('rb-room').value = definition.room || '';
+    updateBuilderSensors();
+    document.getElementById('rb-sensor').value = definition.conditions.sensor;
+    document.getElementById('rb-op').value = definition.conditions.op;
+    document.getElementById('rb-value').value = formatBuilderValue(definition.conditions.value);
+    document.getElementById('rb-duration').value = definition.conditions.for || '';
+
+    document.getElementById('rb-actions').innerHTML = '';
+    definition.actions.forEach(action => addBuilderAction(action));
+
+    document.getElementById('rb-save').textContent = keepId ? 'Update Rule' : 'Save Rule';
+    updateRulePreview();
+}
+
+function resetRuleBuilder() {
+    const form = document.getElementById('rule-builder');
+    if (!form) return;
+
+    form.reset();
+    updateBuilderSensors();
+    document.getElementById('rb-id').value = '';
+    document.getElementById('rb-actions').innerHTML = '';
+    document.getElementById('rb-save').textContent = 'Save Rule';
+    addBuilderAction();
+}
+
+// Show whether the rule in the form would fire against current sensor values
+function updateRulePreview() {
+    const preview = document.getElementById('rb-preview');
+    if (!preview || !document.getElementById('rb-sensor').value) return;
+
+    const definition = readRuleBuilder();
+    const errors = validateRuleDefinition(definition, gateway);
+    if (errors.length > 0) {
+        preview.className = 'rule-preview invalid';
+        preview.innerHTML = errors.map(error => `<div>⚠️ ${escapeHtml(error)}</div>`).join('');
+        return;
+    }
+
+    const rule = new DeclarativeRule(definition);
+    rule.attach(gateway);
+    const wouldFire = rule.preview();
+    rule.detach();
+
+    const sensor = gateway.findSensor(definition.conditions.sensor, definition.room || null);
+    const current = typeof sensor.value === 'number' ? sensor.value.toFixed(1) : String(sensor.value);
+    const hold = definition.conditions.for ? ` (must hold for ${definition.conditions.for})` : '';
+
+    preview.className = `rule-preview ${wouldFire ? 'fire' : 'idle'}`;
+    preview.textContent = wouldFire
+        ? `✅ Would fire now${hold} — ${sensor.name}: ${current}`
+        : `⏸️ Would not fire now — ${sensor.name}: ${current}`;
+}
+
+function saveBuilderRule(event) {
+    event.preventDefault();
+
+    const result = automationEngine.loadRules([readRuleBuilder()]);
+    if (result.errors.length > 0) {
+        updateRulePreview();
+        return;
+    }
+
+    resetRuleBuilder();
+    renderAutomationRules();
+}
+
+function editRule(id) {
+    const rule = automationEngine.rules.get(id);
+    if (rule && rule.definition && isBuilderRule(rule.definition)) {
+        fillRuleBuilder(rule.definition, true);
+    }
+}
+
+// Copy a declarative rule under a new id, keeping it disabled until reviewed
+function duplicateRule(id) {
+    const rule = automationEngine.rules.get(id);
+    if (!rule || !rule.definition) return;
+
+    const copy = JSON.parse(JSON.stringify(rule.definition));
+    copy.name = `${rule.name} (copy)`;
+    copy.id = generateRuleId(copy.name);
+    copy.enabled = false;
+
+    automationEngine.loadRules([copy]);
+    renderAutomationRules();
+}
+
+function deleteRule(id) {
+    const rule = automationEngine.rules.get(id);
+    if (!rule || !rule.definition) return;
+
+    automationEngine.removeRule(id);
+    if (document.getElementById('rb-id').value === id) {
+        resetRuleBuilder();
+    }
+    renderAutomationRules();
+}
@@ -0,0 +1,212 @@
+/**
+ * Scenes
+ * Named sets of device commands ("Movie Night") applied together through the gateway
+ *
+ * {
+ *   "id": "movie-night",
+ *   "name": "Movie Night",
+ *   "icon": "🎬",
+ *   "actions": [
+ *     { "device": "light1", "command": "setBrightness", "value": 20 },
+ *     { "device": "light2", "command": "turnOff" }
+ *   ]
+ * }
+ *
+ * Actions may use a device's standard clusters instead of its own commands:
+ *   { "device": "light1", "cluster": "levelControl", "command": "moveToLevel", "value": 20 }
+ */
+
+// Action validation is shared with declarative rules: required under Node, global in the browser
+const SceneCore = typeof module !== 'undefined' && module.exports
+    ? require('./declarative-rules')
+    : { validateAction };
+
+// Validate a scene definition against the gateway's devices, returning error messages
+function validateSceneDefinition(definition, gateway) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Scene definition must be an object'];
+    }
+
+    const errors = [];
+    if (typeof definition.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.id)) {
+        errors.push(`Invalid scene id '${definition.id}' (use letters, digits, '-' and '_')`);
+    }
+    if (!Array.isArray(definition.actions) || definition.actions.length === 0) {
+        errors.push('Scene must have a non-empty actions array');
+    } else {
+        definition.actions.forEach((action, index) => {
+            if (action && action.scene !== undefined) {
+                errors.push(`actions[${index}]: scenes cannot activate other scenes`);
+                return;
+            }
+            SceneCore.validateAction(action, `actions[${index}]`, gateway, errors);
+        });
+    }
+    return errors;
+}
+
+class SceneManager {
+    constructor(gateway) {
+        this.gateway = gateway;
+        this.scenes = new Map();
+
+        // Rules and external clients activate scenes by publishing scene/<id>/activate
+        gateway.subscribe('scene/+/activate', (message, topic) => {
+            this.activate(topic.split('/')[1], message || {}).catch(() => {
+                // Failures are published on scene/<id>/error
+            });
+        }, { retained: false });
+    }
+
+    // Add or replace a scene. Its definition is published retained on
+    // scene/<id>/config so rules can validate and arbitrate scene actions.
+    // Only the structure is checked here; devices are checked on activation
+    addScene(definition) {
+        const errors = validateSceneDefinition(definition, null);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scene '${definition && definition.id}': ${errors.join('; ')}`);
+        }
+
+        const scene = {
+            id: definition.id,
+            name: definition.name || definition.id,
+            icon: definition.icon || '🎬',
+            actions: definition.actions,
+            lastActivated: null
+        };
+        this.scenes.set(scene.id, scene);
+        this.gateway.publish(`scene/${scene.id}/config`, {
+            id: scene.id,
+            name: scene.name,
+            actions: scene.actions
+        }, { retain: true });
+        return scene;
+    }
+
+    removeScene(id) {
+        if (this.scenes.delete(id)) {
+            this.gateway.publish(`scene/${id}/config`, null, { retain: true });
+        }
+    }
+
+    getScene(id) {
+        return this.scenes.get(id);
+    }
+
+    getAllScenes() {
+        return Array.from(this.scenes.values());
+    }
+
+    // Snapshot for the persistence layer
+    saveState() {
+        return {
+            scenes: this.getAllScenes().map(({ id, name, icon, actions, lastActivated }) => ({ id, name, icon, actions, lastActivated }))
+        };
+    }
+
+    restoreState(state) {
+        const warnings = [];
+        (state.scenes || []).forEach(definition => {
+            try {
+                this.addScene(definition).lastActivated = definition.lastActivated || null;
+            } catch (error) {
+                warnings.push(error.message);
+            }
+        });
+        return warnings;
+    }
+
+    // Apply every command of a scene, or none of them: all commands are validated
+    // against current device state first and then sent in one pass.
+    // options.source tags the commands (e.g. 'manual', 'schedule', 'automation')
+    activate(id, options = {}) {
+        const source = options.source || 'manual';
+        const scene = this.scenes.get(id);
+        const errors = scene
+            ? validateSceneDefinition(scene, this.gateway)
+            : [`Unknown scene '${id}'`];
+
+        if (errors.length > 0) {
+            this.gateway.publish(`scene/${id}/error`, { scene: id, source, errors });
+            return Promise.reject(new Error(errors.join('; ')));
+        }
+
+        const results = scene.actions.map(action =>
+            this.gateway.sendCommand(action.device, action.command, action.value, { source, cluster: action.cluster })
+        );
+
+        scene.lastActivated = this.gateway.clock.now();
+        const activation = { scene: id, name: scene.name, source, timestamp: scene.lastActivated };
+        this.gateway.publish('scene/active', activation, { retain: true });
+        this.gateway.publish(`scene/${id}/activated`, activation);
+
+        return Promise.all(results);
+    }
+}
+
+// Built-in scenes for the default home
+function createDefaultScenes() {
+    return [
+        {
+            id: 'movie-night',
+            name: 'Movie Night',
+            icon: '🎬',
+            actions: [
+                { device: 'light1', command: 'turnOn' },
+                { device: 'light1', command: 'setBrightness', value: 20 },
+                { device: 'light2', command: 'turnOff' },
+                { device: 'livingBlinds', command: 'close' },
+                { device: 'tvPlug', command: 'turnOn' },
+                { device: 'ac', command: 'setMode', value: 'cool' },
+                { device: 'ac', command: 'setTargetTemperature', value: 23 },
+                { device: 'ac', command: 'turnOn' }
+            ]
+        },
+        {
+            id: 'good-morning',
+            name: 'Good Morning',
+            icon: '🌅',
+            actions: [
+                { device: 'light1', command: 'turnOn' },
+                { device: 'light1', command: 'setBrightness', value: 100 },
+                { device: 'light3', command: 'turnOn' },
+                { device: 'livingBlinds', command: 'open' },
+                { device: 'waterHeater', command: 'turnOn' }
+            ]
+        },
+        {
+            id: 'away',
+            name: 'Away',
+            icon: '🚪',
+            actions: [
+                { device: 'light1', command: 'turnOff' },
+                { device: 'light2', command: 'turnOff' },
+                { device: 'light3', command: 'turnOff' },
+                { device: 'ac', command: 'turnOff' },
+                { device: 'bedroomFan', command: 'turnOff' },
+                { device: 'tvPlug', command: 'turnOff' },
+                { device: 'waterHeater', command: 'turnOff' },
+                { device: 'frontDoor', command: 'lock' }
+            ]
+        }
+    ];
+}
+
+// Create a scene manager wired to a gateway with the built-in scenes
+function createSceneManager(gateway) {
+    const manager = new SceneManager(gateway);
+    createDefaultScenes().forEach(scene => manager.addScene(scene));
+    return manager;
+}
+
+// Browser instance (the headless runtime builds its own through createSmartHome)
+const sceneManager = typeof gateway !== 'undefined' ? createSceneManager(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SceneManager,
+        validateSceneDefinition,
+        createDefaultScenes,
+        createSceneManager
+    };
+}
@@ -0,0 +1,430 @@
+/**
+ * Scheduler
+ * Time-based automation alongside the rules engine: cron-like schedules and
+ * sunrise/sunset schedules with offsets, acting on devices or scenes
+ *
+ * { "id": "movie-friday", "cron": "0 20 * * 5", "actions": [{ "scene": "movie-night" }] }
+ * { "id": "dusk-lights", "sun": "sunset", "offset": "-15m",
+ *   "actions": [{ "device": "light1", "command": "turnOn" }] }
+ *
+ * Device actions may use the device's clusters, as in scenes
+ */
+
+// Dependencies: required under Node, globals in the browser
+const SchedulerCore = typeof module !== 'undefined' && module.exports ? {
+    ...require('./clock'),
+    ...require('./declarative-rules')
+} : {
+    parseDuration,
+    validateAction
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+// Parse a five-field cron expression ('minute hour day-of-month month day-of-week')
+// supporting *, lists, ranges and steps. Throws on invalid expressions
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression '${expression}' must have 5 fields`);
+    }
+
+    const cron = {};
+    CRON_FIELDS.forEach((field, index) => {
+        const values = new Set();
+        parts[index].split(',').forEach(part => {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+            if (!match) {
+                throw new Error(`Invalid ${field.name} '${part}' in cron expression '${expression}'`);
+            }
+
+            const start = match[1] === '*' ? field.min : parseInt(match[2], 10);
+            const end = match[1] === '*' ? field.max
+                : match[3] !== undefined ? parseInt(match[3], 10)
+                : match[4] !== undefined ? field.max : start;
+            const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+            if (start < field.min || end > field.max || start > end || step < 1) {
+                throw new Error(`${field.name} '${part}' is out of range ${field.min}-${field.max}`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+            }
+        });
+        cron[field.name] = values;
+    });
+
+    // Like cron, a day matches either day field when both are restricted
+    cron.dayOfMonthRestricted = parts[2] !== '*';
+    cron.dayOfWeekRestricted = parts[4] !== '*';
+    return cron;
+}
+
+// Whether a parsed cron expression matches a time (simulation time, minute resolution)
+function cronMatches(cron, time) {
+    const date = new Date(time);
+    if (!cron.minute.has(date.getUTCMinutes()) || !cron.hour.has(date.getUTCHours()) ||
+        !cron.month.has(date.getUTCMonth() + 1)) {
+        return false;
+    }
+
+    const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+// Sunrise and sunset (ms timestamps) for the day around `time` (pass noon),
+// using the sunrise equation. Both are null during polar day or night
+function getSunTimes(time, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const julianDay = time / 86400000 + 2440587.5;
+
+    const day = Math.round(julianDay - 2451545.0);
+    const meanSolarTime = day - longitude / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+    const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) +
+        0.0003 * Math.sin(3 * anomaly * rad);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanSolarTime + 0.0053 * Math.sin(anomaly * rad) -
+        0.0069 * Math.sin(2 * eclipticLongitude * rad);
+
+    const sinDeclination = Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad);
+    const cosDeclination = Math.cos(Math.asin(sinDeclination));
+    const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * sinDeclination) /
+        (Math.cos(latitude * rad) * cosDeclination);
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return { sunrise: null, sunset: null };
+    }
+
+    const hourAngle = Math.acos(cosHourAngle) / rad / 360;
+    const toTime = julian => Math.round((julian - 2440587.5) * 86400000);
+    return { sunrise: toTime(transit - hourAngle), sunset: toTime(transit + hourAngle) };
+}
+
+// Signed offsets such as '-15m' or '+1h' in milliseconds
+function parseOffset(value) {
+    if (value === undefined) return 0;
+    if (typeof value === 'number') return value;
+
+    const match = /^\s*([+-])?\s*(.+)$/.exec(String(value));
+    const ms = SchedulerCore.parseDuration(match ? match[2] : value);
+    return match && match[1] === '-' ? -ms : ms;
+}
+
+// Validate a schedule definition, returning error messages. Device and scene
+// references are only checked when a gateway is given
+function validateScheduleDefinition(definition, gateway) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Schedule definition must be an object'];
+    }
+
+    const errors = [];
+    if (typeof definition.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.id)) {
+        errors.push(`Invalid schedule id '${definition.id}' (use letters, digits, '-' and '_')`);
+    }
+
+    if ((definition.cron === undefined) === (definition.sun === undefined)) {
+        errors.push('Schedule needs either a cron expression or a sun event');
+    } else if (definition.cron !== undefined) {
+        try {
+            parseCron(definition.cron);
+        } catch (error) {
+            errors.push(`cron: ${error.message}`);
+        }
+    } else if (definition.sun !== 'sunrise' && definition.sun !== 'sunset') {
+        errors.push(`sun: expected 'sunrise' or 'sunset', got '${definition.sun}'`);
+    }
+
+    if (definition.offset !== undefined) {
+        if (definition.sun === undefined) {
+            errors.push('offset only applies to sun schedules');
+        } else {
+            try {
+                parseOffset(definition.offset);
+            } catch (error) {
+                errors.push(`offset: invalid offset '${definition.offset}' (use e.g. '-15m', '+1h')`);
+            }
+        }
+    }
+
+    if (!Array.isArray(definition.actions) || definition.actions.length === 0) {
+        errors.push('Schedule must have a non-empty actions array');
+    } else {
+        definition.actions.forEach((action, index) => {
+            SchedulerCore.validateAction(action, `actions[${index}]`, gateway, errors);
+        });
+    }
+
+    return errors;
+}
+
+// Human-readable timing of a schedule
+function describeSchedule(definition) {
+    if (definition.sun !== undefined) {
+        const offset = parseOffset(definition.offset);
+        if (offset === 0) return `At ${definition.sun}`;
+        return `${Math.abs(offset) / 60000} min ${offset < 0 ? 'before' : 'after'} ${definition.sun}`;
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = definition.cron.trim().split(/\s+/);
+    if (/^\d+$/.test(minute) && /^\d+$/.test(hour) && dayOfMonth === '*' && month === '*') {
+        const time = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+        return dayOfWeek === '*' ? `Every day at ${time}` : `At ${time} (cron ${definition.cron})`;
+    }
+    return `Cron ${definition.cron}`;
+}
+
+class Scheduler {
+    // options.latitude / options.longitude locate the home for sunrise and sunset
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.schedules = new Map();
+        this.latitude = options.latitude !== undefined ? options.latitude : 51.48;
+        this.longitude = options.longitude !== undefined ? options.longitude : 0;
+        this.lastCheck = gateway.clock.now();
+    }
+
+    // Add or replace a schedule, throwing when the definition is invalid.
+    // Only the structure is checked; loadSchedules also checks devices and scenes
+    addSchedule(definition) {
+        const errors = validateScheduleDefinition(definition, null);
+        if (errors.length > 0) {
+            throw new Error(`Invalid schedule '${definition && definition.id}': ${errors.join('; ')}`);
+        }
+
+        this.schedules.set(definition.id, {
+            id: definition.id,
+            name: definition.name || definition.id,
+            definition,
+            cron: definition.cron !== undefined ? parseCron(definition.cron) : null,
+            offset: parseOffset(definition.offset),
+            enabled: definition.enabled !== false,
+            lastRun: null,
+            runCount: 0
+        });
+    }
+
+    // Load schedules from definitions (an array, { schedules: [...] } or a JSON string),
+    // checking device and scene references against the gateway
+    loadSchedules(definitions) {
+        if (typeof definitions === 'string') {
+            try {
+                definitions = JSON.parse(definitions);
+            } catch (error) {
+                return { loaded: [], errors: [{ scheduleId: null, index: null, errors: [`Invalid JSON: ${error.message}`] }] };
+            }
+        }
+        if (definitions && !Array.isArray(definitions) && Array.isArray(definitions.schedules)) {
+            definitions = definitions.schedules;
+        }
+        if (!Array.isArray(definitions)) {
+            return { loaded: [], errors: [{ scheduleId: null, index: null, errors: ['Expected an array of schedule definitions'] }] };
+        }
+
+        const loaded = [];
+        const errors = [];
+        definitions.forEach((definition, index) => {
+            const scheduleErrors = validateScheduleDefinition(definition, this.gateway);
+            const scheduleId = definition && typeof definition.id === 'string' ? definition.id : null;
+            if (scheduleErrors.length > 0) {
+                errors.push({ scheduleId, index, errors: scheduleErrors });
+                return;
+            }
+
+            this.addSchedule(definition);
+            loaded.push(scheduleId);
+        });
+        return { loaded, errors };
+    }
+
+    removeSchedule(id) {
+        this.schedules.delete(id);
+    }
+
+    toggleSchedule(id) {
+        const schedule = this.schedules.get(id);
+        if (schedule) schedule.enabled = !schedule.enabled;
+        return schedule?.enabled;
+    }
+
+    setLocation(latitude, longitude) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+
+    // Sun event times (with offset) for the days around a time window
+    getSunEvents(schedule, from, to) {
+        const events = [];
+        const day = new Date(from);
+        day.setUTCHours(12, 0, 0, 0);
+        day.setUTCDate(day.getUTCDate() - 1);
+
+        while (day.getTime() <= to + 86400000) {
+            const time = getSunTimes(day.getTime(), this.latitude, this.longitude)[schedule.definition.sun];
+            if (time !== null) events.push(time + schedule.offset);
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+        return events;
+    }
+
+    // First time in (from, to] the schedule is due, or null
+    findRun(schedule, from, to) {
+        if (schedule.cron) {
+            // Whole minutes in the window
+            for (let time = Math.floor(from / 60000) * 60000 + 60000; time <= to; time += 60000) {
+                if (cronMatches(schedule.cron, time)) return time;
+            }
+            return null;
+        }
+
+        const due = this.getSunEvents(schedule, from, to).filter(time => time > from && time <= to);
+        return due.length > 0 ? Math.min(...due) : null;
+    }
+
+    getNextRun(id, from = this.gateway.clock.now()) {
+        const schedule = this.schedules.get(id);
+        return schedule ? this.findRun(schedule, from, from + 7 * 86400000) : null;
+    }
+
+    // Run schedules that became due since the last check (called every simulation tick)
+    evaluate(now = this.gateway.clock.now()) {
+        const from = this.lastCheck;
+        this.lastCheck = now;
+        if (now <= from) return;
+
+        this.schedules.forEach(schedule => {
+            if (!schedule.enabled) return;
+            // Runs missed while the simulation jumped ahead are looked for over at most a week
+            const time = this.findRun(schedule, Math.max(from, now - 7 * 86400000), now);
+            if (time !== null) this.run(schedule, time);
+        });
+    }
+
+    run(schedule, time) {
+        schedule.definition.actions.forEach(action => {
+            if (action.scene !== undefined) {
+                this.gateway.publish(`scene/${action.scene}/activate`, { source: 'schedule', schedule: schedule.id });
+                return;
+            }
+
+            this.gateway.sendCommand(action.device, action.command, action.value, { source: 'schedule', cluster: action.cluster })
+                .catch(error => {
+                    this.gateway.publish(`schedule/${schedule.id}/error`, {
+                        schedule: schedule.id,
+                        action,
+                        error: error.message
+                    });
+                });
+        });
+
+        schedule.lastRun = time;
+        schedule.runCount++;
+        this.gateway.publish(`schedule/${schedule.id}/triggered`, {
+            schedule: schedule.id,
+            name: schedule.name,
+            time,
+            actions: schedule.definition.actions
+        });
+    }
+
+    // Snapshot for the persistence layer
+    saveState() {
+        return {
+            schedules: Array.from(this.schedules.values()).map(({ definition, enabled, lastRun, runCount }) =>
+                ({ definition, enabled, lastRun, runCount }))
+        };
+    }
+
+    restoreState(state) {
+        const warnings = [];
+        (state.schedules || []).forEach(({ definition, enabled, lastRun, runCount }) => {
+            try {
+                this.addSchedule(definition);
+            } catch (error) {
+                warnings.push(error.message);
+                return;
+            }
+            Object.assign(this.schedules.get(definition.id), { enabled, lastRun, runCount });
+        });
+
+        // Do not replay schedules for the time between saving and restoring
+        this.lastCheck = this.gateway.clock.now();
+        return warnings;
+    }
+
+    getAllSchedules() {
+        return Array.from(this.schedules.values()).map(schedule => ({
+            id: schedule.id,
+            name: schedule.name,
+            description: describeSchedule(schedule.definition),
+            enabled: schedule.enabled,
+            lastRun: schedule.lastRun,
+            runCount: schedule.runCount,
+            nextRun: schedule.enabled ? this.getNextRun(schedule.id) : null,
+            definition: schedule.definition
+        }));
+    }
+}
+
+// Example schedules for the default home (disabled until switched on)
+function createDefaultSchedules() {
+    return [
+        {
+            id: 'dusk-lights',
+            name: 'Lights at Dusk',
+            sun: 'sunset',
+            offset: '-15m',
+            enabled: false,
+            actions: [
+                { device: 'light1', command: 'turnOn' },
+                { device: 'light2', command: 'turnOn' }
+            ]
+        },
+        {
+            id: 'friday-movie',
+            name: 'Friday Movie Night',
+            cron: '0 20 * * 5',
+            enabled: false,
+            actions: [{ scene: 'movie-night' }]
+        },
+        {
+            id: 'weekday-morning',
+            name: 'Weekday Wake-up',
+            cron: '30 6 * * 1-5',
+            enabled: false,
+            actions: [{ scene: 'good-morning' }]
+        }
+    ];
+}
+
+// Create a scheduler wired to a gateway with the example schedules
+function createScheduler(gateway, options) {
+    const scheduler = new Scheduler(gateway, options);
+    createDefaultSchedules().forEach(schedule => scheduler.addSchedule(schedule));
+    return scheduler;
+}
+
+// Browser instance (the headless runtime builds its own through createSmartHome)
+const scheduler = typeof gateway !== 'undefined' ? createScheduler(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Scheduler,
+        parseCron,
+        cronMatches,
+        getSunTimes,
+        validateScheduleDefinition,
+        describeSchedule,
+        createDefaultSchedules,
+        createScheduler
+    };
+}
@@ -1,11 +1,38 @@
 /**
  * Sensor Classes for Smart Home Simulation
+ *
+ * Sensors whose readings call for attention report an alarm from getAlarm()
+ * ({ level: 'warning' | 'critical', message }); the gateway checks it on
+ * every reading and publishes the home's alarms (see IoTGateway.updateSensorAlarm)
  */
 
+// Air a closed room exchanges with outdoors through gaps and vents (m³/h)
+const BASE_VENTILATION = 25;
+
+// Alarm level of a reading against rising { warning, critical } thresholds.
+// A level once reached holds until the reading falls `deadband` below its
+// threshold, so readings hovering at a threshold do not flap
+function thresholdLevel(value, thresholds, current, deadband) {
+    if (value >= thresholds.critical || (current === 'critical' && value > thresholds.critical - deadband)) {
+        return 'critical';
+    }
+    if (value >= thresholds.warning || (current && value > thresholds.warning - deadband)) {
+        return 'warning';
+    }
+    return null;
+}
+
+// Move a value toward its balance at `rate` per hour over dt ms: exponential,
+// so long ticks stay stable
+function relaxToward(value, balance, rate, dt) {
+    return balance + (value - balance) * Math.exp(-rate * dt / 3600000);
+}
+
 // Base Sensor Class
 class Sensor {
     constructor(id, name, unit, minValue, maxValue) {
         this.id = id;
+        this.type = id; // kind of reading; rules and rooms look sensors up by it
         this.name = name;
         this.unit = unit;
         this.minValue = minValue;
@@ -13,7 +40,46 @@ class Sensor {
         this.value = (minValue + maxValue) / 2;
         this.history = [];
         this.gateway = null;
+        this.room = null; // set when the gateway places the sensor in a room
         this.updateInterval = 2000; // ms
+        this.lastSimulated = null;
+    }
+
+    // Simulation time from the gateway clock
+    now() {
+        return this.gateway ? this.gateway.clock.now() : Date.now();
+    }
+
+    // Random value in [0, 1) from the gateway's seeded generator
+    random() {
+        return this.gateway ? this.gateway.random.next() : Math.random();
+    }
+
+    // Simulated ms since the previous call (0 on the first), for sensors
+    // that integrate over time
+    elapsed() {
+        const now = this.now();
+        const dt = this.lastSimulated === null ? 0 : Math.max(0, now - this.lastSimulated);
+        this.lastSimulated = now;
+        return dt;
+    }
+
+    // Sensors of a type in this sensor's room, or the whole home when it has none
+    findSensors(type) {
+        if (!this.gateway) return [];
+        return this.gateway.getAllSensors().filter(sensor =>
+            sensor.type === type && (this.room === null || sensor.room === this.room));
+    }
+
+    // Motion sensors currently detecting someone in the sensor's room (or home)
+    countMotion() {
+        return this.findSensors('motion').filter(sensor => sensor.value).length;
+    }
+
+    // Air exchanged with outdoors (m³/h): the room's own leaks plus every
+    // window or door open in it
+    getVentilation() {
+        return this.findSensors('contact').reduce((sum, contact) => sum + contact.getAirflow(), BASE_VENTILATION);
     }
 
     // Simulate value change
@@ -26,7 +92,7 @@ class Sensor {
         this.value = Math.max(this.minValue, Math.min(this.maxValue, newValue));
         this.history.push({
             value: this.value,
-            timestamp: Date.now()
+            timestamp: this.now()
         });
 
         // Keep last 60 readings
@@ -34,53 +100,132 @@ class Sensor {
             this.history.shift();
         }
 
+        this.publishReading();
+    }
+
+    publishReading() {
         if (this.gateway) {
             this.gateway.publish(`sensor/${this.id}/reading`, {
                 id: this.id,
                 name: this.name,
                 value: this.value,
                 unit: this.unit,
-                timestamp: Date.now()
-            });
+                ...this.getReadingDetails(),
+                timestamp: this.now()
+            }, { retain: true });
+        }
+    }
+
+    // Extra fields published with each reading (override in subclasses)
+    getReadingDetails() {
+        return {};
+    }
+
+    // Alarm raised by the current reading, or null (override in subclasses)
+    getAlarm() {
+        return null;
+    }
+
+    // State saved by the persistence layer (extend in subclasses)
+    saveState() {
+        return {
+            value: this.value,
+            history: this.history,
+            lastSimulated: this.lastSimulated
+        };
+    }
+
+    // Restore saved state and republish the current reading
+    restoreState(state) {
+        Object.keys(this.saveState()).forEach(key => {
+            if (state[key] !== undefined) this[key] = state[key];
+        });
+        this.publishReading();
+    }
+
+    // Tell the gateway the sensor is alive without publishing a reading
+    heartbeat() {
+        if (this.gateway) {
+            this.gateway.ping('sensor', this.id);
         }
     }
 
     getState() {
         return {
             id: this.id,
+            type: this.type,
             name: this.name,
+            room: this.room,
             value: this.value,
             unit: this.unit,
+            alarm: this.getAlarm(),
             history: this.history.slice(-20)
         };
     }
 }
 
+// On/off sensors publish when their state changes and ping in between
+class BinarySensor extends Sensor {
+    constructor(id, name) {
+        super(id, name, '', 0, 1);
+        this.value = false;
+    }
+
+    setValue(value) {
+        this.value = value;
+        this.publishReading();
+    }
+
+    // Publish only changes, so retained readings and alarms stay quiet
+    updateValue(value) {
+        if (value !== this.value) {
+            this.setValue(value);
+        } else {
+            this.heartbeat();
+        }
+    }
+}
+
 // Temperature Sensor
 class TemperatureSensor extends Sensor {
-    constructor() {
-        super('temperature', 'Temperature', '°C', 15, 40);
+    constructor(id = 'temperature', name = 'Temperature') {
+        super(id, name, '°C', 15, 40);
+        this.type = 'temperature';
         this.value = 25;
         this.baseValue = 25;
         this.trend = 0;
     }
 
+    saveState() {
+        return { ...super.saveState(), trend: this.trend };
+    }
+
     simulate() {
-        // Gradual random walk with mean reversion
-        this.trend += (Math.random() - 0.5) * 0.3;
+        // Read the room thermal model when the home has one (the sensor's own
+        // room's climate if it is in one), with a little sensor noise
+        const topic = this.room ? `home/${this.room}/climate` : 'room/temperature';
+        const room = this.gateway ? this.gateway.getRetained(topic) : undefined;
+        if (room) {
+            this.setValue(room.temperature + (this.random() - 0.5) * 0.1);
+            return;
+        }
+
+        // Otherwise a gradual random walk with mean reversion
+        this.trend += (this.random() - 0.5) * 0.3;
         this.trend *= 0.95; // Dampen trend
 
-        let change = this.trend + (Math.random() - 0.5) * 0.2;
+        let change = this.trend + (this.random() - 0.5) * 0.2;
         let newValue = this.value + change;
 
         // Mean reversion toward base
         newValue += (this.baseValue - newValue) * 0.02;
 
         // If AC is on, temperature should decrease
-        if (typeof devices !== 'undefined' && devices.ac && devices.ac.isOn) {
-            if (devices.ac.mode === 'cool') {
+        const ac = this.gateway ? this.gateway.getDevice('ac') : null;
+        if (ac && ac.isOn) {
+            if (ac.mode === 'cool') {
                 newValue -= 0.3;
-            } else if (devices.ac.mode === 'heat') {
+            } else if (ac.mode === 'heat') {
                 newValue += 0.3;
             }
         }
@@ -91,45 +236,58 @@ class TemperatureSensor extends Sensor {
 
 // Motion Sensor
 class MotionSensor extends Sensor {
-    constructor() {
-        super('motion', 'Motion', '', 0, 1);
+    constructor(id = 'motion', name = 'Motion') {
+        super(id, name, '', 0, 1);
+        this.type = 'motion';
         this.value = false;
-        this.lastMotionTime = Date.now();
+        this.lastMotionTime = null;
         this.motionProbability = 0.7; // Probability of motion being detected
     }
 
     simulate() {
         // Simulate realistic motion patterns
-        const now = Date.now();
+        const now = this.now();
         const timeSinceLastMotion = now - this.lastMotionTime;
 
         if (this.value) {
             // If motion is currently detected, small chance it stops
-            if (Math.random() > 0.85) {
+            if (this.random() > 0.85) {
                 this.setValue(false);
+            } else {
+                this.heartbeat();
             }
         } else {
             // If no motion, chance of new motion based on probability
-            if (Math.random() < this.motionProbability * 0.1) {
+            if (this.random() < this.motionProbability * 0.1) {
                 this.setValue(true);
                 this.lastMotionTime = now;
+            } else {
+                this.heartbeat();
             }
         }
     }
 
     setValue(detected) {
         this.value = detected;
+        this.publishReading();
+    }
+
+    publishReading() {
         if (this.gateway) {
             this.gateway.publish(`sensor/${this.id}/reading`, {
                 id: this.id,
                 name: this.name,
                 value: this.value,
                 detected: this.value,
-                timestamp: Date.now()
-            });
+                timestamp: this.now()
+            }, { retain: true });
         }
     }
 
+    saveState() {
+        return { ...super.saveState(), lastMotionTime: this.lastMotionTime };
+    }
+
     getState() {
         return {
             ...super.getState(),
@@ -140,14 +298,15 @@ class MotionSensor extends Sensor {
 
 // Humidity Sensor
 class HumiditySensor extends Sensor {
-    constructor() {
-        super('humidity', 'Humidity', '%', 20, 80);
+    constructor(id = 'humidity', name = 'Humidity') {
+        super(id, name, '%', 20, 80);
+        this.type = 'humidity';
         this.value = 50;
     }
 
     simulate() {
         // Gradual random walk
-        let change = (Math.random() - 0.5) * 2;
+        let change = (this.random() - 0.5) * 2;
 
         // Mean reversion
         change += (50 - this.value) * 0.01;
@@ -158,39 +317,94 @@ class HumiditySensor extends Sensor {
 
 // Power Consumption Sensor (aggregate)
 class PowerSensor extends Sensor {
-    constructor() {
-        super('power', 'Power Consumption', 'W', 0, 5000);
+    constructor(id = 'power', name = 'Power Consumption') {
+        super(id, name, 'W', 0, 5000);
+        this.type = 'power';
         this.value = 0;
     }
 
     simulate() {
         // Calculate total power from all devices
-        if (typeof gateway !== 'undefined') {
-            this.setValue(gateway.getTotalPowerConsumption());
+        if (this.gateway) {
+            this.setValue(this.gateway.getTotalPowerConsumption());
+        }
+    }
+}
+
+// Solar Generation Sensor (aggregate)
+class SolarPowerSensor extends Sensor {
+    constructor(id = 'solarPower', name = 'Solar Generation') {
+        super(id, name, 'W', 0, 10000);
+        this.type = 'solarPower';
+        this.value = 0;
+    }
+
+    simulate() {
+        if (this.gateway) {
+            this.setValue(this.gateway.getTotalGeneration());
+        }
+    }
+}
+
+// Grid Power Sensor: positive while importing, negative while exporting
+class GridPowerSensor extends Sensor {
+    constructor(id = 'gridPower', name = 'Grid Power') {
+        super(id, name, 'W', -10000, 10000);
+        this.type = 'gridPower';
+        this.value = 0;
+    }
+
+    simulate() {
+        if (this.gateway) {
+            this.setValue(this.gateway.getPowerFlow().grid);
+        }
+    }
+}
+
+// Battery Charge Sensor: state of charge across all home batteries
+class BatteryChargeSensor extends Sensor {
+    constructor(id = 'batteryCharge', name = 'Battery Charge') {
+        super(id, name, '%', 0, 100);
+        this.type = 'batteryCharge';
+    }
+
+    simulate() {
+        if (!this.gateway) return;
+
+        const batteries = this.gateway.getAllDevices().filter(device => typeof device.getStateOfCharge === 'function');
+        if (batteries.length > 0) {
+            const stored = batteries.reduce((sum, battery) => sum + battery.energy, 0);
+            const capacity = batteries.reduce((sum, battery) => sum + battery.capacityKWh, 0);
+            this.setValue((stored / capacity) * 100);
         }
     }
 }
 
 // Distance/Height Sensor
 class DistanceSensor extends Sensor {
-    constructor() {
-        super('distance', 'Distance', 'cm', 0, 500);
+    constructor(id = 'distance', name = 'Distance') {
+        super(id, name, 'cm', 0, 500);
+        this.type = 'distance';
         this.value = 200;
         this.objectPresent = false;
     }
 
     simulate() {
         // Simulate object presence/absence
-        if (Math.random() < 0.05) {
+        if (this.random() < 0.05) {
             this.objectPresent = !this.objectPresent;
         }
 
-        let targetValue = this.objectPresent ? 50 + Math.random() * 50 : 300 + Math.random() * 100;
+        let targetValue = this.objectPresent ? 50 + this.random() * 50 : 300 + this.random() * 100;
 
         // Smooth transition
         this.setValue(this.value + (targetValue - this.value) * 0.2);
     }
 
+    saveState() {
+        return { ...super.saveState(), objectPresent: this.objectPresent };
+    }
+
     getState() {
         return {
             ...super.getState(),
@@ -200,33 +414,41 @@ class DistanceSensor extends Sensor {
 }
 
 // Light Sensor
+// Daylight (by time of day) dimmed by the blinds in the sensor's room, plus
+// the room's lights
 class LightSensor extends Sensor {
-    constructor() {
-        super('light', 'Ambient Light', 'lux', 0, 1000);
+    constructor(id = 'light', name = 'Ambient Light') {
+        super(id, name, 'lux', 0, 1000);
+        this.type = 'light';
         this.value = 300;
         this.timeOfDay = 'day'; // day, evening, night
     }
 
+    saveState() {
+        return { ...super.saveState(), timeOfDay: this.timeOfDay };
+    }
+
     simulate() {
-        // Simulate ambient light based on time of day (use hour of actual time for demo)
-        const hour = new Date().getHours();
+        // Simulate ambient light based on the simulated time of day
+        const hour = this.gateway ? this.gateway.clock.getHours() : new Date().getUTCHours();
 
         let baseLight;
         if (hour >= 6 && hour < 18) {
-            baseLight = 500 + Math.random() * 300; // Day
+            baseLight = 500 + this.random() * 300; // Day
             this.timeOfDay = 'day';
         } else if (hour >= 18 && hour < 21) {
-            baseLight = 150 + Math.random() * 100; // Evening
+            baseLight = 150 + this.random() * 100; // Evening
             this.timeOfDay = 'evening';
         } else {
-            baseLight = 20 + Math.random() * 30; // Night
+            baseLight = 20 + this.random() * 30; // Night
             this.timeOfDay = 'night';
         }
+        baseLight *= this.getDaylightFactor();
 
-        // Add light from indoor lights
-        if (typeof devices !== 'undefined') {
-            Object.values(devices).forEach(device => {
-                if (device instanceof Light && device.isOn) {
+        // Add light from indoor lights: its room's, or every light when it has no room
+        if (this.gateway) {
+            this.gateway.findDevices('light', this.room).forEach(device => {
+                if (device.isOn) {
                     baseLight += 50 * (device.brightness / 100);
                 }
             });
@@ -236,6 +458,14 @@ class LightSensor extends Sensor {
         this.setValue(this.value + (baseLight - this.value) * 0.1);
     }
 
+    // Share of daylight the blinds let in: the average over its room's blinds
+    // (every blind when it has no room), all of it without any
+    getDaylightFactor() {
+        const blinds = this.gateway ? this.gateway.findDevices('blinds', this.room) : [];
+        if (blinds.length === 0) return 1;
+        return blinds.reduce((sum, device) => sum + device.getDaylightFactor(), 0) / blinds.length;
+    }
+
     getState() {
         return {
             ...super.getState(),
@@ -245,12 +475,355 @@ class LightSensor extends Sensor {
     }
 }
 
+// Air Quality Sensor: CO2 (ppm) with a VOC index (100 is a typical indoor day).
+// People detected by the room's motion sensors breathe out CO2 and the room's
+// furnishings and people give off VOCs; ventilation (more with a window open)
+// carries both toward outdoor air
+class CO2Sensor extends Sensor {
+    constructor(id = 'co2', name = 'Air Quality', roomVolume = 50) {
+        super(id, name, 'ppm', 400, 5000);
+        this.type = 'co2';
+        this.roomVolume = roomVolume; // m³
+        this.occupants = 2; // people in the room while motion is detected
+        this.value = CO2Sensor.OUTDOOR_CO2 + 200;
+        this.voc = 100;
+        this.co2Level = null; // alarm levels, kept for their deadbands
+        this.vocLevel = null;
+    }
+
+    simulate() {
+        const dt = this.elapsed();
+        const people = this.countMotion() * this.occupants;
+        const ventilation = this.getVentilation();
+        const rate = ventilation / this.roomVolume; // air changes per hour
+
+        const co2 = CO2Sensor.OUTDOOR_CO2 + CO2Sensor.CO2_PER_PERSON * people / ventilation;
+        const voc = CO2Sensor.OUTDOOR_VOC + (CO2Sensor.VOC_FURNISHINGS + CO2Sensor.VOC_PER_PERSON * people) / ventilation;
+        this.voc = Math.round(relaxToward(this.voc, voc, rate, dt) + (this.random() - 0.5) * 2);
+        this.setValue(relaxToward(this.value, co2, rate, dt) + (this.random() - 0.5) * 10);
+    }
+
+    getReadingDetails() {
+        return { voc: this.voc };
+    }
+
+    getAlarm() {
+        this.co2Level = thresholdLevel(this.value, CO2Sensor.CO2_ALARMS, this.co2Level, 100);
+        this.vocLevel = thresholdLevel(this.voc, CO2Sensor.VOC_ALARMS, this.vocLevel, 20);
+
+        if (this.co2Level === 'critical') {
+            return { level: 'critical', message: `CO2 at ${Math.round(this.value)} ppm: ventilate now` };
+        }
+        if (this.co2Level) {
+            return { level: 'warning', message: `CO2 at ${Math.round(this.value)} ppm: stuffy air` };
+        }
+        if (this.vocLevel) {
+            return { level: 'warning', message: `VOC index at ${this.voc}: poor air` };
+        }
+        return null;
+    }
+
+    saveState() {
+        return { ...super.saveState(), voc: this.voc };
+    }
+
+    getState() {
+        return { ...super.getState(), voc: this.voc };
+    }
+}
+
+CO2Sensor.OUTDOOR_CO2 = 420; // ppm
+CO2Sensor.CO2_PER_PERSON = 18000; // ppm·m³/h: about 18 L of CO2 an hour at rest
+CO2Sensor.OUTDOOR_VOC = 50; // index points
+CO2Sensor.VOC_FURNISHINGS = 1500; // index points·m³/h
+CO2Sensor.VOC_PER_PERSON = 1000; // index points·m³/h
+CO2Sensor.CO2_ALARMS = { warning: 1000, critical: 2000 }; // ppm
+CO2Sensor.VOC_ALARMS = { warning: 250 };
+
+// Contact Sensor on a window or door: true while open. People open windows in
+// the day, sooner when the room's air is stuffy, and close them again, at
+// night above all. An open window ventilates the room (see getVentilation)
+// and lets its heat out to the thermal model through getHeatLoss()
+class ContactSensor extends BinarySensor {
+    constructor(id = 'contact', name = 'Window', airflow = 200) {
+        super(id, name);
+        this.type = 'contact';
+        this.airflow = airflow; // m³/h exchanged with outdoors while open
+    }
+
+    simulate() {
+        const dt = this.elapsed();
+        const hour = this.gateway ? this.gateway.clock.getHours() : new Date().getUTCHours();
+        const daytime = hour >= 7 && hour < 22;
+
+        // Chance per hour of opening or closing
+        let rate;
+        if (this.value) {
+            rate = daytime ? ContactSensor.CLOSE_RATE : ContactSensor.NIGHT_CLOSE_RATE;
+        } else {
+            const stuffy = this.findSensors('co2').some(sensor => sensor.getAlarm());
+            rate = daytime ? ContactSensor.OPEN_RATE * (stuffy ? 4 : 1) : 0;
+        }
+        this.updateValue(this.random() < rate * dt / 3600000 ? !this.value : this.value);
+    }
+
+    // Air exchanged with outdoors (m³/h)
+    getAirflow() {
+        return this.value ? this.airflow : 0;
+    }
+
+    // Heat lost per degree of indoor/outdoor difference (W/K): the air
+    // exchanged, at 1200 J/(m³·K)
+    getHeatLoss() {
+        return this.getAirflow() * 1200 / 3600;
+    }
+
+    publishReading() {
+        if (this.gateway) {
+            this.gateway.publish(`sensor/${this.id}/reading`, {
+                id: this.id,
+                name: this.name,
+                value: this.value,
+                open: this.value,
+                timestamp: this.now()
+            }, { retain: true });
+        }
+    }
+
+    getState() {
+        return { ...super.getState(), open: this.value };
+    }
+}
+
+ContactSensor.OPEN_RATE = 0.3; // per hour, in the day
+ContactSensor.CLOSE_RATE = 2; // per hour, in the day: open about half an hour
+ContactSensor.NIGHT_CLOSE_RATE = 6; // per hour
+
+// Smoke Sensor: optical obscuration (%/m). Now and then, while someone is in
+// the room, something burns for a few minutes; the smoke builds up toward a
+// level set by how fast it settles and is ventilated away
+class SmokeSensor extends Sensor {
+    constructor(id = 'smoke', name = 'Smoke', roomVolume = 50) {
+        super(id, name, '%/m', 0, 30);
+        this.type = 'smoke';
+        this.roomVolume = roomVolume; // m³
+        this.value = 0;
+        this.source = null; // { emission (%/m per hour), until }
+        this.alarmLevel = null;
+    }
+
+    simulate() {
+        const dt = this.elapsed();
+        const now = this.now();
+
+        if (this.source && now >= this.source.until) {
+            this.source = null;
+        }
+        if (!this.source && this.countMotion() > 0 && this.random() < SmokeSensor.EVENT_RATE * dt / 3600000) {
+            this.startSmoke(60 + this.random() * 120, (3 + this.random() * 12) * 60000);
+        }
+
+        const rate = SmokeSensor.SETTLING_RATE + this.getVentilation() / this.roomVolume;
+        const balance = this.source ? this.source.emission / rate : 0;
+        this.setValue(relaxToward(this.value, balance, rate, dt));
+    }
+
+    // Something starts burning: emission in %/m per hour, for duration ms
+    startSmoke(emission, duration) {
+        this.source = { emission, until: this.now() + duration };
+    }
+
+    getAlarm() {
+        this.alarmLevel = thresholdLevel(this.value, SmokeSensor.ALARMS, this.alarmLevel, 1);
+        if (this.alarmLevel === 'critical') {
+            return { level: 'critical', message: `Smoke at ${this.value.toFixed(1)} %/m: fire alarm` };
+        }
+        if (this.alarmLevel) {
+            return { level: 'warning', message: `Smoke at ${this.value.toFixed(1)} %/m` };
+        }
+        return null;
+    }
+
+    saveState() {
+        return { ...super.saveState(), source: this.source };
+    }
+}
+
+SmokeSensor.EVENT_RATE = 0.02; // smoke sources per occupied hour
+SmokeSensor.SETTLING_RATE = 6; // per hour: smoke settling on surfaces
+SmokeSensor.ALARMS = { warning: 4, critical: 8 }; // %/m
+
+// Water Leak Sensor: true while wet. A leak (a burst hose, a dripping tank)
+// starts now and then and keeps the floor wet until it is fixed and mopped up
+class WaterLeakSensor extends BinarySensor {
+    constructor(id = 'waterLeak', name = 'Water Leak') {
+        super(id, name);
+        this.type = 'waterLeak';
+        this.dryAt = null; // time the current leak is cleaned up
+    }
+
+    simulate() {
+        const dt = this.elapsed();
+        const now = this.now();
+
+        if (this.value) {
+            this.updateValue(this.dryAt !== null && now < this.dryAt);
+        } else if (this.random() < WaterLeakSensor.LEAK_RATE * dt / 3600000) {
+            this.startLeak((10 + this.random() * 50) * 60000);
+        } else {
+            this.heartbeat();
+        }
+    }
+
+    // Water on the floor until it is cleaned up duration ms from now
+    startLeak(duration) {
+        this.dryAt = this.now() + duration;
+        this.updateValue(true);
+    }
+
+    getAlarm() {
+        return this.value ? { level: 'critical', message: 'Water leak detected' } : null;
+    }
+
+    publishReading() {
+        if (this.gateway) {
+            this.gateway.publish(`sensor/${this.id}/reading`, {
+                id: this.id,
+                name: this.name,
+                value: this.value,
+                wet: this.value,
+                timestamp: this.now()
+            }, { retain: true });
+        }
+    }
+
+    saveState() {
+        return { ...super.saveState(), dryAt: this.dryAt };
+    }
+
+    getState() {
+        return { ...super.getState(), wet: this.value };
+    }
+}
+
+WaterLeakSensor.LEAK_RATE = 0.002; // per hour: about one leak in three weeks
+
+// Circuit Meter: power (W) and energy (kWh) of one circuit, given as device
+// ids, or every device in the meter's room. A meter on a single device is a
+// per-device meter. The circuit breaker's rating sets its alarm levels
+class CircuitMeter extends Sensor {
+    constructor(id = 'circuit', name = 'Circuit', ratedWatts = 3680, devices = null) {
+        super(id, name, 'W', 0, 100000);
+        this.type = 'circuit';
+        this.ratedWatts = ratedWatts; // 16 A at 230 V by default
+        this.devices = devices; // device ids, or null for the meter's room
+        this.value = 0;
+        this.energy = 0; // kWh
+        this.alarmLevel = null;
+    }
+
+    // Devices on the circuit that are still registered
+    getDevices() {
+        if (!this.gateway) return [];
+        if (this.devices) return this.devices.map(id => this.gateway.getDevice(id)).filter(Boolean);
+        return this.room === null ? [] : this.gateway.getDevicesInRoom(this.room);
+    }
+
+    simulate() {
+        const dt = this.elapsed();
+        this.energy += this.value * dt / 3600000 / 1000;
+        this.setValue(this.getDevices().reduce((sum, device) => sum + device.getCurrentPowerConsumption(), 0));
+    }
+
+    getReadingDetails() {
+        return { energy: this.energy };
+    }
+
+    // Share of the breaker rating in use
+    getLoad() {
+        return this.value / this.ratedWatts;
+    }
+
+    getAlarm() {
+        const percent = Math.round(this.getLoad() * 100);
+        this.alarmLevel = thresholdLevel(this.getLoad(), CircuitMeter.ALARMS, this.alarmLevel, 0.05);
+        if (this.alarmLevel === 'critical') {
+            return { level: 'critical', message: `Circuit overloaded: ${percent}% of ${this.ratedWatts} W` };
+        }
+        if (this.alarmLevel) {
+            return { level: 'warning', message: `Circuit at ${percent}% of ${this.ratedWatts} W` };
+        }
+        return null;
+    }
+
+    resetEnergy() {
+        this.energy = 0;
+        this.publishReading();
+    }
+
+    saveState() {
+        return { ...super.saveState(), energy: this.energy };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            energy: this.energy,
+            ratedWatts: this.ratedWatts,
+            devices: this.getDevices().map(device => device.id)
+        };
+    }
+}
+
+CircuitMeter.ALARMS = { warning: 0.8, critical: 1 }; // share of the rating
+
+// Build the default set of sensors
+function createDefaultSensors() {
+    return {
+        temperature: new TemperatureSensor(),
+        motion: new MotionSensor(),
+        humidity: new HumiditySensor(),
+        power: new PowerSensor(),
+        solarPower: new SolarPowerSensor(),
+        gridPower: new GridPowerSensor(),
+        batteryCharge: new BatteryChargeSensor(),
+        distance: new DistanceSensor(),
+        light: new LightSensor(),
+        bedroomTemperature: new TemperatureSensor('bedroomTemperature', 'Bedroom Temperature'),
+        bedroomMotion: new MotionSensor('bedroomMotion', 'Bedroom Motion'),
+        kitchenMotion: new MotionSensor('kitchenMotion', 'Kitchen Motion'),
+        co2: new CO2Sensor('co2', 'Living Room Air Quality', 60),
+        bedroomCO2: new CO2Sensor('bedroomCO2', 'Bedroom Air Quality', 35),
+        livingWindow: new ContactSensor('livingWindow', 'Living Room Window'),
+        bedroomWindow: new ContactSensor('bedroomWindow', 'Bedroom Window', 150),
+        kitchenSmoke: new SmokeSensor('kitchenSmoke', 'Kitchen Smoke', 30),
+        utilityLeak: new WaterLeakSensor('utilityLeak', 'Utility Room Leak'),
+        livingCircuit: new CircuitMeter('livingCircuit', 'Living Room Circuit'),
+        utilityCircuit: new CircuitMeter('utilityCircuit', 'Utility Circuit', 7360)
+    };
+}
+
 // Create sensor instances
-const sensors = {
-    temperature: new TemperatureSensor(),
-    motion: new MotionSensor(),
-    humidity: new HumiditySensor(),
-    power: new PowerSensor(),
-    distance: new DistanceSensor(),
-    light: new LightSensor()
-};
+const sensors = createDefaultSensors();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Sensor,
+        TemperatureSensor,
+        MotionSensor,
+        HumiditySensor,
+        PowerSensor,
+        SolarPowerSensor,
+        GridPowerSensor,
+        BatteryChargeSensor,
+        DistanceSensor,
+        LightSensor,
+        BinarySensor,
+        CO2Sensor,
+        ContactSensor,
+        SmokeSensor,
+        WaterLeakSensor,
+        CircuitMeter,
+        createDefaultSensors
+    };
+}
@@ -0,0 +1,240 @@
+/**
+ * Simulation Loop
+ * Drives sensors, devices and automation on a fixed tick, in the browser or headless under Node
+ */
+
+// Core modules: required under Node, loaded as globals by index.html in the browser
+const SimulationCore = typeof module !== 'undefined' && module.exports ? {
+    ...require('./clock'),
+    ...require('./iot-gateway'),
+    ...require('./devices'),
+    ...require('./sensors'),
+    ...require('./automation'),
+    ...require('./scenes'),
+    ...require('./scheduler'),
+    ...require('./timeseries'),
+    ...require('./energy'),
+    ...require('./thermal'),
+    ...require('./rooms'),
+    ...require('./device-types')
+} : {
+    SimulationClock,
+    parseDuration,
+    IoTGateway,
+    createDefaultDevices,
+    createDefaultSensors,
+    createAutomationEngine,
+    createSceneManager,
+    createScheduler,
+    TimeSeriesStore,
+    EnergyMeter,
+    RoomThermalModel,
+    createDefaultRooms,
+    createDefaultDeviceTypes
+};
+
+class Simulation {
+    constructor({
+        gateway,
+        devices,
+        sensors,
+        automationEngine,
+        scheduler = null,
+        timeSeries = null,
+        energyMeter = null,
+        roomModel = null,
+        rooms = null,
+        deviceTypes = null,
+        interval = 2000
+    }) {
+        this.gateway = gateway;
+        this.devices = devices;
+        this.sensors = sensors;
+        this.automationEngine = automationEngine;
+        this.scheduler = scheduler;
+        this.timeSeries = timeSeries;
+        this.energyMeter = energyMeter;
+        this.roomModel = roomModel;
+        this.rooms = rooms; // room layout placed once everything is registered
+        this.deviceTypes = deviceTypes || SimulationCore.createDefaultDeviceTypes(gateway);
+        this.added = new Map(); // 'device/<id>' or 'sensor/<id>' -> descriptor added while running
+        this.removed = new Set(); // 'device/<id>' or 'sensor/<id>' of the initial set removed while running
+        this.interval = interval; // simulated ms per tick
+        this.speed = 1; // simulated time per real time
+        this.timer = null;
+        this.tickCount = 0;
+        this.fastForwarding = false;
+        this.onTick = null; // optional callback after each tick
+    }
+
+    // Register every device and sensor with the gateway, then lay out the rooms
+    registerAll() {
+        Object.values(this.devices).forEach(device => this.gateway.registerDevice(device));
+        Object.values(this.sensors).forEach(sensor => this.gateway.registerSensor(sensor));
+        if (this.rooms) {
+            this.gateway.loadRooms(this.rooms).forEach(warning => console.warn(`⚠️ ${warning}`));
+        }
+    }
+
+    // Create a device or sensor ('device' or 'sensor') from a type descriptor and
+    // register it while the home runs. Throws when the descriptor is invalid or
+    // the id is taken
+    addClient(clientType, descriptor) {
+        const client = this.deviceTypes.create(clientType, descriptor);
+        if (clientType === 'device') {
+            this.gateway.registerDevice(client, { room: descriptor.room });
+        } else {
+            this.gateway.registerSensor(client, { room: descriptor.room });
+        }
+        // The room is saved with the gateway's layout, which may change later
+        const { room, ...saved } = descriptor;
+        this.added.set(`${clientType}/${client.id}`, saved);
+        return client;
+    }
+
+    // Unregister a device or sensor, returning false when there is none
+    removeClient(clientType, id) {
+        const removed = clientType === 'device' ? this.gateway.unregisterDevice(id) : this.gateway.unregisterSensor(id);
+        if (!removed) return false;
+
+        const key = `${clientType}/${id}`;
+        if (!this.added.delete(key)) this.removed.add(key);
+        return true;
+    }
+
+    // Tick count and the devices and sensors added or removed while running
+    saveState() {
+        return {
+            tickCount: this.tickCount,
+            added: Array.from(this.added, ([key, descriptor]) => ({ clientType: key.split('/')[0], ...descriptor })),
+            removed: Array.from(this.removed)
+        };
+    }
+
+    // Remove and re-add the saved devices and sensors so their own state can be
+    // restored. Rooms come back with the gateway's layout. Returns warnings for
+    // descriptors that no longer fit the home
+    restoreState(state) {
+        const warnings = [];
+        if (state.tickCount !== undefined) this.tickCount = state.tickCount;
+
+        (state.removed || []).forEach(key => {
+            const [clientType, id] = key.split('/');
+            this.removeClient(clientType, id);
+        });
+        (state.added || []).forEach(({ clientType, ...descriptor }) => {
+            try {
+                this.addClient(clientType, descriptor);
+            } catch (error) {
+                warnings.push(`${clientType === 'device' ? 'Device' : 'Sensor'} '${descriptor.id}' not added: ${error.message}`);
+            }
+        });
+        return warnings;
+    }
+
+    // Advance the clock and the whole home by one tick of dt simulated ms.
+    // Devices and sensors come from the gateway, so ones added while running take part
+    tick(dt = this.interval) {
+        this.gateway.clock.advance(dt);
+
+        this.gateway.getAllSensors().forEach(sensor => sensor.simulate());
+        this.gateway.getAllDevices().forEach(device => device.update(dt));
+        this.gateway.balanceLoad();
+        this.gateway.updatePowerFlow(dt);
+        if (this.roomModel) this.roomModel.update(dt);
+        if (this.energyMeter) this.energyMeter.update(dt);
+        this.gateway.publishClusterChanges();
+
+        // Publish last wills for sensors that stopped reporting
+        this.gateway.checkKeepAlive();
+
+        if (this.scheduler) this.scheduler.evaluate();
+        this.automationEngine.evaluate();
+        if (this.timeSeries) this.timeSeries.sample();
+        this.tickCount++;
+
+        if (this.onTick) this.onTick(this);
+    }
+
+    // Run ticks as fast as possible to cover a duration (e.g. '24h') of simulated time
+    fastForward(duration) {
+        const ticks = Math.floor(SimulationCore.parseDuration(duration) / this.interval);
+        this.fastForwarding = true;
+        try {
+            for (let i = 0; i < ticks; i++) {
+                this.tick();
+            }
+        } finally {
+            this.fastForwarding = false;
+        }
+        return ticks;
+    }
+
+    // Real-time playback speed; each tick still covers `interval` simulated ms
+    setSpeed(speed) {
+        if (!(speed > 0)) {
+            throw new Error(`Invalid simulation speed '${speed}'`);
+        }
+        this.speed = speed;
+        if (this.timer) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.interval / this.speed);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+}
+
+// Build a complete, registered smart home with its own gateway (no globals).
+// options.seed and options.startTime make the run reproducible
+function createSmartHome(options = {}) {
+    const gateway = options.gateway || new SimulationCore.IoTGateway({
+        clock: new SimulationCore.SimulationClock(options.startTime),
+        seed: options.seed,
+        powerBudget: options.powerBudget
+    });
+    const devices = options.devices || SimulationCore.createDefaultDevices();
+    const sensors = options.sensors || SimulationCore.createDefaultSensors();
+    const automationEngine = options.automationEngine || SimulationCore.createAutomationEngine(gateway);
+    const scenes = options.scenes || SimulationCore.createSceneManager(gateway);
+    const scheduler = options.scheduler || SimulationCore.createScheduler(gateway, options.location);
+    const timeSeries = options.timeSeries || new SimulationCore.TimeSeriesStore(gateway);
+    const energyMeter = options.energyMeter || new SimulationCore.EnergyMeter(gateway, { tariff: options.tariff });
+    const roomModel = options.roomModel || new SimulationCore.RoomThermalModel(gateway, options.room);
+    // The default layout only fits the default devices and sensors
+    const rooms = options.rooms || (options.devices || options.sensors ? null : SimulationCore.createDefaultRooms());
+    const deviceTypes = options.deviceTypes || SimulationCore.createDefaultDeviceTypes(gateway);
+
+    const simulation = new Simulation({
+        gateway,
+        devices,
+        sensors,
+        automationEngine,
+        scheduler,
+        timeSeries,
+        energyMeter,
+        roomModel,
+        rooms,
+        deviceTypes,
+        interval: options.interval
+    });
+    simulation.registerAll();
+
+    return { gateway, devices, sensors, automationEngine, scenes, scheduler, timeSeries, energyMeter, roomModel, deviceTypes, simulation };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Simulation, createSmartHome };
+}
@@ -0,0 +1,211 @@
+/**
+ * Room Thermal Model
+ * Each room as one heat capacity that exchanges heat with the outdoors
+ * through its insulation and gains heat from people, appliances and the AC
+ * in that room, losing more while its windows are open. Every gateway room is
+ * a zone published retained on home/<room>/climate; devices and sensors
+ * outside any room share the home zone on room/temperature. Temperature
+ * sensors read their own zone
+ *
+ * Outdoor temperature follows a daily profile: coldest (min) twelve hours
+ * before the warmest hour, warmest (max) at warmestHour
+ *   { "min": 16, "max": 30, "warmestHour": 15 }
+ */
+
+// Default room: ~2 MJ/K (air, walls and furniture) behind 100 W/K of losses,
+// a time constant of about 5.5 hours
+const DEFAULT_ROOM = {
+    heatCapacity: 2000000, // J/K
+    insulation: 100, // W/K lost per degree of indoor/outdoor difference
+    internalGains: 300, // W from people and appliances
+    temperature: 25 // °C at start
+};
+
+const DEFAULT_OUTDOOR_PROFILE = { min: 16, max: 30, warmestHour: 15 };
+
+// Validate an outdoor profile, returning error messages
+function validateOutdoorProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['Outdoor profile must be an object'];
+    }
+
+    const errors = [];
+    ['min', 'max'].forEach(key => {
+        if (!Number.isFinite(profile[key])) errors.push(`${key} must be a number`);
+    });
+    if (errors.length === 0 && profile.min > profile.max) {
+        errors.push('min must not be above max');
+    }
+    if (profile.warmestHour !== undefined &&
+        !(Number.isFinite(profile.warmestHour) && profile.warmestHour >= 0 && profile.warmestHour < 24)) {
+        errors.push('warmestHour must be an hour from 0 to 24');
+    }
+    return errors;
+}
+
+class RoomThermalModel {
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.heatCapacity = options.heatCapacity || DEFAULT_ROOM.heatCapacity;
+        this.insulation = options.insulation || DEFAULT_ROOM.insulation;
+        this.internalGains = options.internalGains !== undefined ? options.internalGains : DEFAULT_ROOM.internalGains;
+        this.temperature = options.temperature !== undefined ? options.temperature : DEFAULT_ROOM.temperature;
+        this.heatFlow = 0; // W into the room over the last update
+        this.outdoor = null;
+        this.zones = new Map(); // room id -> { temperature, heatFlow }
+        this.setOutdoorProfile(options.outdoor || DEFAULT_OUTDOOR_PROFILE);
+
+        // Rooms added later get a zone straight away, so their sensors never miss a reading
+        this.gateway.subscribe('home/rooms', () => this.publish(), { retained: false });
+    }
+
+    now() {
+        return this.gateway.clock.now();
+    }
+
+    setOutdoorProfile(profile) {
+        const errors = validateOutdoorProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(`Invalid outdoor profile: ${errors.join('; ')}`);
+        }
+        this.outdoor = { warmestHour: DEFAULT_OUTDOOR_PROFILE.warmestHour, ...profile };
+        this.publish();
+    }
+
+    // Outdoor temperature at a time: a cosine between min and max over the day
+    getOutdoorTemperature(time = this.now()) {
+        const date = new Date(time);
+        const hour = date.getUTCHours() + date.getUTCMinutes() / 60;
+        const { min, max, warmestHour } = this.outdoor;
+        return (min + max) / 2 + (max - min) / 2 * Math.cos(2 * Math.PI * (hour - warmestHour) / 24);
+    }
+
+    // Temperature of a room's zone, or of the home zone outside any room
+    getTemperature(roomId = null) {
+        const zone = roomId === null ? null : this.zones.get(roomId);
+        return zone ? zone.temperature : this.temperature;
+    }
+
+    // Give every gateway room a zone (new ones start at the home temperature)
+    // and drop the zones of removed rooms. Returns the room ids
+    syncZones() {
+        const roomIds = this.gateway.getAllRooms().map(room => room.id);
+        this.zones.forEach((zone, roomId) => {
+            if (!roomIds.includes(roomId)) {
+                this.zones.delete(roomId);
+                this.gateway.publish(`home/${roomId}/climate`, null, { retain: true });
+            }
+        });
+        roomIds.forEach(roomId => {
+            if (!this.zones.has(roomId)) {
+                this.zones.set(roomId, { temperature: this.temperature, heatFlow: 0 });
+            }
+        });
+        return roomIds;
+    }
+
+    // Heat the devices in a room (null: outside any room) put into it (W):
+    // devices that heat or cool implement getHeatOutput({ temperature, humidity })
+    getDeviceHeat(roomId = null, temperature = this.getTemperature(roomId)) {
+        const humidity = this.gateway.findSensor('humidity', roomId) || this.gateway.findSensor('humidity');
+        const conditions = { temperature, humidity: humidity ? humidity.value : 50 };
+        let total = 0;
+        this.gateway.getAllDevices().forEach(device => {
+            if ((device.room || null) === roomId && typeof device.getHeatOutput === 'function') {
+                total += device.getHeatOutput(conditions);
+            }
+        });
+        return total;
+    }
+
+    // Losses (W/K) of a room (null: outside any room) on top of its insulation:
+    // sensors that let heat out, such as open window contacts, implement getHeatLoss()
+    getExtraLoss(roomId = null) {
+        let total = 0;
+        this.gateway.getAllSensors().forEach(sensor => {
+            if ((sensor.room || null) === roomId && typeof sensor.getHeatLoss === 'function') {
+                total += sensor.getHeatLoss();
+            }
+        });
+        return total;
+    }
+
+    // Advance every zone by dt ms. Called once per simulation tick, after devices update
+    update(dt) {
+        const outdoor = this.getOutdoorTemperature();
+        this.heatFlow = this.internalGains + this.getDeviceHeat(null, this.temperature);
+        this.temperature = this.relax(this.temperature, this.heatFlow, outdoor, dt, this.getExtraLoss(null));
+
+        this.syncZones().forEach(roomId => {
+            const zone = this.zones.get(roomId);
+            zone.heatFlow = this.internalGains + this.getDeviceHeat(roomId, zone.temperature);
+            zone.temperature = this.relax(zone.temperature, zone.heatFlow, outdoor, dt, this.getExtraLoss(roomId));
+        });
+        this.publish(outdoor);
+    }
+
+    // Temperature after dt ms with heatFlow W held for the whole step: the zone
+    // relaxes exponentially toward its balance temperature, so long steps stay stable.
+    // extraLoss (W/K) adds to the insulation's losses
+    relax(temperature, heatFlow, outdoor, dt, extraLoss = 0) {
+        const loss = this.insulation + extraLoss;
+        const balance = outdoor + heatFlow / loss;
+        const decay = Math.exp(-loss * (dt / 1000) / this.heatCapacity);
+        return balance + (temperature - balance) * decay;
+    }
+
+    publish(outdoor = this.getOutdoorTemperature()) {
+        this.gateway.publish('room/temperature', {
+            temperature: this.temperature,
+            outdoor,
+            heatFlow: this.heatFlow
+        }, { retain: true });
+
+        this.syncZones().forEach(roomId => {
+            const zone = this.zones.get(roomId);
+            this.gateway.publish(`home/${roomId}/climate`, {
+                temperature: zone.temperature,
+                outdoor,
+                heatFlow: zone.heatFlow
+            }, { retain: true });
+        });
+    }
+
+    // Snapshot for the persistence layer
+    saveState() {
+        const zones = {};
+        this.zones.forEach((zone, roomId) => {
+            zones[roomId] = zone.temperature;
+        });
+        return { temperature: this.temperature, outdoor: this.outdoor, zones };
+    }
+
+    // Restore saved temperatures
+    restoreState(state) {
+        const warnings = [];
+        if (Number.isFinite(state.temperature)) this.temperature = state.temperature;
+        this.zones.clear();
+        Object.entries(state.zones).forEach(([roomId, temperature]) => {
+            if (Number.isFinite(temperature)) this.zones.set(roomId, { temperature, heatFlow: 0 });
+        });
+        try {
+            if (state.outdoor) this.setOutdoorProfile(state.outdoor);
+        } catch (error) {
+            warnings.push(`${error.message}; keeping the current outdoor profile`);
+        }
+        this.publish();
+        return warnings;
+    }
+}
+
+// Browser instance (the headless runtime builds its own through createSmartHome)
+const roomModel = typeof gateway !== 'undefined' ? new RoomThermalModel(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RoomThermalModel,
+        validateOutdoorProfile,
+        DEFAULT_ROOM,
+        DEFAULT_OUTDOOR_PROFILE
+    };
+}
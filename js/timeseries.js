@@ -0,0 +1,266 @@
+/**
+ * Time-Series Store
+ * Records every sensor reading and device power sample, downsamples them into
+ * 1-minute, 1-hour and 1-day buckets (min/max/avg) and answers range queries
+ * for charts and other modules over days or weeks of history
+ *
+ * Series ids:
+ *   sensor/<id>        sensor readings (booleans are stored as 0/1)
+ *   device/<id>/power  device power draw in W, sampled every tick
+ *   power/total        total power draw in W, sampled every tick
+ */
+
+// Storage tiers from finest to coarsest. Raw points are kept briefly; each
+// bucket tier keeps its own, longer retention
+const RESOLUTIONS = {
+    raw: { size: 0, retention: 60 * 60 * 1000 },
+    '1m': { size: 60 * 1000, retention: 24 * 60 * 60 * 1000 },
+    '1h': { size: 60 * 60 * 1000, retention: 30 * 24 * 60 * 60 * 1000 },
+    '1d': { size: 24 * 60 * 60 * 1000, retention: 365 * 24 * 60 * 60 * 1000 }
+};
+
+const BUCKET_RESOLUTIONS = ['1m', '1h', '1d'];
+const AGGREGATES = ['avg', 'min', 'max'];
+
+// Numeric value of a reading, or null for values that cannot be charted
+function toSampleValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// Round for storage so snapshots stay compact
+function roundSample(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+class TimeSeriesStore {
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.retention = {};
+        Object.entries(RESOLUTIONS).forEach(([resolution, tier]) => {
+            this.retention[resolution] = (options.retention && options.retention[resolution]) || tier.retention;
+        });
+        this.maxPoints = options.maxPoints || 500; // upper bound for 'auto' queries
+        this.series = new Map();
+
+        // Every reading is recorded, including ones published while fast-forwarding
+        gateway.subscribe('sensor/+/reading', (message, topic) => {
+            if (!message) return;
+            this.record(`sensor/${topic.split('/')[1]}`, message.value, message.timestamp, {
+                label: message.name,
+                unit: message.unit || ''
+            });
+        }, { retained: false });
+    }
+
+    now() {
+        return this.gateway.clock.now();
+    }
+
+    // Sample the power draw of every registered device and the total.
+    // Called once per simulation tick
+    sample(timestamp = this.now()) {
+        let total = 0;
+        this.gateway.getAllDevices().forEach(device => {
+            const power = device.getCurrentPowerConsumption();
+            total += power;
+            this.record(`device/${device.id}/power`, power, timestamp, { label: device.name, unit: 'W' });
+        });
+        this.record('power/total', total, timestamp, { label: 'Total Power', unit: 'W' });
+    }
+
+    // Add one sample to a series, creating the series on first use.
+    // meta ({ label, unit }) describes the series for charts
+    record(id, value, timestamp = this.now(), meta = {}) {
+        const sample = toSampleValue(value);
+        if (sample === null) return;
+
+        let series = this.series.get(id);
+        if (!series) {
+            series = this.createSeries(id, meta);
+            this.series.set(id, series);
+        }
+
+        series.raw.push([timestamp, sample]);
+
+        BUCKET_RESOLUTIONS.forEach(resolution => {
+            const buckets = series.buckets[resolution];
+            const start = Math.floor(timestamp / RESOLUTIONS[resolution].size) * RESOLUTIONS[resolution].size;
+            const last = buckets[buckets.length - 1];
+
+            if (last && last[0] === start) {
+                // [start, min, max, avg, count]
+                last[1] = Math.min(last[1], sample);
+                last[2] = Math.max(last[2], sample);
+                last[4]++;
+                last[3] += (sample - last[3]) / last[4];
+            } else {
+                buckets.push([start, sample, sample, sample, 1]);
+                this.prune(buckets, timestamp - this.retention[resolution]);
+                // Raw points are pruned in batches, once per minute
+                if (resolution === '1m') this.prune(series.raw, timestamp - this.retention.raw);
+            }
+        });
+    }
+
+    createSeries(id, meta) {
+        const buckets = {};
+        BUCKET_RESOLUTIONS.forEach(resolution => {
+            buckets[resolution] = [];
+        });
+        return {
+            id,
+            label: meta.label || id,
+            unit: meta.unit || '',
+            raw: [],
+            buckets
+        };
+    }
+
+    // Drop entries older than the cutoff (entries are in time order)
+    prune(entries, cutoff) {
+        let count = 0;
+        while (count < entries.length && entries[count][0] < cutoff) count++;
+        if (count > 0) entries.splice(0, count);
+    }
+
+    hasSeries(id) {
+        return this.series.has(id);
+    }
+
+    // Describe every recorded series ({ id, label, unit, from, to })
+    getSeries() {
+        return Array.from(this.series.values()).map(series => {
+            const oldest = series.buckets['1d'][0];
+            const newest = series.raw[series.raw.length - 1];
+            return {
+                id: series.id,
+                label: series.label,
+                unit: series.unit,
+                from: oldest ? oldest[0] : null,
+                to: newest ? newest[0] : null
+            };
+        });
+    }
+
+    // Most recent sample of a series ({ timestamp, value }) or null
+    latest(id) {
+        const series = this.series.get(id);
+        const last = series && series.raw[series.raw.length - 1];
+        return last ? { timestamp: last[0], value: last[1] } : null;
+    }
+
+    // Query a series over [from, to].
+    //   resolution: 'raw', '1m', '1h', '1d' or 'auto' (finest tier that still
+    //               covers `from` within maxPoints points)
+    //   aggregate:  'avg', 'min' or 'max' of each bucket (ignored for raw points)
+    // Returns { series, label, unit, resolution, points: [{ timestamp, value }] }.
+    // Bucket points are stamped with the start of their bucket
+    query(id, options = {}) {
+        const series = this.series.get(id);
+        if (!series) {
+            throw new Error(`Unknown series '${id}'`);
+        }
+
+        const to = options.to !== undefined ? options.to : this.now();
+        const from = options.from !== undefined ? options.from : to - RESOLUTIONS.raw.retention;
+        const aggregate = options.aggregate || 'avg';
+        const requested = options.resolution || 'auto';
+
+        if (!AGGREGATES.includes(aggregate)) {
+            throw new Error(`Unknown aggregate '${aggregate}' (expected one of ${AGGREGATES.join(', ')})`);
+        }
+        if (requested !== 'auto' && !RESOLUTIONS[requested]) {
+            throw new Error(`Unknown resolution '${requested}' (expected auto, ${Object.keys(RESOLUTIONS).join(', ')})`);
+        }
+        if (!(from <= to)) {
+            throw new Error(`Invalid range: from ${from} is after to ${to}`);
+        }
+
+        const resolution = requested === 'auto' ? this.chooseResolution(series, from, to) : requested;
+        return {
+            series: id,
+            label: series.label,
+            unit: series.unit,
+            resolution,
+            points: this.readPoints(series, resolution, from, to, aggregate)
+        };
+    }
+
+    // Finest resolution whose retention reaches back to `from` and whose
+    // point count stays within maxPoints; the coarsest tier otherwise
+    chooseResolution(series, from, to) {
+        const now = this.now();
+        const candidates = Object.keys(RESOLUTIONS);
+        const choice = candidates.find(resolution => {
+            if (from < now - this.retention[resolution]) return false;
+            const count = resolution === 'raw'
+                ? this.readPoints(series, resolution, from, to, 'avg').length
+                : Math.ceil((to - from) / RESOLUTIONS[resolution].size);
+            return count <= this.maxPoints;
+        });
+        return choice || candidates[candidates.length - 1];
+    }
+
+    readPoints(series, resolution, from, to, aggregate) {
+        if (resolution === 'raw') {
+            return series.raw
+                .filter(([timestamp]) => timestamp >= from && timestamp <= to)
+                .map(([timestamp, value]) => ({ timestamp, value }));
+        }
+
+        // Include the bucket that contains `from`
+        const size = RESOLUTIONS[resolution].size;
+        const index = { min: 1, max: 2, avg: 3 }[aggregate];
+        return series.buckets[resolution]
+            .filter(bucket => bucket[0] + size > from && bucket[0] <= to)
+            .map(bucket => ({ timestamp: bucket[0], value: bucket[index] }));
+    }
+
+    clear() {
+        this.series.clear();
+    }
+
+    // Snapshot for the persistence layer. Raw points are short-lived and not saved
+    saveState() {
+        const series = {};
+        this.series.forEach((entry, id) => {
+            const buckets = {};
+            BUCKET_RESOLUTIONS.forEach(resolution => {
+                buckets[resolution] = entry.buckets[resolution].map(([start, min, max, avg, count]) =>
+                    [start, roundSample(min), roundSample(max), roundSample(avg), count]);
+            });
+            series[id] = { label: entry.label, unit: entry.unit, buckets };
+        });
+        return { series };
+    }
+
+    restoreState(state) {
+        const warnings = [];
+        this.series.clear();
+        Object.entries(state.series || {}).forEach(([id, saved]) => {
+            if (!saved || typeof saved.buckets !== 'object') {
+                warnings.push(`History for '${id}' is unreadable and was dropped`);
+                return;
+            }
+            const series = this.createSeries(id, saved);
+            BUCKET_RESOLUTIONS.forEach(resolution => {
+                series.buckets[resolution] = Array.isArray(saved.buckets[resolution])
+                    ? saved.buckets[resolution].map(bucket => bucket.slice())
+                    : [];
+            });
+            this.series.set(id, series);
+        });
+        return warnings;
+    }
+}
+
+// Browser instance (the headless runtime builds its own through createSmartHome)
+const timeSeries = typeof gateway !== 'undefined' ? new TimeSeriesStore(gateway) : null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TimeSeriesStore,
+        RESOLUTIONS
+    };
+}
@@ -0,0 +1,40 @@
+/**
+ * Automation engine tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSmartHome } = require('../js/simulation');
+
+const START = Date.UTC(2026, 6, 1, 14, 0);
+
+test('the AC stays off for the whole of a smoke alarm in a hot, occupied home', () => {
+    const home = createSmartHome({
+        seed: 1,
+        startTime: START,
+        room: { temperature: 30, outdoor: { min: 28, max: 36 } }
+    });
+    const { gateway, devices, sensors, simulation } = home;
+    sensors.motion.motionProbability = 10; // someone is always around
+
+    // HVAC Cooling has the AC running before the fire starts
+    simulation.fastForward('10m');
+    assert.strictEqual(devices.ac.isOn, true);
+
+    sensors.kitchenSmoke.startSmoke(150, 10 * 60000);
+    let ticks = 0;
+    const smokeAlarm = () => gateway.getActiveAlarms().some(alarm => alarm.type === 'smoke' && alarm.level === 'critical');
+    while (!smokeAlarm() && ticks < 1000) {
+        simulation.tick();
+        ticks++;
+    }
+    assert.ok(smokeAlarm(), 'the smoke alarm went off');
+
+    while (smokeAlarm()) {
+        assert.strictEqual(devices.ac.isOn, false, `AC on ${ticks} ticks into the smoke event`);
+        simulation.tick();
+        ticks++;
+    }
+    assert.ok(ticks > 30, 'the smoke alarm lasted more than a few ticks');
+});
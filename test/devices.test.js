@@ -0,0 +1,34 @@
+/**
+ * Device tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSmartHome } = require('../js/simulation');
+
+test('door lock PIN codes never appear in published messages', async () => {
+    const { gateway, devices } = createSmartHome({ seed: 1, startTime: Date.UTC(2026, 0, 1, 8, 0) });
+    const published = [];
+    gateway.subscribe('*', (message, topic) => published.push(JSON.stringify({ topic, message })), { retained: false });
+    const lock = devices.frontDoor;
+    lock.jamProbability = 0;
+
+    await gateway.sendCommand('frontDoor', 'addPin', { name: 'alice', code: '2468' });
+    await gateway.sendCommand('frontDoor', 'enterPin', '2468');
+    assert.strictEqual(lock.lockState, 'unlocked');
+
+    // Commands arriving on the room alias or published directly are masked too
+    lock.lock();
+    gateway.assignRoom('device', 'frontDoor', 'living');
+    gateway.publish('home/living/frontDoor/set', { messageId: 'keypad-1', command: 'enterPin', value: '2468' });
+    assert.strictEqual(lock.lockState, 'unlocked');
+    gateway.publish('device/frontDoor/set', { messageId: 'keypad-2', command: 'addPin', value: { name: 'bob', code: '1357' } });
+    assert.deepStrictEqual(lock.getState().pinNames, ['alice', 'bob']);
+
+    const logged = gateway.messageLog.map(entry => JSON.stringify(entry));
+    [...published, ...logged].forEach(text => {
+        assert.ok(!text.includes('2468') && !text.includes('1357'), `PIN code published in ${text}`);
+    });
+    assert.ok(published.some(text => text.includes('"command":"enterPin"')));
+});
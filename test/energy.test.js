@@ -0,0 +1,26 @@
+/**
+ * Energy and tariff tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateTariff, getTariffRate } = require('../js/energy');
+
+function timeOfUse(periods) {
+    return { id: 'tou', name: 'Time of Use', type: 'time-of-use', rate: 0.3, periods };
+}
+
+test('time-of-use periods may end at 24:00', () => {
+    const tariff = timeOfUse([{ from: '18:00', to: '24:00', rate: 0.4 }]);
+
+    assert.deepStrictEqual(validateTariff(tariff), []);
+    assert.strictEqual(getTariffRate(tariff, Date.UTC(2026, 0, 1, 23, 59)), 0.4);
+    assert.strictEqual(getTariffRate(tariff, Date.UTC(2026, 0, 2, 0, 0)), 0.3);
+});
+
+test('times of day past 24:00 are rejected', () => {
+    ['24:01', '24:59', '25:00', '12:60'].forEach(to => {
+        assert.strictEqual(validateTariff(timeOfUse([{ from: '18:00', to, rate: 0.4 }])).length, 1, to);
+    });
+});
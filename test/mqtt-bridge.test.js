@@ -0,0 +1,139 @@
+/**
+ * MQTT bridge tests, against the in-process broker
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { IoTGateway } = require('../js/iot-gateway');
+const { Light } = require('../js/devices');
+const { InProcessMqttBroker, MqttBridge } = require('../js/mqtt-bridge');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for the bridge's timers until a condition holds
+async function until(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await wait(1);
+    }
+    assert.ok(condition(), 'timed out waiting');
+}
+
+// Broker clients whose first `failures` connects are refused
+function createClientFactory(broker, failures = 0) {
+    return (url, options) => {
+        const client = broker.createClient(options);
+        if (failures-- > 0) {
+            client.connect = () => {
+                throw new Error('connection refused');
+            };
+        }
+        return client;
+    };
+}
+
+// Gateway, broker and a connected bridge
+async function createBridge() {
+    const gateway = new IoTGateway();
+    const broker = new InProcessMqttBroker();
+    const bridge = new MqttBridge(gateway, { clientFactory: createClientFactory(broker) });
+    bridge.start();
+    await until(() => bridge.state === 'connected');
+    return { gateway, broker, bridge };
+}
+
+// A second broker client, standing in for an external MQTT app
+function connectExternal(broker, filter) {
+    const client = broker.createClient();
+    const received = [];
+    client.connect();
+    client.subscribe(filter);
+    client.onMessage = (topic, payload) => received.push({ topic, payload });
+    return { client, received };
+}
+
+test('the bridge reconnects with exponential backoff capped at maxDelay', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const gateway = new IoTGateway();
+    const delays = [];
+    gateway.subscribe('bridge/mqtt/status', status => {
+        if (status.state === 'disconnected') delays.push(status.retryIn);
+    }, { retained: false });
+    const broker = new InProcessMqttBroker();
+    const bridge = new MqttBridge(gateway, {
+        clientFactory: createClientFactory(broker, 5),
+        reconnect: { initialDelay: 1, maxDelay: 8, factor: 2 }
+    });
+
+    bridge.start();
+    await until(() => bridge.state === 'connected');
+    assert.deepStrictEqual(delays, [1, 2, 4, 8, 8]);
+    assert.strictEqual(bridge.attempt, 0);
+    assert.strictEqual(broker.retained.get('smarthome/bridge/status'), JSON.stringify({ online: true }));
+
+    // A dropped connection publishes the will and starts over from the initial delay
+    bridge.client.drop();
+    assert.strictEqual(broker.retained.get('smarthome/bridge/status'), JSON.stringify({ online: false }));
+    await until(() => bridge.state === 'connected');
+    assert.deepStrictEqual(delays, [1, 2, 4, 8, 8, 1]);
+
+    bridge.stop();
+    assert.strictEqual(bridge.state, 'stopped');
+});
+
+test('only JSON object commands on command topics are forwarded into the gateway', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { gateway, broker, bridge } = await createBridge();
+    const commands = [];
+    gateway.subscribe('device/+/set', (message, topic) => commands.push({ topic, message }), { retained: false });
+    const { client } = connectExternal(broker, 'smarthome/#');
+
+    client.publish('smarthome/sensor/motion/reading', JSON.stringify({ value: true }));
+    client.publish('smarthome/device/light1/set', 'turnOn');
+    client.publish('smarthome/device/light1/set', 'null');
+    client.publish('smarthome/device/light1/set', '[{ "command": "turnOn" }]');
+    client.publish('smarthome/device/light1/set', '"turnOn"');
+    assert.deepStrictEqual(commands, []);
+    assert.strictEqual(warn.mock.callCount(), 4);
+
+    client.publish('smarthome/device/light1/set', JSON.stringify({ command: 'turnOn' }));
+    assert.deepStrictEqual(commands, [{ topic: 'device/light1/set', message: { command: 'turnOn', source: 'mqtt' } }]);
+    bridge.stop();
+});
+
+test('external message IDs are namespaced in the gateway and handed back on the ack', async () => {
+    const { gateway, broker, bridge } = await createBridge();
+    gateway.registerDevice(new Light('light1', 'Light'));
+    const commands = [];
+    gateway.subscribe('device/+/set', message => commands.push(message.messageId), { retained: false });
+    const { client, received } = connectExternal(broker, 'smarthome/device/light1/ack');
+
+    client.publish('smarthome/device/light1/set', JSON.stringify({ messageId: 1, command: 'turnOn', qos: 1 }));
+    client.publish('smarthome/device/light1/set', JSON.stringify({ messageId: '1', command: 'turnOff', qos: 1 }));
+
+    assert.deepStrictEqual(commands, ['mqtt:1', 'mqtt:"1"']);
+    assert.deepStrictEqual(received.map(({ payload }) => JSON.parse(payload).messageId), [1, '1']);
+    assert.strictEqual(gateway.getDevice('light1').isOn, false);
+    bridge.stop();
+});
+
+test('gateway topics are mirrored to the broker, and cleared retained topics are cleared there too', async () => {
+    const { gateway, broker, bridge } = await createBridge();
+    const { received } = connectExternal(broker, 'smarthome/#');
+
+    gateway.publish('sensor/motion/reading', { value: true }, { retain: true });
+    assert.strictEqual(broker.retained.get('smarthome/sensor/motion/reading'), JSON.stringify({ value: true }));
+
+    gateway.publish('sensor/motion/reading', null, { retain: true });
+    assert.ok(!broker.retained.has('smarthome/sensor/motion/reading'));
+
+    // Commands are not mirrored, and a cleared ack is not read for its message ID
+    gateway.publish('device/light1/set', { command: 'turnOn' });
+    bridge.forwardOutbound('device/light1/ack', null);
+    assert.deepStrictEqual(received.map(({ topic, payload }) => [topic, payload]), [
+        ['smarthome/sensor/motion/reading', JSON.stringify({ value: true })],
+        ['smarthome/sensor/motion/reading', ''],
+        ['smarthome/device/light1/ack', '']
+    ]);
+    bridge.stop();
+});
@@ -0,0 +1,102 @@
+/**
+ * Persistence tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSmartHome } = require('../js/simulation');
+const { STATE_VERSION, migrateState, captureHomeState, restoreHomeState } = require('../js/persistence');
+
+const START = Date.UTC(2026, 0, 1, 8, 0);
+
+function createHome() {
+    return createSmartHome({ seed: 1, startTime: START });
+}
+
+test('snapshots without a version are rejected', () => {
+    assert.throws(() => migrateState({ clock: { time: START } }), /no version/);
+});
+
+test('snapshots newer than the code are rejected', () => {
+    assert.throws(() => migrateState({ version: STATE_VERSION + 1 }), /newer than supported/);
+});
+
+test('a current snapshot restores into a fresh home unchanged', () => {
+    const home = createHome();
+    home.simulation.fastForward('6h');
+    const state = captureHomeState(home);
+
+    const restored = createHome();
+    const warnings = restoreHomeState(restored, migrateState(JSON.parse(JSON.stringify(state))));
+
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(captureHomeState(restored))), JSON.parse(JSON.stringify(state)));
+});
+
+test('energy days from before solar support count everything as imported', () => {
+    const state = migrateState({
+        version: 1,
+        energy: {
+            days: {
+                '2025-12-31': { devices: { ac: { kWh: 2, cost: 0.5 }, light1: { kWh: 1, cost: 0.25 } }, standing: 0.5, since: START }
+            }
+        }
+    });
+
+    assert.deepStrictEqual(state.energy.days['2025-12-31'], {
+        devices: { ac: { kWh: 2, cost: 0.5 }, light1: { kWh: 1, cost: 0.25 } },
+        standing: 0.5,
+        since: START,
+        solar: 0,
+        imported: 3,
+        exported: 0,
+        importCost: 0.75,
+        exportCredit: 0
+    });
+});
+
+test('snapshots from before the room model start the room at the last temperature reading', () => {
+    const home = createHome();
+    const state = captureHomeState(home);
+    delete state.room;
+    state.version = 2;
+    state.sensors.temperature.value = 27.5;
+
+    restoreHomeState(home, migrateState(state));
+
+    assert.strictEqual(home.roomModel.getTemperature(), 27.5);
+});
+
+test('snapshots from before rooms get the default layout and restart per-room state', () => {
+    const home = createHome();
+    const state = captureHomeState(home);
+    state.version = 3;
+    delete state.gateway.rooms;
+    delete state.room.zones;
+    state.automation.rules['lighting-off'].noMotionSince = START;
+
+    const migrated = migrateState(state);
+    const restored = createHome();
+    const warnings = restoreHomeState(restored, migrated);
+
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(restored.gateway.saveState().rooms, home.gateway.saveState().rooms);
+    assert.deepStrictEqual(migrated.room.zones, {});
+    assert.deepStrictEqual(restored.automationEngine.rules.get('lighting-off').noMotionSince, {});
+});
+
+test('current snapshots without rooms or zones are restored with warnings', () => {
+    const state = captureHomeState(createHome());
+    delete state.gateway.rooms;
+    delete state.room.zones;
+
+    const restored = createHome();
+    const warnings = restoreHomeState(restored, migrateState(state));
+
+    assert.deepStrictEqual(warnings, [
+        'Saved gateway state has no room list and was not restored',
+        'Saved room temperatures have no zones and were not restored'
+    ]);
+    assert.ok(restored.gateway.getAllRooms().length > 0);
+});
@@ -0,0 +1,61 @@
+/**
+ * Scheduler tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimulationClock } = require('../js/clock');
+const { Scheduler } = require('../js/scheduler');
+
+const ACTIONS = [{ device: 'light1', command: 'turnOn' }];
+const THURSDAY_10AM = Date.UTC(2026, 0, 1, 10, 0);
+
+function createScheduler(now = THURSDAY_10AM) {
+    const gateway = {
+        clock: new SimulationClock(now),
+        sendCommand: () => Promise.resolve(),
+        publish: () => {}
+    };
+    return new Scheduler(gateway);
+}
+
+test('next run of a daily schedule later the same day is today', () => {
+    const scheduler = createScheduler();
+    scheduler.addSchedule({ id: 'evening', cron: '0 20 * * *', actions: ACTIONS });
+
+    assert.strictEqual(scheduler.getNextRun('evening'), Date.UTC(2026, 0, 1, 20, 0));
+});
+
+test('next run of a daily schedule already past today is tomorrow', () => {
+    const scheduler = createScheduler();
+    scheduler.addSchedule({ id: 'morning', cron: '0 7 * * *', actions: ACTIONS });
+
+    assert.strictEqual(scheduler.getNextRun('morning'), Date.UTC(2026, 0, 2, 7, 0));
+});
+
+test('next run of a weekly schedule is found up to a week ahead', () => {
+    const scheduler = createScheduler();
+    scheduler.addSchedule({ id: 'thursday', cron: '0 9 * * 4', actions: ACTIONS });
+
+    assert.strictEqual(scheduler.getNextRun('thursday'), Date.UTC(2026, 0, 8, 9, 0));
+});
+
+test('a run missed while the clock jumped ahead is caught up once', () => {
+    const scheduler = createScheduler();
+    scheduler.addSchedule({ id: 'evening', cron: '0 20 * * *', actions: ACTIONS });
+
+    scheduler.evaluate(Date.UTC(2026, 0, 3, 10, 0));
+
+    const schedule = scheduler.schedules.get('evening');
+    assert.strictEqual(schedule.runCount, 1);
+    assert.strictEqual(schedule.lastRun, Date.UTC(2026, 0, 1, 20, 0));
+});
+
+test('cron fields are matched in simulation time whatever the host timezone', () => {
+    const scheduler = createScheduler(Date.UTC(2026, 0, 1, 23, 0));
+    scheduler.addSchedule({ id: 'midnight', cron: '0 0 1 * *', actions: ACTIONS });
+
+    assert.strictEqual(scheduler.getNextRun('midnight'), null);
+    assert.strictEqual(scheduler.getNextRun('midnight', Date.UTC(2026, 0, 31, 12, 0)), Date.UTC(2026, 1, 1, 0, 0));
+});